@@ -0,0 +1,175 @@
+// Queue benchmark: the old sorted-array queue (re-sort on every insert,
+// splice on dispatch, linear id lookup) against the heap-backed queue, plus an
+// end-to-end run of ThreadManager with a large backlog and the cost of
+// getQueueStats() while that backlog is queued.
+//
+//   npm run bench                     # 100,000 queued requests
+//   node benchmarks/queue.js 20000
+//   node benchmarks/queue.js --full   # run the sorted array at full size too
+//
+// Inserting into the sorted array is quadratic, so by default it runs on at
+// most 20,000 requests and its full-size time is extrapolated.
+import { performance } from "perf_hooks";
+import {
+  ThreadManager,
+  compareQueuedRequests,
+} from "../src/ThreadManager.js";
+import { PriorityQueue } from "../src/utils/PriorityQueue.js";
+
+const args = process.argv.slice(2);
+const count = Number(args.find((arg) => !arg.startsWith("--"))) || 100000;
+const legacyCount = args.includes("--full") ? count : Math.min(count, 20000);
+const lookups = 1000;
+const statsCalls = 100;
+
+function makeRequests(total) {
+  const now = Date.now();
+  return Array.from({ length: total }, (_, i) => ({
+    id: `req_${i}`,
+    emergencyBypass: false,
+    starved: false,
+    effectivePriority: i % 5,
+    deadline: null,
+    // Runs of equal tags exercise the FIFO tie-break
+    fairTag: Math.floor(i / 10),
+    enqueueTime: now,
+  }));
+}
+
+function time(label, fn) {
+  const start = performance.now();
+  const result = fn();
+  const elapsed = performance.now() - start;
+  console.log(`  ${label.padEnd(28)} ${elapsed.toFixed(1).padStart(10)} ms`);
+  return { elapsed, result };
+}
+
+function runSortedArray(requests) {
+  const queue = [];
+  const insert = time("insert (sort per push)", () => {
+    requests.forEach((req) => {
+      queue.push(req);
+      queue.sort(compareQueuedRequests);
+    });
+  });
+  const lookup = time(`${lookups} id lookups`, () => {
+    for (let i = 0; i < lookups; i++) {
+      const id = requests[(i * 7919) % requests.length].id;
+      queue.find((req) => req.id === id);
+    }
+  });
+  const order = [];
+  const drain = time("dispatch all (splice)", () => {
+    while (queue.length > 0) {
+      order.push(queue.splice(0, 1)[0]);
+    }
+  });
+  return { total: insert.elapsed + lookup.elapsed + drain.elapsed, order };
+}
+
+function runHeap(requests) {
+  const queue = new PriorityQueue(compareQueuedRequests);
+  const byId = new Map();
+  const insert = time("insert (heap push)", () => {
+    requests.forEach((req) => {
+      queue.push(req);
+      byId.set(req.id, req);
+    });
+  });
+  const lookup = time(`${lookups} id lookups`, () => {
+    for (let i = 0; i < lookups; i++) {
+      byId.get(requests[(i * 7919) % requests.length].id);
+    }
+  });
+  const order = [];
+  const drain = time("dispatch all (heap pop)", () => {
+    while (queue.length > 0) {
+      order.push(queue.pop());
+    }
+  });
+  return { total: insert.elapsed + lookup.elapsed + drain.elapsed, order };
+}
+
+async function runThreadManager(total) {
+  const manager = new ThreadManager();
+  manager.maxConcurrentRequests = 8;
+  const start = performance.now();
+  const pending = [];
+  for (let i = 0; i < total; i++) {
+    pending.push(
+      manager.execute(async () => i, { priority: i % 5, tenant: `t${i % 3}` })
+    );
+  }
+  const queued = performance.now() - start;
+  await Promise.all(pending);
+  const elapsed = performance.now() - start;
+  const stats = manager.getQueueStats();
+  console.log(`  ${"enqueue".padEnd(28)} ${queued.toFixed(1).padStart(10)} ms`);
+  console.log(
+    `  ${"enqueue + run to completion".padEnd(28)} ${elapsed
+      .toFixed(1)
+      .padStart(10)} ms (${stats.completed} completed, p95 ${stats.p95Latency.toFixed(1)} ms)`
+  );
+}
+
+// Stats are read while the whole backlog is queued; the manager is paused so
+// nothing drains before they are
+async function runQueueStats(total) {
+  const manager = new ThreadManager();
+  manager.maxConcurrentRequests = 8;
+  manager.pause();
+  const pending = [];
+  for (let i = 0; i < total; i++) {
+    pending.push(manager.execute(async () => i, { priority: i % 5 }));
+  }
+  await new Promise((resolve) => setImmediate(resolve));
+  const { result } = time(`${statsCalls} getQueueStats calls`, () => {
+    let stats = null;
+    for (let i = 0; i < statsCalls; i++) {
+      stats = manager.getQueueStats();
+    }
+    return stats;
+  });
+  const queued = Object.values(result.waitTimeByPriority).reduce(
+    (sum, level) => sum + level.queued,
+    0
+  );
+  console.log(`  (${queued.toLocaleString()} queued across priorities)`);
+  manager.resume();
+  await Promise.all(pending);
+}
+
+console.log(`Queue benchmark with ${count.toLocaleString()} requests\n`);
+
+console.log(
+  `Sorted array (previous implementation), ${legacyCount.toLocaleString()} requests`
+);
+const legacy = runSortedArray(makeRequests(legacyCount));
+const legacyTotal = legacy.total * Math.pow(count / legacyCount, 2);
+console.log(
+  `  ${(legacyCount < count ? "total (extrapolated)" : "total").padEnd(28)} ${legacyTotal
+    .toFixed(1)
+    .padStart(10)} ms\n`
+);
+
+console.log(`Binary heap, ${count.toLocaleString()} requests`);
+const heap = runHeap(makeRequests(count));
+console.log(`  ${"total".padEnd(28)} ${heap.total.toFixed(1).padStart(10)} ms\n`);
+
+// Both queues must dispatch the same requests in the same order
+const reference = new PriorityQueue(compareQueuedRequests);
+makeRequests(legacyCount).forEach((req) => reference.push(req));
+const sameOrder = legacy.order.every((req) => req.id === reference.pop().id);
+console.log(
+  `Speedup: ${(legacyTotal / heap.total).toFixed(1)}x, dispatch order ${
+    sameOrder ? "identical" : "DIFFERS"
+  }\n`
+);
+
+console.log("ThreadManager end to end (8 slots, 3 tenants)");
+await runThreadManager(count);
+
+console.log(
+  `\ngetQueueStats with ${count.toLocaleString()} requests queued (paused)`
+);
+await runQueueStats(count);
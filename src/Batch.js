@@ -0,0 +1,252 @@
+import { setMaxListeners } from "events";
+import { CancelledError } from "./errors.js";
+
+let batchCounter = 0;
+
+// Runs a list of items through the threader as one unit. Items are submitted
+// through a bounded window so a 5,000-item batch doesn't flood the queue, and
+// results are reported in input order whether they succeed or fail.
+export class Batch {
+  constructor(threader, items, mapper, options = {}) {
+    const {
+      maxPending = 100,
+      onProgress = null,
+      signal = null,
+      batchId = null,
+      ...executeOptions
+    } = options;
+
+    this.id = batchId || `batch_${Date.now()}_${++batchCounter}`;
+    this.threader = threader;
+    this.items = Array.from(items);
+    this.mapper = mapper;
+    this.executeOptions = executeOptions;
+    this.maxPending =
+      Number.isFinite(maxPending) && maxPending > 0 ? maxPending : 100;
+    this.onProgress = onProgress;
+
+    this.total = this.items.length;
+    this.results = new Array(this.total);
+    this.nextIndex = 0;
+    this.pending = 0;
+    this.completed = 0;
+    this.failed = 0;
+    this.cancelled = 0;
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.abortController = new AbortController();
+    // Every in-flight item listens on the batch signal
+    setMaxListeners(this.maxPending + 10, this.abortController.signal);
+    this.progressListeners = new Set();
+
+    this.promise = new Promise((resolve) => {
+      this._resolve = resolve;
+    });
+
+    if (signal instanceof AbortSignal) {
+      if (signal.aborted) {
+        this.cancel(signal.reason?.message || "aborted");
+      } else {
+        signal.addEventListener("abort", () => this.cancel("aborted"), {
+          once: true,
+        });
+      }
+    }
+
+    this.fill();
+  }
+
+  fill() {
+    while (
+      this.pending < this.maxPending &&
+      this.nextIndex < this.total &&
+      !this.abortController.signal.aborted
+    ) {
+      this.submit(this.nextIndex++);
+    }
+    if (this.abortController.signal.aborted) {
+      // Items that were never submitted are cancelled without running
+      const reason = this.abortController.signal.reason;
+      while (this.nextIndex < this.total) {
+        this.settle(this.nextIndex++, "cancelled", reason);
+      }
+    }
+    if (this.pending === 0 && this.nextIndex >= this.total) {
+      this.finish();
+    }
+  }
+
+  submit(index) {
+    this.pending++;
+    const item = this.items[index];
+    this.threader
+      .execute((context) => this.mapper(item, index, context), {
+        ...this.executeOptions,
+        requestId: `${this.id}:${index}`,
+        signal: this.abortController.signal,
+      })
+      .then(
+        (value) => this.settle(index, "fulfilled", value),
+        (error) =>
+          this.settle(
+            index,
+            error instanceof CancelledError ? "cancelled" : "rejected",
+            error
+          )
+      )
+      .finally(() => {
+        this.pending--;
+        this.fill();
+      });
+  }
+
+  settle(index, status, valueOrError) {
+    if (status === "fulfilled") {
+      this.completed++;
+      this.results[index] = { status, value: valueOrError };
+    } else {
+      if (status === "cancelled") {
+        this.cancelled++;
+      } else {
+        this.failed++;
+      }
+      this.results[index] = { status: "rejected", reason: valueOrError };
+    }
+    this.emitProgress({ index, status });
+  }
+
+  estimateRemainingMs() {
+    const remaining =
+      this.total - this.completed - this.failed - this.cancelled;
+    if (remaining === 0) {
+      return 0;
+    }
+    const pool = this.threader.resolvePool(this.executeOptions.pool);
+    const stats = pool.getQueueStats();
+    if (stats.throughput > 0) {
+      return (remaining / stats.throughput) * 1000;
+    }
+    if (stats.avgLatency > 0) {
+      const slots = Math.max(1, pool.threadManager.maxConcurrentRequests);
+      return (remaining * stats.avgLatency) / slots;
+    }
+    return null;
+  }
+
+  getProgress() {
+    const done = this.completed + this.failed + this.cancelled;
+    return {
+      batchId: this.id,
+      total: this.total,
+      done,
+      completed: this.completed,
+      failed: this.failed,
+      cancelled: this.cancelled,
+      pending: this.total - done,
+      percent: this.total > 0 ? (done / this.total) * 100 : 100,
+      elapsedMs: (this.endTime || Date.now()) - this.startTime,
+      etaMs: this.estimateRemainingMs(),
+    };
+  }
+
+  emitProgress(details = {}) {
+    const event = { ...this.getProgress(), ...details };
+    if (this.onProgress) {
+      try {
+        this.onProgress(event);
+      } catch (error) {
+        console.warn(
+          "[Thread Manager] Batch progress callback failed:",
+          error?.message || error
+        );
+      }
+    }
+    this.progressListeners.forEach((listener) => listener(event));
+  }
+
+  finish() {
+    if (this.endTime !== null) {
+      return;
+    }
+    this.endTime = Date.now();
+    const settled = this.results;
+    this.progressListeners.forEach((listener) => listener(null));
+    this._resolve({
+      batchId: this.id,
+      results: settled,
+      values: settled.map((result) =>
+        result.status === "fulfilled" ? result.value : undefined
+      ),
+      errors: settled
+        .map((result, index) =>
+          result.status === "rejected" ? { index, error: result.reason } : null
+        )
+        .filter(Boolean),
+      completed: this.completed,
+      failed: this.failed,
+      cancelled: this.cancelled,
+      durationMs: this.endTime - this.startTime,
+    });
+  }
+
+  cancel(reason = "cancelled") {
+    if (this.abortController.signal.aborted || this.endTime !== null) {
+      return false;
+    }
+    // Queued and running items are cancelled through their request signal
+    this.abortController.abort(
+      new CancelledError(`Batch ${this.id} was cancelled`, { reason })
+    );
+    this.fill();
+    return true;
+  }
+
+  // Async iterator of progress events; ends when the batch settles
+  async *progress() {
+    const buffer = [];
+    let wake = null;
+    const listener = (event) => {
+      buffer.push(event);
+      if (wake) {
+        const resume = wake;
+        wake = null;
+        resume();
+      }
+    };
+    if (this.endTime !== null) {
+      yield this.getProgress();
+      return;
+    }
+    this.progressListeners.add(listener);
+    try {
+      while (true) {
+        if (buffer.length === 0) {
+          await new Promise((resolve) => {
+            wake = resolve;
+          });
+        }
+        const event = buffer.shift();
+        if (event === null) {
+          return;
+        }
+        yield event;
+      }
+    } finally {
+      this.progressListeners.delete(listener);
+    }
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.promise.catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.promise.finally(onFinally);
+  }
+}
+
+export default Batch;
@@ -0,0 +1,198 @@
+import { CancelledError } from "./errors.js";
+
+// Failure-rate circuit breaker for the backend behind a ThreadManager.
+// "closed" dispatches normally; once the failure rate over the window crosses
+// the threshold it goes "open" and holds queued work for the cool-down, then
+// "half-open" lets a few probe requests through. Probes that all succeed
+// close the breaker again; a failed probe re-opens it.
+export class CircuitBreaker {
+  constructor(options = {}) {
+    const {
+      failureThreshold = 0.5,
+      minRequests = 5,
+      windowMs = 30000,
+      coolDownMs = 10000,
+      probeRequests = 1,
+      isFailure = null,
+      onStateChange = null,
+    } = options;
+
+    this.failureThreshold =
+      Number.isFinite(failureThreshold) &&
+      failureThreshold > 0 &&
+      failureThreshold <= 1
+        ? failureThreshold
+        : 0.5;
+    this.minRequests =
+      Number.isFinite(minRequests) && minRequests > 0 ? minRequests : 5;
+    this.windowMs =
+      Number.isFinite(windowMs) && windowMs > 0 ? windowMs : 30000;
+    this.coolDownMs =
+      Number.isFinite(coolDownMs) && coolDownMs >= 0 ? coolDownMs : 10000;
+    this.probeRequests =
+      Number.isFinite(probeRequests) && probeRequests > 0
+        ? Math.floor(probeRequests)
+        : 1;
+    this.isFailureFn = isFailure;
+    this.onStateChange = onStateChange;
+
+    this.state = "closed";
+    this.outcomes = [];
+    this.maxOutcomes = 1000;
+    this.openedAt = null;
+    this.probesInFlight = 0;
+    this.probeSuccesses = 0;
+    this.trips = 0;
+    this.coolDownTimer = null;
+  }
+
+  // Cancellations say nothing about backend health
+  isFailure(error) {
+    if (error instanceof CancelledError) {
+      return false;
+    }
+    if (typeof this.isFailureFn === "function") {
+      return Boolean(this.isFailureFn(error));
+    }
+    return true;
+  }
+
+  canDispatch() {
+    if (this.state === "closed") {
+      return true;
+    }
+    if (this.state === "half-open") {
+      return this.probesInFlight < this.probeRequests;
+    }
+    return false;
+  }
+
+  onDispatch(request) {
+    if (this.state === "half-open") {
+      request.circuitProbe = true;
+      this.probesInFlight++;
+    }
+  }
+
+  recordSuccess(request) {
+    if (request.circuitProbe) {
+      request.circuitProbe = false;
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      if (this.state === "half-open") {
+        this.probeSuccesses++;
+        if (this.probeSuccesses >= this.probeRequests) {
+          this.transition("closed");
+        }
+      }
+      return;
+    }
+    if (this.state === "closed") {
+      this.recordOutcome(true);
+    }
+  }
+
+  recordFailure(request, error) {
+    const counts = this.isFailure(error);
+    if (request.circuitProbe) {
+      request.circuitProbe = false;
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      if (counts && this.state === "half-open") {
+        this.open();
+      }
+      return;
+    }
+    // Stragglers that started before the breaker opened are ignored
+    if (counts && this.state === "closed") {
+      this.recordOutcome(false);
+      const { attempts, failureRate } = this.getWindowStats();
+      if (
+        attempts >= this.minRequests &&
+        failureRate >= this.failureThreshold
+      ) {
+        this.open();
+      }
+    }
+  }
+
+  recordOutcome(succeeded) {
+    const now = Date.now();
+    this.outcomes.push({ timestamp: now, succeeded });
+    const cutoff = now - this.windowMs;
+    while (
+      this.outcomes.length > 0 &&
+      (this.outcomes[0].timestamp < cutoff ||
+        this.outcomes.length > this.maxOutcomes)
+    ) {
+      this.outcomes.shift();
+    }
+  }
+
+  getWindowStats() {
+    const cutoff = Date.now() - this.windowMs;
+    const recent = this.outcomes.filter((entry) => entry.timestamp >= cutoff);
+    const failures = recent.filter((entry) => !entry.succeeded).length;
+    return {
+      attempts: recent.length,
+      failures,
+      failureRate: recent.length > 0 ? failures / recent.length : 0,
+    };
+  }
+
+  open() {
+    this.trips++;
+    this.openedAt = Date.now();
+    this.clearCoolDown();
+    this.coolDownTimer = setTimeout(() => {
+      this.coolDownTimer = null;
+      this.transition("half-open");
+    }, this.coolDownMs);
+    this.transition("open");
+  }
+
+  // Closes the breaker immediately, e.g. after the backend was restarted
+  reset() {
+    this.clearCoolDown();
+    if (this.state !== "closed") {
+      this.transition("closed");
+    }
+  }
+
+  clearCoolDown() {
+    if (this.coolDownTimer) {
+      clearTimeout(this.coolDownTimer);
+      this.coolDownTimer = null;
+    }
+  }
+
+  transition(state) {
+    const previousState = this.state;
+    const details = this.getWindowStats();
+    this.state = state;
+    this.probeSuccesses = 0;
+    if (state !== "open") {
+      this.openedAt = null;
+    }
+    if (state === "closed") {
+      this.outcomes = [];
+    }
+    if (this.onStateChange && previousState !== state) {
+      this.onStateChange(state, previousState, details);
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      ...this.getWindowStats(),
+      trips: this.trips,
+      openedAt: this.openedAt,
+      nextProbeAt:
+        this.state === "open" && this.openedAt !== null
+          ? this.openedAt + this.coolDownMs
+          : null,
+      probesInFlight: this.probesInFlight,
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,487 @@
+import scalingDatabase from "./scalingDatabase.js";
+import {
+  CancelledError,
+  QueueFullError,
+  QuotaExceededError,
+} from "./errors.js";
+import { isWorkerJob } from "./WorkerPool.js";
+import {
+  DEFAULT_RETRY_POLICY,
+  computeRetryDelay,
+} from "./utils/retryPolicy.js";
+
+// Same interface as the durable job methods of the scaling database, for when
+// the database can't be opened. Jobs then only last as long as the process.
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.deadLetters = new Map();
+    this.nextId = 1;
+  }
+
+  addDurableJob(job) {
+    const id = this.nextId++;
+    this.jobs.set(id, {
+      id,
+      queue: job.queue,
+      handler: job.handler,
+      payload: job.payload,
+      priority: job.priority,
+      status: "pending",
+      attempts: 0,
+      max_attempts: job.maxAttempts,
+      available_at: job.availableAt,
+      lease_expires_at: null,
+      last_error: null,
+      created_at: job.createdAt,
+    });
+    return id;
+  }
+
+  claimDurableJobs(queue, handlers, limit, leaseExpiresAt, now = Date.now()) {
+    if (limit <= 0) return [];
+    return Array.from(this.jobs.values())
+      .filter(
+        (job) =>
+          job.queue === queue &&
+          job.status === "pending" &&
+          job.available_at <= now &&
+          handlers.includes(job.handler)
+      )
+      .sort((a, b) => b.priority - a.priority || a.id - b.id)
+      .slice(0, limit)
+      .map((job) => {
+        job.status = "active";
+        job.attempts += 1;
+        job.lease_expires_at = leaseExpiresAt;
+        return { ...job };
+      });
+  }
+
+  extendDurableJobLeases(ids, leaseExpiresAt) {
+    ids.forEach((id) => {
+      const job = this.jobs.get(id);
+      if (job && job.status === "active") {
+        job.lease_expires_at = leaseExpiresAt;
+      }
+    });
+  }
+
+  completeDurableJob(id) {
+    this.jobs.delete(id);
+  }
+
+  releaseDurableJob(id, { attempts, availableAt, error = null }) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+    job.status = "pending";
+    job.attempts = attempts;
+    job.available_at = availableAt;
+    job.lease_expires_at = null;
+    job.last_error = error ?? job.last_error;
+  }
+
+  deadLetterDurableJob(id, error, failedAt = Date.now()) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+    this.jobs.delete(id);
+    this.deadLetters.set(id, {
+      id,
+      queue: job.queue,
+      handler: job.handler,
+      payload: job.payload,
+      priority: job.priority,
+      attempts: job.attempts,
+      max_attempts: job.max_attempts,
+      error,
+      created_at: job.created_at,
+      failed_at: failedAt,
+    });
+  }
+
+  // Nothing outlives the process here, so no lease can belong to a dead one
+  recoverExpiredDurableJobs() {
+    return { requeued: 0, deadLettered: 0 };
+  }
+
+  countDurableJobs(queue) {
+    const counts = { pending: 0, active: 0, deadLetters: 0 };
+    this.jobs.forEach((job) => {
+      if (job.queue === queue) counts[job.status]++;
+    });
+    this.deadLetters.forEach((job) => {
+      if (job.queue === queue) counts.deadLetters++;
+    });
+    return counts;
+  }
+
+  getDurableDeadLetters(queue, limit = 100) {
+    return Array.from(this.deadLetters.values())
+      .filter((job) => job.queue === queue)
+      .sort((a, b) => b.failed_at - a.failed_at)
+      .slice(0, limit);
+  }
+
+  requeueDurableDeadLetter(queue, id, now = Date.now()) {
+    const dead = this.deadLetters.get(id);
+    if (!dead || dead.queue !== queue) return false;
+    this.deadLetters.delete(id);
+    this.jobs.set(id, {
+      ...dead,
+      status: "pending",
+      attempts: 0,
+      available_at: now,
+      lease_expires_at: null,
+      last_error: dead.error,
+    });
+    return true;
+  }
+
+  deleteDurableDeadLetters(queue) {
+    let deleted = 0;
+    this.deadLetters.forEach((job, id) => {
+      if (job.queue === queue) {
+        this.deadLetters.delete(id);
+        deleted++;
+      }
+    });
+    return { deleted };
+  }
+}
+
+function describeError(error) {
+  if (error instanceof Error) {
+    return `${error.name}: ${error.message}`;
+  }
+  return String(error);
+}
+
+// Persistent job queue on top of a pool. Jobs name a registered handler and
+// carry a JSON payload, so they survive restarts where queued closures can't.
+// Delivery is at-least-once: a job is leased while it runs and the lease is
+// renewed until it settles; if the process dies, the lease expires and the
+// job becomes available again. Jobs that run out of attempts are moved to
+// the dead letters.
+export class DurableQueue {
+  constructor(threader, name, options = {}) {
+    const {
+      pool = undefined,
+      maxAttempts = 3,
+      visibilityTimeoutMs = 5 * 60 * 1000,
+      retryDelayMs = 1000,
+      maxRetryDelayMs = 60000,
+      pollIntervalMs = 1000,
+      maxInFlight = 50,
+    } = options;
+
+    this.threader = threader;
+    this.name = name;
+    this.pool = pool;
+    this.maxAttempts =
+      Number.isFinite(maxAttempts) && maxAttempts >= 1
+        ? Math.floor(maxAttempts)
+        : 3;
+    this.visibilityTimeoutMs =
+      Number.isFinite(visibilityTimeoutMs) && visibilityTimeoutMs > 0
+        ? visibilityTimeoutMs
+        : 5 * 60 * 1000;
+    this.retryPolicy = {
+      ...DEFAULT_RETRY_POLICY,
+      initialDelayMs: retryDelayMs,
+      maxDelayMs: maxRetryDelayMs,
+    };
+    // Jobs are leased and handed to the pool in chunks so a large backlog
+    // stays in the database rather than in memory
+    this.maxInFlight =
+      Number.isFinite(maxInFlight) && maxInFlight > 0 ? maxInFlight : 50;
+
+    if (scalingDatabase.available) {
+      this.store = scalingDatabase;
+      this.persistent = true;
+    } else {
+      console.warn(
+        "[Thread Manager] Job queue database unavailable, jobs kept in memory"
+      );
+      this.store = new MemoryJobStore();
+      this.persistent = false;
+    }
+
+    this.handlers = new Map();
+    this.inFlight = new Map();
+    this.idleWaiters = [];
+    this.closed = false;
+    this.lastLeaseCheck = 0;
+    this.completedCount = 0;
+    this.retriedCount = 0;
+    this.deadLetteredCount = 0;
+    this.recoveredCount = 0;
+
+    this.pollTimer = setInterval(() => this.poll(), pollIntervalMs);
+    if (this.pollTimer.unref) {
+      this.pollTimer.unref();
+    }
+    this.poll();
+  }
+
+  // `handler` is `(payload, context) => result` or a worker job
+  // `{ module, export }` that is called with the payload. `options` are
+  // passed to execute() for each of its jobs (pool, type, timeoutMs, ...).
+  register(name, handler, options = {}) {
+    if (typeof handler !== "function" && !isWorkerJob(handler)) {
+      throw new TypeError(
+        `Handler "${name}" must be a function or a worker job`
+      );
+    }
+    this.handlers.set(name, { handler, options });
+    this.fill();
+    return this;
+  }
+
+  // Returns the job id
+  enqueue(job) {
+    const {
+      handler,
+      payload = null,
+      priority = 0,
+      delayMs = 0,
+      maxAttempts = this.maxAttempts,
+    } = job;
+    if (typeof handler !== "string" || handler.length === 0) {
+      throw new TypeError("Durable jobs need a handler name");
+    }
+    const now = Date.now();
+    const id = this.store.addDurableJob({
+      queue: this.name,
+      handler,
+      payload: JSON.stringify(payload),
+      priority: Number.isFinite(priority) ? priority : 0,
+      maxAttempts:
+        Number.isFinite(maxAttempts) && maxAttempts >= 1
+          ? Math.floor(maxAttempts)
+          : this.maxAttempts,
+      availableAt: now + Math.max(0, delayMs || 0),
+      createdAt: now,
+    });
+    this.fill();
+    return id;
+  }
+
+  // Leases are renewed even after close() until the last job settles
+  poll() {
+    try {
+      const now = Date.now();
+      // Renew our own leases before reclaiming expired ones
+      if (now - this.lastLeaseCheck >= this.visibilityTimeoutMs / 3) {
+        this.lastLeaseCheck = now;
+        this.store.extendDurableJobLeases(
+          Array.from(this.inFlight.keys()),
+          now + this.visibilityTimeoutMs
+        );
+        if (!this.closed) {
+          const recovered = this.store.recoverExpiredDurableJobs(
+            this.name,
+            now
+          );
+          this.recoveredCount += recovered.requeued;
+          this.deadLetteredCount += recovered.deadLettered;
+        }
+      }
+      this.fill();
+    } catch (error) {
+      console.warn(
+        "[Thread Manager] Durable queue poll failed:",
+        error?.message || error
+      );
+    }
+  }
+
+  fill() {
+    if (this.closed) {
+      return;
+    }
+    const now = Date.now();
+    const jobs = this.store.claimDurableJobs(
+      this.name,
+      Array.from(this.handlers.keys()),
+      this.maxInFlight - this.inFlight.size,
+      now + this.visibilityTimeoutMs,
+      now
+    );
+    jobs.forEach((job) => this.run(job));
+  }
+
+  run(job) {
+    let payload;
+    try {
+      payload = JSON.parse(job.payload);
+    } catch (error) {
+      this.store.deadLetterDurableJob(job.id, describeError(error));
+      this.deadLetteredCount++;
+      this.emitJobEvent("job:dead", job, { error });
+      return;
+    }
+
+    const { handler, options } = this.handlers.get(job.handler);
+    const operation = isWorkerJob(handler)
+      ? { ...handler, args: [payload] }
+      : (context) =>
+          handler(payload, {
+            ...context,
+            jobId: job.id,
+            attempt: job.attempts,
+          });
+
+    this.inFlight.set(job.id, job);
+    this.threader
+      .execute(operation, {
+        type: job.handler,
+        pool: this.pool,
+        ...options,
+        priority: job.priority,
+        requestId: `${this.name}:${job.id}`,
+        // Attempts are counted here so they survive restarts
+        retry: false,
+      })
+      .then(
+        () => this.handleSuccess(job),
+        (error) => this.handleFailure(job, error)
+      )
+      .catch((error) => {
+        console.warn(
+          "[Thread Manager] Failed to record durable job outcome:",
+          error?.message || error
+        );
+      });
+  }
+
+  settle(job) {
+    this.inFlight.delete(job.id);
+    if (this.closed && this.inFlight.size === 0) {
+      clearInterval(this.pollTimer);
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  handleSuccess(job) {
+    this.settle(job);
+    this.store.completeDurableJob(job.id);
+    this.completedCount++;
+    this.emitJobEvent("job:completed", job);
+    this.fill();
+  }
+
+  handleFailure(job, error) {
+    this.settle(job);
+    const now = Date.now();
+
+    // Jobs interrupted by shutdown or turned away by a full queue or a
+    // quota go back without using up an attempt
+    if (error instanceof CancelledError && error.reason === "shutdown") {
+      this.store.releaseDurableJob(job.id, {
+        attempts: job.attempts - 1,
+        availableAt: now,
+      });
+      return;
+    }
+    if (
+      error instanceof QueueFullError ||
+      error instanceof QuotaExceededError
+    ) {
+      this.store.releaseDurableJob(job.id, {
+        attempts: job.attempts - 1,
+        availableAt:
+          now +
+          (error.retryAfterMs ?? computeRetryDelay(this.retryPolicy, 1)),
+      });
+      return;
+    }
+
+    if (job.attempts >= job.max_attempts) {
+      this.store.deadLetterDurableJob(job.id, describeError(error), now);
+      this.deadLetteredCount++;
+      this.emitJobEvent("job:dead", job, { error });
+    } else {
+      const delayMs = computeRetryDelay(this.retryPolicy, job.attempts);
+      this.store.releaseDurableJob(job.id, {
+        attempts: job.attempts,
+        availableAt: now + delayMs,
+        error: describeError(error),
+      });
+      this.retriedCount++;
+      this.emitJobEvent("job:retrying", job, { error, delayMs });
+    }
+    this.fill();
+  }
+
+  emitJobEvent(event, job, details = {}) {
+    this.threader.emit(event, {
+      queue: this.name,
+      jobId: job.id,
+      handler: job.handler,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      ...details,
+      timestamp: Date.now(),
+    });
+  }
+
+  getDeadLetters(limit = 100) {
+    return this.store.getDurableDeadLetters(this.name, limit).map((row) => {
+      let payload = row.payload;
+      try {
+        payload = JSON.parse(row.payload);
+      } catch {
+        // Left as stored; it is why the job was dead-lettered
+      }
+      return {
+        id: row.id,
+        handler: row.handler,
+        payload,
+        priority: row.priority,
+        attempts: row.attempts,
+        error: row.error,
+        createdAt: row.created_at,
+        failedAt: row.failed_at,
+      };
+    });
+  }
+
+  // Puts a dead letter back in the queue with a fresh set of attempts
+  retryDeadLetter(id) {
+    const requeued = this.store.requeueDurableDeadLetter(this.name, id);
+    if (requeued) {
+      this.fill();
+    }
+    return requeued;
+  }
+
+  purgeDeadLetters() {
+    return this.store.deleteDurableDeadLetters(this.name).deleted;
+  }
+
+  // Stops leasing new jobs. Jobs already handed to the pool keep running;
+  // the returned promise resolves once they have all settled
+  close() {
+    this.closed = true;
+    if (this.inFlight.size === 0) {
+      clearInterval(this.pollTimer);
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  getStats() {
+    return {
+      persistent: this.persistent,
+      handlers: Array.from(this.handlers.keys()),
+      ...this.store.countDurableJobs(this.name),
+      inFlight: this.inFlight.size,
+      completed: this.completedCount,
+      retried: this.retriedCount,
+      deadLettered: this.deadLetteredCount,
+      recovered: this.recoveredCount,
+    };
+  }
+}
+
+export default DurableQueue;
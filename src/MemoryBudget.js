@@ -0,0 +1,156 @@
+const BYTES_PER_MB = 1024 * 1024;
+// Weight of the newest sample in the learned baseline and footprints
+const LEARNING_RATE = 0.2;
+
+// Memory admission shared by every pool. Running requests reserve their
+// estimated footprint; a new one is admitted while the projected usage stays
+// under `limitPercent` of total memory. The projection is the larger of what
+// the last sample shows (plus reservations made since) and the idle baseline
+// plus every reservation, since a request may not have allocated its memory
+// (e.g. a filling KV cache) by the time it is sampled.
+export class MemoryBudget {
+  constructor(options = {}) {
+    const { limitPercent = 85, learnFootprints = true } = options;
+    this.limitPercent =
+      Number.isFinite(limitPercent) && limitPercent > 0 && limitPercent <= 100
+        ? limitPercent
+        : 85;
+    this.learnFootprints = learnFootprints !== false;
+
+    this.totalMB = null;
+    this.usedMB = null;
+    this.sampledAt = null;
+    this.baselineMB = null;
+    this.reservations = new Map();
+    // Learned per-request footprint in MB, by operation type
+    this.footprints = {};
+  }
+
+  // Called with every system sample. Reclaimable buffers and caches count as
+  // free here, so usage is measured from `memoryAvailable` when the sample
+  // has it; they would otherwise hold Linux near its limit
+  observe(systemInfo) {
+    const { memoryTotal, memoryUsed, memoryAvailable, timestamp } =
+      systemInfo || {};
+    const used = Number.isFinite(memoryAvailable)
+      ? memoryTotal - memoryAvailable
+      : memoryUsed;
+    if (
+      !Number.isFinite(memoryTotal) ||
+      memoryTotal <= 0 ||
+      !Number.isFinite(used)
+    ) {
+      return;
+    }
+    this.totalMB = memoryTotal / BYTES_PER_MB;
+    this.usedMB = used / BYTES_PER_MB;
+    this.sampledAt = timestamp || Date.now();
+
+    const sampled = Array.from(this.reservations.values()).filter(
+      (reservation) => reservation.startedAt <= this.sampledAt
+    );
+    if (this.reservations.size === 0) {
+      this.baselineMB = this.blend(this.baselineMB, this.usedMB);
+    } else if (
+      this.learnFootprints &&
+      this.baselineMB !== null &&
+      sampled.length === this.reservations.size
+    ) {
+      // Only learn while every running request is of one type, so the
+      // growth over the baseline can be attributed
+      const type = sampled[0].type;
+      if (sampled.every((reservation) => reservation.type === type)) {
+        const perRequest =
+          Math.max(0, this.usedMB - this.baselineMB) / sampled.length;
+        this.footprints[type] = this.blend(this.footprints[type], perRequest);
+      }
+    }
+  }
+
+  blend(current, value) {
+    return current === null || current === undefined
+      ? value
+      : current + (value - current) * LEARNING_RATE;
+  }
+
+  estimate(type) {
+    const footprint = this.footprints[type];
+    return Number.isFinite(footprint) ? footprint : null;
+  }
+
+  getLimitMB() {
+    return this.totalMB === null
+      ? null
+      : (this.totalMB * this.limitPercent) / 100;
+  }
+
+  getProjectedMB() {
+    if (this.usedMB === null) {
+      return null;
+    }
+    let reservedMB = 0;
+    let unsampledMB = 0;
+    this.reservations.forEach((reservation) => {
+      reservedMB += reservation.memoryMB;
+      if (reservation.startedAt > this.sampledAt) {
+        unsampledMB += reservation.memoryMB;
+      }
+    });
+    const observed = this.usedMB + unsampledMB;
+    return this.baselineMB === null
+      ? observed
+      : Math.max(observed, this.baselineMB + reservedMB);
+  }
+
+  // Requests without an estimate are always admitted, and so is any request
+  // when nothing else is running, so one larger than the budget still runs
+  // (alone) instead of waiting forever
+  canAdmit(memoryMB) {
+    if (!(memoryMB > 0) || this.reservations.size === 0) {
+      return true;
+    }
+    const projected = this.getProjectedMB();
+    if (projected === null) {
+      return true;
+    }
+    return projected + memoryMB <= this.getLimitMB();
+  }
+
+  reserve(request, memoryMB) {
+    this.reservations.set(request, {
+      memoryMB: Math.max(0, memoryMB || 0),
+      type: request.type,
+      startedAt: request.startTime || Date.now(),
+    });
+  }
+
+  release(request) {
+    this.reservations.delete(request);
+  }
+
+  getState() {
+    let reservedMB = 0;
+    this.reservations.forEach((reservation) => {
+      reservedMB += reservation.memoryMB;
+    });
+    const round = (value) => (value === null ? null : Math.round(value));
+    return {
+      limitPercent: this.limitPercent,
+      totalMB: round(this.totalMB),
+      limitMB: round(this.getLimitMB()),
+      usedMB: round(this.usedMB),
+      baselineMB: round(this.baselineMB),
+      projectedMB: round(this.getProjectedMB()),
+      reservedMB: Math.round(reservedMB),
+      running: this.reservations.size,
+      footprints: Object.fromEntries(
+        Object.entries(this.footprints).map(([type, mb]) => [
+          type,
+          Math.round(mb),
+        ])
+      ),
+    };
+  }
+}
+
+export default MemoryBudget;
@@ -0,0 +1,203 @@
+import { readFile } from "fs/promises";
+import si from "systeminformation";
+
+// Fields of a sample, which is also one record of a metrics trace:
+// percentages for the usage fields, °C for temperatures and bytes for memory
+export const SAMPLE_FIELDS = [
+  "cpuUsage",
+  "cpuTemp",
+  "memoryUsage",
+  "memoryTotal",
+  "memoryUsed",
+  "memoryAvailable",
+  "gpuUsage",
+  "gpuTemp",
+];
+
+function calculateAverage(numbers) {
+  const validNumbers = numbers.filter((n) => n !== null && n !== undefined);
+  if (validNumbers.length === 0) return null;
+  return validNumbers.reduce((a, b) => a + b, 0) / validNumbers.length;
+}
+
+// Copies the known fields, with null for anything missing or not a number
+export function normalizeSample(sample) {
+  const normalized = {};
+  SAMPLE_FIELDS.forEach((field) => {
+    const value = sample?.[field];
+    normalized[field] = Number.isFinite(value) ? value : null;
+  });
+  return normalized;
+}
+
+// Source of the hardware readings behind every monitor tick. `sample()`
+// resolves with an object of SAMPLE_FIELDS; readings a provider doesn't have
+// may be null or left out.
+export class MetricsProvider {
+  async sample() {
+    throw new Error(`${this.constructor.name} does not implement sample()`);
+  }
+
+  // Called when the threader shuts down
+  async close() {}
+}
+
+// Live readings from the `systeminformation` package
+export class SystemInformationProvider extends MetricsProvider {
+  async sample() {
+    const loadData = await si.currentLoad();
+
+    const tempData = await si.cpuTemperature();
+    const allTemps = [tempData.main, ...(tempData.cores || []), tempData.max];
+
+    const memData = await si.mem();
+
+    let gpuTemp = null;
+    let gpuUsage = null;
+    try {
+      const gpuData = await si.graphics();
+      if (gpuData && gpuData.controllers && gpuData.controllers.length > 0) {
+        const primaryGPU = gpuData.controllers[0];
+        gpuTemp = primaryGPU.temperatureGpu;
+        gpuUsage = primaryGPU.utilizationGpu;
+      }
+    } catch (gpuError) {
+      // GPU info not available
+    }
+
+    return {
+      cpuUsage: loadData?.currentLoad,
+      cpuTemp: calculateAverage(allTemps),
+      memoryTotal: memData?.total,
+      memoryUsed: memData?.used,
+      memoryAvailable: memData?.available,
+      gpuUsage,
+      gpuTemp,
+    };
+  }
+}
+
+// Fixed or scripted readings, e.g. for tests. `metrics` is a sample, an
+// array of samples returned one per tick (the last one repeats), or a
+// function called with the tick index.
+export class StaticMetricsProvider extends MetricsProvider {
+  constructor(metrics = {}) {
+    super();
+    this.metrics = metrics;
+    this.ticks = 0;
+  }
+
+  // Merged over a static sample; replaces a script or function
+  set(metrics) {
+    const isSample =
+      this.metrics !== null &&
+      typeof this.metrics === "object" &&
+      !Array.isArray(this.metrics);
+    this.metrics = isSample ? { ...this.metrics, ...metrics } : metrics;
+  }
+
+  async sample() {
+    const tick = this.ticks++;
+    if (typeof this.metrics === "function") {
+      return await this.metrics(tick);
+    }
+    if (Array.isArray(this.metrics)) {
+      return this.metrics.length > 0
+        ? this.metrics[Math.min(tick, this.metrics.length - 1)]
+        : {};
+    }
+    return { ...this.metrics };
+  }
+}
+
+// A trace is a JSON array of samples or NDJSON with one sample per line
+export function parseTrace(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith("[")) {
+    return JSON.parse(trimmed);
+  }
+  return trimmed
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line));
+}
+
+// Replays a recorded trace. Samples keep the spacing of their `timestamp`s
+// (or `intervalMs` apart when they have none), scaled by `speed`, and each
+// tick reads the sample current at that point of the trace. Playback starts
+// with the first tick; at the end the last sample repeats unless `loop` is set.
+export class TraceReplayProvider extends MetricsProvider {
+  constructor(options = {}) {
+    super();
+    const { samples, trace, speed = 1, loop = false, intervalMs = 1000 } =
+      options;
+
+    const records = samples || (trace !== undefined ? parseTrace(trace) : []);
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new TypeError("Metrics trace has no samples");
+    }
+    const spacing =
+      Number.isFinite(intervalMs) && intervalMs > 0 ? intervalMs : 1000;
+    const timed = records.every((record) => Number.isFinite(record?.timestamp));
+    const origin = timed ? records[0].timestamp : 0;
+    this.records = records.map((record, index) => ({
+      at: timed ? Math.max(0, record.timestamp - origin) : index * spacing,
+      sample: normalizeSample(record),
+    }));
+    this.records.sort((a, b) => a.at - b.at);
+
+    const last = this.records[this.records.length - 1].at;
+    // One average sample interval past the last sample before looping
+    this.cycleMs =
+      last > 0 ? last + last / (this.records.length - 1) : spacing;
+    this.speed = Number.isFinite(speed) && speed > 0 ? speed : 1;
+    this.loop = Boolean(loop);
+    this.startedAt = null;
+  }
+
+  static async fromFile(path, options = {}) {
+    const trace = await readFile(path, "utf8");
+    return new TraceReplayProvider({ ...options, trace });
+  }
+
+  // Position in the trace, in trace milliseconds
+  getPosition(now = Date.now()) {
+    if (this.startedAt === null) {
+      return 0;
+    }
+    const position = (now - this.startedAt) * this.speed;
+    return this.loop ? position % this.cycleMs : position;
+  }
+
+  get ended() {
+    return (
+      !this.loop &&
+      this.getPosition() >= this.records[this.records.length - 1].at
+    );
+  }
+
+  rewind() {
+    this.startedAt = null;
+  }
+
+  async sample() {
+    if (this.startedAt === null) {
+      this.startedAt = Date.now();
+    }
+    const position = this.getPosition();
+    // Last record at or before the position
+    let low = 0;
+    let high = this.records.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.records[mid].at <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { ...this.records[low].sample };
+  }
+}
+
+export default MetricsProvider;
@@ -0,0 +1,84 @@
+import { createWriteStream } from "fs";
+import { MetricsProvider, normalizeSample } from "./MetricsProvider.js";
+
+// Wraps another provider and records every sample it returns in the trace
+// format TraceReplayProvider reads: appended to `path` as NDJSON, or kept in
+// memory (the latest `maxSamples`) for getTrace() when no path is given.
+export class MetricsRecorder extends MetricsProvider {
+  constructor(provider, options = {}) {
+    super();
+    if (!provider || typeof provider.sample !== "function") {
+      throw new TypeError("MetricsRecorder needs a provider with sample()");
+    }
+    const { path = null, maxSamples = 3600 } = options;
+    this.provider = provider;
+    this.path = path;
+    this.maxSamples =
+      Number.isFinite(maxSamples) && maxSamples > 0 ? maxSamples : 3600;
+    this.samples = [];
+    this.recorded = 0;
+    this.stream = null;
+    this.failed = false;
+  }
+
+  async sample() {
+    const sample = await this.provider.sample();
+    this.record(sample);
+    return sample;
+  }
+
+  record(sample) {
+    const record = { timestamp: Date.now(), ...normalizeSample(sample) };
+    this.recorded++;
+    if (this.path === null) {
+      this.samples.push(record);
+      if (this.samples.length > this.maxSamples) {
+        this.samples.shift();
+      }
+      return;
+    }
+    if (this.failed) {
+      return;
+    }
+    if (!this.stream) {
+      this.stream = createWriteStream(this.path, { flags: "a" });
+      this.stream.on("error", (error) => {
+        // Recording is best effort; the monitor keeps running without it
+        this.failed = true;
+        console.warn(
+          "[Thread Manager] Metrics recording stopped:",
+          error.message
+        );
+      });
+    }
+    this.stream.write(`${JSON.stringify(record)}\n`);
+  }
+
+  getTrace() {
+    return this.samples.slice();
+  }
+
+  // Flushes the trace file, then closes the wrapped provider
+  async close() {
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      await new Promise((resolve) => {
+        if (this.failed || stream.destroyed) {
+          resolve();
+          return;
+        }
+        // end()'s callback never runs once the stream has been destroyed,
+        // so settle on whichever of these comes first
+        stream.once("error", resolve);
+        stream.once("close", resolve);
+        stream.end(resolve);
+      });
+    }
+    if (typeof this.provider.close === "function") {
+      await this.provider.close();
+    }
+  }
+}
+
+export default MetricsRecorder;
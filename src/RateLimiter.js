@@ -0,0 +1,111 @@
+class TokenBucket {
+  constructor(capacity, refillPerMs) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMs;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.lastRefill);
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + elapsed * this.refillPerMs
+    );
+    this.lastRefill = now;
+  }
+
+  // Milliseconds until `amount` tokens are available (0 when they are now)
+  delayFor(amount, now = Date.now()) {
+    this.refill(now);
+    const needed = Math.min(amount, this.capacity) - this.tokens;
+    return needed > 0 ? Math.ceil(needed / this.refillPerMs) : 0;
+  }
+
+  // The balance may go negative when usage is reported after the fact; the
+  // debt is paid off by refills before anything else is admitted
+  take(amount, now = Date.now()) {
+    this.refill(now);
+    this.tokens -= amount;
+  }
+}
+
+// Requests-per-second and tokens-per-minute token buckets. Request tokens are
+// taken at dispatch; LLM tokens are taken from the caller's estimate at
+// dispatch and corrected once the actual count is known.
+export class RateLimiter {
+  constructor(options = {}) {
+    const { requestsPerSecond = null, tokensPerMinute = null, burst = null } =
+      options;
+    this.requestsPerSecond =
+      Number.isFinite(requestsPerSecond) && requestsPerSecond > 0
+        ? requestsPerSecond
+        : null;
+    this.tokensPerMinute =
+      Number.isFinite(tokensPerMinute) && tokensPerMinute > 0
+        ? tokensPerMinute
+        : null;
+
+    this.requestBucket =
+      this.requestsPerSecond !== null
+        ? new TokenBucket(
+            Number.isFinite(burst) && burst >= 1
+              ? burst
+              : Math.max(1, this.requestsPerSecond),
+            this.requestsPerSecond / 1000
+          )
+        : null;
+    this.tokenBucket =
+      this.tokensPerMinute !== null
+        ? new TokenBucket(this.tokensPerMinute, this.tokensPerMinute / 60000)
+        : null;
+  }
+
+  getDelay(estimatedTokens = 0, now = Date.now()) {
+    let delay = 0;
+    if (this.requestBucket) {
+      delay = Math.max(delay, this.requestBucket.delayFor(1, now));
+    }
+    if (this.tokenBucket) {
+      // Without an estimate the bucket only has to be out of debt
+      const needed = Math.max(estimatedTokens, Number.EPSILON);
+      delay = Math.max(delay, this.tokenBucket.delayFor(needed, now));
+    }
+    return delay;
+  }
+
+  acquire(estimatedTokens = 0) {
+    const now = Date.now();
+    if (this.requestBucket) {
+      this.requestBucket.take(1, now);
+    }
+    if (this.tokenBucket && estimatedTokens > 0) {
+      this.tokenBucket.take(estimatedTokens, now);
+    }
+  }
+
+  // Charges (or refunds) the difference between the actual and estimated tokens
+  settleTokens(actualTokens, estimatedTokens = 0) {
+    if (this.tokenBucket && Number.isFinite(actualTokens)) {
+      this.tokenBucket.take(actualTokens - estimatedTokens);
+    }
+  }
+
+  getState() {
+    const now = Date.now();
+    if (this.requestBucket) this.requestBucket.refill(now);
+    if (this.tokenBucket) this.tokenBucket.refill(now);
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      tokensPerMinute: this.tokensPerMinute,
+      availableRequests: this.requestBucket
+        ? Math.floor(this.requestBucket.tokens)
+        : null,
+      availableTokens: this.tokenBucket
+        ? Math.floor(this.tokenBucket.tokens)
+        : null,
+    };
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,130 @@
+import scalingDatabase from "./scalingDatabase.js";
+
+const CACHE_STORES = ["memory", "sqlite"];
+
+// TTL result cache for keyed requests. The "memory" store is an in-process
+// LRU; "sqlite" keeps JSON-serialized results in the scaling database so they
+// survive restarts, and falls back to memory when the database is unavailable.
+export class ResultCache {
+  constructor({
+    store = "memory",
+    ttlMs = 5 * 60 * 1000,
+    maxEntries = 500,
+  } = {}) {
+    this.store = CACHE_STORES.includes(store) ? store : "memory";
+    if (this.store === "sqlite" && !scalingDatabase.available) {
+      console.warn(
+        "[Thread Manager] Result cache database unavailable, caching in memory"
+      );
+      this.store = "memory";
+    }
+    this.ttlMs = Number.isFinite(ttlMs) && ttlMs > 0 ? ttlMs : 5 * 60 * 1000;
+    this.maxEntries =
+      Number.isFinite(maxEntries) && maxEntries > 0 ? maxEntries : 500;
+    this._memoryEntries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // Returns { value } on a hit so cached `undefined` results still count
+  get(key) {
+    const entry = this._read(key);
+    if (entry) {
+      this.hits++;
+    } else {
+      this.misses++;
+    }
+    return entry;
+  }
+
+  _read(key) {
+    if (this.store === "sqlite") {
+      const serialized = scalingDatabase.getCachedResult(key);
+      if (serialized === null) {
+        return undefined;
+      }
+      try {
+        return JSON.parse(serialized);
+      } catch {
+        scalingDatabase.deleteCachedResult(key);
+        return undefined;
+      }
+    }
+
+    const entry = this._memoryEntries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt < Date.now()) {
+      this._memoryEntries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this._memoryEntries.delete(key);
+    this._memoryEntries.set(key, entry);
+    return { value: entry.value };
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    const expiresAt =
+      Date.now() + (Number.isFinite(ttlMs) && ttlMs > 0 ? ttlMs : this.ttlMs);
+
+    if (this.store === "sqlite") {
+      let serialized;
+      try {
+        serialized = JSON.stringify({ value });
+      } catch (error) {
+        console.warn(
+          "[Thread Manager] Result is not serializable, not caching:",
+          error?.message || error
+        );
+        return false;
+      }
+      scalingDatabase.setCachedResult(key, serialized, expiresAt);
+      scalingDatabase.pruneResultCache(this.maxEntries);
+      return true;
+    }
+
+    this._memoryEntries.delete(key);
+    this._memoryEntries.set(key, { value, expiresAt });
+    while (this._memoryEntries.size > this.maxEntries) {
+      const oldestKey = this._memoryEntries.keys().next().value;
+      this._memoryEntries.delete(oldestKey);
+    }
+    return true;
+  }
+
+  delete(key) {
+    if (this.store === "sqlite") {
+      scalingDatabase.deleteCachedResult(key);
+    } else {
+      this._memoryEntries.delete(key);
+    }
+  }
+
+  clear() {
+    if (this.store === "sqlite") {
+      scalingDatabase.clearResultCache();
+    } else {
+      this._memoryEntries.clear();
+    }
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      store: this.store,
+      size:
+        this.store === "sqlite"
+          ? scalingDatabase.countCachedResults()
+          : this._memoryEntries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+    };
+  }
+}
+
+export default ResultCache;
@@ -5,6 +5,9 @@ import { PIDController } from "./utils/PIDController.js";
 import { calculateMedian } from "./utils/mathUtils.js";
 import { RewardCalculator } from "./utils/rewardCalculator.js";
 
+// Weight of the newest idle reading in the idle load baseline
+const IDLE_LOAD_LEARNING_RATE = 0.2;
+
 export class ScalingDecisionEngine {
   constructor(options = {}) {
     this.emergencyAbsoluteLimits = {
@@ -32,7 +35,16 @@ export class ScalingDecisionEngine {
     this.demandHistory = [];
     this.maxDemandHistory = 50;
 
+    // Share of failed attempts at which the backend is treated as struggling
+    this.failureRateThreshold = options.failureRateThreshold || 0.3;
+    // Share of missed deadlines that justifies adding a thread
+    this.deadlineMissThreshold = options.deadlineMissThreshold || 0.1;
+    // The threader's canAccept(), when the engine runs inside one
+    this.admissionCheck = options.admissionCheck || null;
+
     this.operationIntensityProfiles = {};
+    // Load with nothing running, so profiles only learn what requests add
+    this.idleLoad = { cpu: null, gpu: null, memory: null };
 
     this.maxThreads =
       Number.isFinite(options.maxThreads) && options.maxThreads > 0
@@ -48,9 +60,11 @@ export class ScalingDecisionEngine {
       outputMax: Number.isFinite(this.maxThreads) ? this.maxThreads : 12,
     });
 
+    this.optimizeFor = options.optimizeFor === "tokens" ? "tokens" : "requests";
     this.rewardCalculator = new RewardCalculator(
       this.highThresholds,
-      this.emergencyAbsoluteLimits
+      this.emergencyAbsoluteLimits,
+      { objective: this.optimizeFor }
     );
     this.lastTemp = null;
     this.tempDeltas = [];
@@ -80,6 +94,24 @@ export class ScalingDecisionEngine {
       );
     }
     this._loadScalingHistory();
+    this._loadOperationProfiles();
+  }
+
+  _loadOperationProfiles() {
+    if (!scalingDatabase.available) {
+      return;
+    }
+    try {
+      scalingDatabase.getAllOperationProfiles().forEach((profile) => {
+        this.operationIntensityProfiles[profile.operation_type] = {
+          ...profile,
+        };
+      });
+      this.updateOperationIntensityProfiles();
+    } catch (error) {
+      // Best effort; profiles are relearned from live traffic
+      void error;
+    }
   }
 
   _loadScalingHistory() {
@@ -115,7 +147,8 @@ export class ScalingDecisionEngine {
     throughput = null,
     avgLatency = null,
     backlogSize = null,
-    p95Latency = null
+    p95Latency = null,
+    queueSignals = {}
   ) {
     const latest = metrics[metrics.length - 1] || {};
     const cpuUsage =
@@ -146,12 +179,22 @@ export class ScalingDecisionEngine {
       avgLatency,
       p95Latency,
       backlog: backlogSize,
+      tokenThroughput: queueSignals.tokenThroughput ?? null,
+      ttftMs: queueSignals.ttftMs ?? null,
+      failureRate: queueSignals.failureRate ?? 0,
+      deadlineMissRate: queueSignals.deadlineMissRate ?? 0,
+      queueWaitMs: queueSignals.queueWaitMs ?? null,
+      serviceTimeMs: queueSignals.serviceTimeMs ?? null,
+      arrivalRate: queueSignals.arrivalRate ?? null,
     };
 
     this.performanceHistory.push(performancePoint);
     if (this.performanceHistory.length > this.maxPerformanceHistory) {
       this.performanceHistory.shift();
     }
+    if (activeThreads === 0) {
+      this.updateIdleLoad(performancePoint);
+    }
 
     if (scalingDatabase.available) {
       scalingDatabase.addScalingHistory({
@@ -201,11 +244,194 @@ export class ScalingDecisionEngine {
     });
   }
 
+  // Queue wait shrinks roughly in proportion to added slots, while service
+  // time is a property of the model and doesn't improve with more threads
+  predictQueueWait(queueWaitMs, threads) {
+    if (!Number.isFinite(queueWaitMs) || queueWaitMs <= 0) {
+      return Number.isFinite(queueWaitMs) ? 0 : null;
+    }
+    const currentThreads = Math.max(this.lastRecommendedThreads || 1, 1);
+    return queueWaitMs * (currentThreads / Math.max(threads, 1));
+  }
+
+  recordOperationSamples(completedOperations = []) {
+    if (!Array.isArray(completedOperations) || completedOperations.length === 0) {
+      return;
+    }
+
+    completedOperations.forEach((operation) => {
+      if (!operation || operation.status !== "completed" || !operation.type) {
+        return;
+      }
+
+      // Attribute the load observed over the idle baseline while the
+      // operation ran, split evenly across the requests active at the time
+      const startTime = operation.startTime || operation.endTime;
+      const endTime = operation.endTime || Date.now();
+      const busy = this.performanceHistory.filter(
+        (point) => point.activeThreads > 0
+      );
+      let window = busy.filter(
+        (point) => point.timestamp >= startTime && point.timestamp <= endTime
+      );
+      if (window.length === 0 && busy.length > 0) {
+        window = [busy[busy.length - 1]];
+      }
+      if (window.length === 0) {
+        return;
+      }
+
+      const averageShare = (key, baseline) => {
+        if (!Number.isFinite(baseline)) {
+          return null;
+        }
+        const values = window
+          .filter((point) => Number.isFinite(point[key]))
+          .map(
+            (point) => Math.max(0, point[key] - baseline) / point.activeThreads
+          );
+        return values.length > 0
+          ? values.reduce((sum, value) => sum + value, 0) / values.length
+          : null;
+      };
+      const shares = {
+        cpu: averageShare("cpuUsage", this.idleLoad.cpu),
+        gpu: averageShare("gpuUsage", this.idleLoad.gpu),
+        memory: averageShare("memoryUsage", this.idleLoad.memory),
+      };
+      // Nothing can be attributed until the system has been seen idle
+      if (Object.values(shares).every((share) => share === null)) {
+        return;
+      }
+      const temps = window
+        .map((point) => point.cpuTemp)
+        .filter((value) => Number.isFinite(value));
+
+      this.updateOperationProfile(operation.type, {
+        ...shares,
+        temperature:
+          temps.length > 0
+            ? temps.reduce((sum, value) => sum + value, 0) / temps.length
+            : null,
+        duration: operation.duration,
+      });
+    });
+
+    this.updateOperationIntensityProfiles();
+  }
+
+  updateIdleLoad(point) {
+    const blend = (current, value) =>
+      !Number.isFinite(value)
+        ? current
+        : current === null
+        ? value
+        : current + (value - current) * IDLE_LOAD_LEARNING_RATE;
+    this.idleLoad = {
+      cpu: blend(this.idleLoad.cpu, point.cpuUsage),
+      gpu: blend(this.idleLoad.gpu, point.gpuUsage),
+      memory: blend(this.idleLoad.memory, point.memoryUsage),
+    };
+  }
+
+  updateOperationProfile(operationType, sample) {
+    const profile = this.operationIntensityProfiles[operationType] || {
+      operation_type: operationType,
+      cpu_avg: 0,
+      gpu_avg: 0,
+      memory_avg: 0,
+      temperature_avg: 0,
+      duration_avg: 0,
+      count: 0,
+    };
+
+    const count = (profile.count || 0) + 1;
+    // Cap the averaging window so profiles keep tracking model/hardware changes
+    const n = Math.min(count, 100);
+    const blend = (current, value) =>
+      Number.isFinite(value) ? current + (value - current) / n : current;
+
+    const updated = {
+      ...profile,
+      cpu_avg: blend(profile.cpu_avg || 0, sample.cpu),
+      gpu_avg: blend(profile.gpu_avg || 0, sample.gpu),
+      memory_avg: blend(profile.memory_avg || 0, sample.memory),
+      temperature_avg: blend(profile.temperature_avg || 0, sample.temperature),
+      duration_avg: blend(profile.duration_avg || 0, sample.duration),
+      count,
+      last_updated: Date.now(),
+    };
+    this.operationIntensityProfiles[operationType] = updated;
+
+    if (scalingDatabase.available) {
+      scalingDatabase.updateOperationProfile(operationType, updated);
+    }
+    return updated;
+  }
+
   updateOperationIntensityProfiles() {
-    // Placeholder for DB-backed profiles in the reference implementation.
+    Object.values(this.operationIntensityProfiles).forEach((profile) => {
+      const perRequestLoad = Math.max(profile.cpu_avg || 0, profile.gpu_avg || 0);
+      profile.intensity = Math.max(0, Math.min(1, perRequestLoad / 100));
+    });
     return this.operationIntensityProfiles;
   }
 
+  getOperationIntensities() {
+    const intensities = {};
+    Object.entries(this.operationIntensityProfiles).forEach(
+      ([type, profile]) => {
+        if (Number.isFinite(profile.intensity)) {
+          intensities[type] = profile.intensity;
+        }
+      }
+    );
+    return intensities;
+  }
+
+  predictLoadFromOperationProfiles(currentMetrics, targetThreads, operationMix) {
+    const minProfileSamples = 3;
+    let profiledCount = 0;
+    const impact = { cpu: 0, gpu: 0, memory: 0 };
+
+    Object.entries(operationMix || {}).forEach(([type, count]) => {
+      const profile = this.operationIntensityProfiles[type];
+      if (!profile || (profile.count || 0) < minProfileSamples || !(count > 0)) {
+        return;
+      }
+      impact.cpu += (profile.cpu_avg || 0) * count;
+      impact.gpu += (profile.gpu_avg || 0) * count;
+      impact.memory += (profile.memory_avg || 0) * count;
+      profiledCount += count;
+    });
+
+    if (profiledCount === 0) {
+      return null;
+    }
+
+    const latest = currentMetrics[currentMetrics.length - 1] || {};
+    const threadDiff = targetThreads - this.lastRecommendedThreads;
+    const baseline = this.estimateLoadFromThreadScaling(
+      currentMetrics,
+      targetThreads
+    );
+    const gpuUsage = latest.avgGpuUsage ?? latest.gpuUsage;
+
+    return {
+      predictedCpuUsage:
+        (latest.avgCpuUsage || 0) + threadDiff * (impact.cpu / profiledCount),
+      predictedCpuTemp: baseline.predictedCpuTemp,
+      predictedMemoryUsage:
+        (latest.avgMemoryUsage || 0) +
+        threadDiff * (impact.memory / profiledCount),
+      predictedGpuUsage: Number.isFinite(gpuUsage)
+        ? gpuUsage + threadDiff * (impact.gpu / profiledCount)
+        : undefined,
+      confidence: Math.min(0.4 + profiledCount / 50, 0.85),
+      basedOn: "operation_profiles",
+    };
+  }
+
   getExplorationCeiling(queuePressure = 0, activeThreads = 0) {
     if (Number.isFinite(this.maxThreads)) {
       return this.maxThreads;
@@ -216,6 +442,18 @@ export class ScalingDecisionEngine {
   }
 
   predictLoadWithThreads(currentMetrics, targetThreads) {
+    const liveMix =
+      this.performanceHistory[this.performanceHistory.length - 1]
+        ?.operationMix || {};
+    const profiled = this.predictLoadFromOperationProfiles(
+      currentMetrics,
+      targetThreads,
+      liveMix
+    );
+    if (profiled) {
+      return profiled;
+    }
+
     if (this.performanceHistory.length < 10) {
       const threadMultiplier =
         targetThreads / Math.max(this.lastRecommendedThreads, 1);
@@ -632,6 +870,7 @@ export class ScalingDecisionEngine {
 
     const gpuTemp = latest.avgGpuTemp || latest.gpuTemp || 0;
     const gpuUsage = latest.avgGpuUsage || latest.gpuUsage || 0;
+    const memoryUsage = latest.avgMemoryUsage || latest.memoryUsage || 0;
 
     const latestPerformance =
       this.performanceHistory[this.performanceHistory.length - 1];
@@ -642,15 +881,21 @@ export class ScalingDecisionEngine {
     const backlog = Math.max(backlogRaw || 0, queuePressure + 1);
     const utilization = latestPerformance?.utilization || 0;
     const throughput = latestPerformance?.throughput || 0;
+    // Service time only; queue wait is a separate reward input
     const latencyMs =
       latestPerformance?.p95Latency ||
+      latestPerformance?.serviceTimeMs ||
       latestPerformance?.avgLatency ||
       this.estimateTypicalLatency();
+    const tokenThroughput = latestPerformance?.tokenThroughput;
+    const ttftMs = latestPerformance?.ttftMs;
+    const queueWaitMs = latestPerformance?.queueWaitMs;
 
     // Emergency clamp if above hard limits
     const isHardEmergency =
       (latest.avgCpuTemp || 0) >= this.emergencyAbsoluteLimits.cpuTemp ||
       (latest.avgCpuUsage || 0) >= this.emergencyAbsoluteLimits.cpuUsage ||
+      memoryUsage >= this.emergencyAbsoluteLimits.memoryUsage ||
       gpuTemp >= this.emergencyAbsoluteLimits.gpuTemp ||
       gpuUsage >= this.emergencyAbsoluteLimits.gpuUsage;
     if (isHardEmergency) {
@@ -691,10 +936,17 @@ export class ScalingDecisionEngine {
           : threads > 0 && latencyMs
           ? threads / Math.max(latencyMs / 1000, 0.001)
           : throughput || 0;
+      const effectiveTokenThroughput =
+        Number.isFinite(tokenThroughput) && tokenThroughput > 0
+          ? tokenThroughput * (threads / Math.max(this.lastRecommendedThreads, 1))
+          : null;
       const reward = this.rewardCalculator.computeReward({
         throughput: effectiveThroughput,
         latencyMs,
+        waitMs: this.predictQueueWait(queueWaitMs, threads),
         backlog,
+        tokenThroughput: effectiveTokenThroughput,
+        ttftMs,
         predictedCpu: prediction.predictedCpuUsage,
         predictedTemp: prediction.predictedCpuTemp,
         predictedGpuUsage: prediction.predictedGpuUsage,
@@ -796,6 +1048,37 @@ export class ScalingDecisionEngine {
       recommended = this.lastRecommendedThreads;
     }
 
+    // Repeated failures mean extra threads only add load to a struggling backend
+    const failureRate = latestPerformance?.failureRate || 0;
+    let failureReason = null;
+    if (
+      failureRate >= this.failureRateThreshold &&
+      recommended >= this.lastRecommendedThreads
+    ) {
+      recommended =
+        failureRate >= 2 * this.failureRateThreshold
+          ? Math.max(1, this.lastRecommendedThreads - 1)
+          : this.lastRecommendedThreads;
+      failureReason = `backend_failures_${(failureRate * 100).toFixed(0)}%`;
+    }
+
+    let deadlineReason = null;
+    if (
+      !failureReason &&
+      !isNearEmergency &&
+      recommended <= this.lastRecommendedThreads &&
+      this.lastRecommendedThreads < adjustedMaxThreads &&
+      this.isDeadlinePressureRising()
+    ) {
+      const candidate = this.lastRecommendedThreads + 1;
+      if (this.isThermallySafe(this.predictLoadWithThreads(rawSamples, candidate))) {
+        recommended = candidate;
+        deadlineReason = `deadline_misses_${(
+          (latestPerformance?.deadlineMissRate || 0) * 100
+        ).toFixed(0)}%`;
+      }
+    }
+
     const cappedByDemand = Math.max(
       1,
       Math.min(recommended, Math.max(backlog, 1))
@@ -803,9 +1086,11 @@ export class ScalingDecisionEngine {
     this.afterScalingDecision(rawSamples, cappedByDemand);
 
     const reason =
-      demandDecision.scaleType !== "none"
+      failureReason ||
+      deadlineReason ||
+      (demandDecision.scaleType !== "none"
         ? demandDecision.reason
-        : `bayes_pid_blend_intensity_${currentIntensity.toFixed(2)}`;
+        : `bayes_pid_blend_intensity_${currentIntensity.toFixed(2)}`);
 
     return {
       recommendedThreads: cappedByDemand,
@@ -819,6 +1104,35 @@ export class ScalingDecisionEngine {
     };
   }
 
+  isDeadlinePressureRising() {
+    const recent = this.performanceHistory.slice(-10);
+    const latest = recent[recent.length - 1];
+    const missRate = latest?.deadlineMissRate || 0;
+    if (missRate < this.deadlineMissThreshold) {
+      return false;
+    }
+    const earlier = recent
+      .slice(0, -1)
+      .map((point) => point.deadlineMissRate || 0);
+    if (earlier.length === 0) {
+      return true;
+    }
+    const earlierAvg =
+      earlier.reduce((sum, value) => sum + value, 0) / earlier.length;
+    return missRate >= earlierAvg;
+  }
+
+  isThermallySafe(prediction) {
+    const below = (value, limit) => !Number.isFinite(value) || value < limit;
+    return (
+      below(prediction.predictedCpuUsage, this.highThresholds.cpuUsage) &&
+      below(prediction.predictedCpuTemp, this.highThresholds.cpuTemp) &&
+      below(prediction.predictedMemoryUsage, this.highThresholds.memoryUsage) &&
+      below(prediction.predictedGpuUsage, this.highThresholds.gpuUsage) &&
+      below(prediction.predictedGpuTemp, this.highThresholds.gpuTemp)
+    );
+  }
+
   shouldHoldScaleUp(prevThreads, nextThreads) {
     if (nextThreads <= prevThreads) {
       return false;
@@ -913,7 +1227,12 @@ export class ScalingDecisionEngine {
     return sum / recent.length;
   }
 
+  // Kept for existing callers; defers to the threader's general admission
+  // check, falling back to the original fixed queue limit when standalone
   canAcceptEmbeddingRequest(queueLength) {
+    if (this.admissionCheck) {
+      return this.admissionCheck({ type: "embedding" });
+    }
     return queueLength < 10;
   }
 
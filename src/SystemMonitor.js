@@ -1,10 +1,72 @@
-import si from "systeminformation";
+import {
+  SystemInformationProvider,
+  normalizeSample,
+} from "./MetricsProvider.js";
 import { ScalingDecisionEngine } from "./ScalingDecisionEngine.js";
 
-function calculateAverage(numbers) {
-  const validNumbers = numbers.filter((n) => n !== null && n !== undefined);
-  if (validNumbers.length === 0) return null;
-  return validNumbers.reduce((a, b) => a + b, 0) / validNumbers.length;
+// Metrics checked against the high/emergency thresholds, keyed by threshold name
+const THERMAL_METRICS = {
+  cpuTemp: "avgTemp",
+  cpuUsage: "cpuLoad",
+  memoryUsage: "memoryUsage",
+  gpuTemp: "avgGpuTemp",
+  gpuUsage: "avgGpuUsage",
+};
+
+function summarizeMetrics(systemInfo) {
+  return {
+    cpuUsage: systemInfo.cpuLoad,
+    cpuTemp: systemInfo.avgTemp,
+    memoryUsage: systemInfo.memoryUsage,
+    gpuUsage: systemInfo.avgGpuUsage,
+    gpuTemp: systemInfo.avgGpuTemp,
+  };
+}
+
+// Expands a provider sample into the fields the engine and thresholds read
+function toSystemInfo(sample) {
+  const {
+    cpuUsage,
+    cpuTemp,
+    memoryUsage: reportedMemoryUsage,
+    memoryTotal,
+    memoryUsed,
+    memoryAvailable,
+    gpuUsage,
+    gpuTemp,
+  } = normalizeSample(sample);
+  const memoryUsage =
+    reportedMemoryUsage ??
+    (memoryTotal > 0 && memoryUsed !== null
+      ? (memoryUsed / memoryTotal) * 100
+      : null);
+  return {
+    cpuLoad: cpuUsage,
+    avgTemp: cpuTemp,
+    avgCpuUsage: cpuUsage,
+    avgCpuTemp: cpuTemp,
+    memoryUsage,
+    avgMemoryUsage: memoryUsage,
+    // Bytes, for memory admission
+    memoryTotal,
+    memoryUsed,
+    memoryAvailable,
+    gpuTemp,
+    avgGpuTemp: gpuTemp,
+    gpuUsage,
+    avgGpuUsage: gpuUsage,
+    timestamp: Date.now(),
+  };
+}
+
+function getExceededLimits(systemInfo, thresholds) {
+  return Object.entries(THERMAL_METRICS)
+    .filter(([limit, field]) => (systemInfo[field] || 0) >= thresholds[limit])
+    .map(([limit, field]) => ({
+      metric: limit,
+      value: systemInfo[field],
+      limit: thresholds[limit],
+    }));
 }
 
 export class SystemMonitor {
@@ -38,6 +100,8 @@ export class SystemMonitor {
       highThresholds: highThresholds,
       maxHistoryAgeMinutes: options.maxHistoryAgeMinutes || 5,
       maxDataPoints: options.maxDataPoints || 300,
+      optimizeFor: options.optimizeFor,
+      admissionCheck: options.admissionCheck,
     });
     this.options = options;
 
@@ -53,64 +117,63 @@ export class SystemMonitor {
       maxMetricsHistory: 120,
     };
 
+    // Where readings come from; see MetricsProvider
+    this.metricsProvider =
+      options.metricsProvider || new SystemInformationProvider();
+    if (typeof this.metricsProvider.sample !== "function") {
+      throw new TypeError("metricsProvider must implement sample()");
+    }
+
     this.onScalingUpdate = options.onScalingUpdate || null;
+    this.onScalingDecision = options.onScalingDecision || null;
+    this.onThermalStateChange = options.onThermalStateChange || null;
+    // Every sample, including ticks skipped while paused
+    this.onSystemSample = options.onSystemSample || null;
     this.getQueueMetrics = options.getQueueMetrics || null;
     this._tickInFlight = false;
+    // "normal", "warning" (above high thresholds) or "emergency"
+    this.thermalState = "normal";
   }
 
-  async getEnhancedSystemInfo() {
-    try {
-      const loadData = await si.currentLoad();
-      const cpuLoad = loadData?.currentLoad;
-
-      const tempData = await si.cpuTemperature();
-      const allTemps = [tempData.main, ...(tempData.cores || []), tempData.max];
-      const avgTemp = calculateAverage(allTemps);
-
-      const memData = await si.mem();
-      const memoryUsage = memData ? (memData.used / memData.total) * 100 : null;
+  updateThermalState(systemInfo, exceededHigh, exceededEmergency) {
+    const state =
+      exceededEmergency.length > 0
+        ? "emergency"
+        : exceededHigh.length > 0
+        ? "warning"
+        : "normal";
+    if (state === this.thermalState) {
+      return;
+    }
+    const previousState = this.thermalState;
+    this.thermalState = state;
+    if (this.onThermalStateChange) {
+      this.onThermalStateChange(state, previousState, {
+        exceeded: state === "emergency" ? exceededEmergency : exceededHigh,
+        metrics: summarizeMetrics(systemInfo),
+        timestamp: systemInfo.timestamp,
+      });
+    }
+  }
 
-      let gpuTemp = null;
-      let gpuUsage = null;
-      try {
-        const gpuData = await si.graphics();
-        if (gpuData && gpuData.controllers && gpuData.controllers.length > 0) {
-          const primaryGPU = gpuData.controllers[0];
-          gpuTemp = primaryGPU.temperatureGpu;
-          gpuUsage = primaryGPU.utilizationGpu;
-        }
-      } catch (gpuError) {
-        // GPU info not available
-      }
+  recordDecision(decision, systemInfo) {
+    this.monitoringState.lastScalingDecision = decision;
+    if (this.onScalingDecision) {
+      this.onScalingDecision({
+        ...decision,
+        previousThreads: this.monitoringState.currentThreadCount,
+        metrics: summarizeMetrics(systemInfo),
+        thermalState: this.thermalState,
+      });
+    }
+  }
 
-      return {
-        cpuLoad,
-        avgTemp,
-        avgCpuUsage: cpuLoad,
-        avgCpuTemp: avgTemp,
-        memoryUsage,
-        avgMemoryUsage: memoryUsage,
-        gpuTemp,
-        avgGpuTemp: gpuTemp,
-        gpuUsage,
-        avgGpuUsage: gpuUsage,
-        timestamp: Date.now(),
-      };
+  async getEnhancedSystemInfo() {
+    try {
+      return toSystemInfo(await this.metricsProvider.sample());
     } catch (error) {
       console.error("Error getting system information:", error);
-      return {
-        cpuLoad: null,
-        avgTemp: null,
-        avgCpuUsage: null,
-        avgCpuTemp: null,
-        memoryUsage: null,
-        avgMemoryUsage: null,
-        gpuTemp: null,
-        avgGpuTemp: null,
-        gpuUsage: null,
-        avgGpuUsage: null,
-        timestamp: Date.now(),
-      };
+      return toSystemInfo({});
     }
   }
 
@@ -133,7 +196,15 @@ export class SystemMonitor {
 
     try {
       const systemInfo = await this.getEnhancedSystemInfo();
-      this.updateMetricsHistory(systemInfo);
+      if (this.onSystemSample) {
+        this.onSystemSample(systemInfo);
+      }
+      const exceededEmergency = getExceededLimits(
+        systemInfo,
+        this.emergencyThresholds
+      );
+      const exceededHigh = getExceededLimits(systemInfo, this.highThresholds);
+      this.updateThermalState(systemInfo, exceededHigh, exceededEmergency);
 
       let queueMetrics = {
         queuePressure: 0,
@@ -155,6 +226,29 @@ export class SystemMonitor {
         }
       }
 
+      // Idle hardware while dispatch is paused (or held by an open circuit
+      // breaker) says nothing about capacity, so these ticks are kept out of
+      // the engine's history entirely
+      if (queueMetrics.paused || queueMetrics.circuitOpen) {
+        this.recordDecision(
+          {
+            timestamp: Date.now(),
+            recommendedThreads: this.monitoringState.currentThreadCount,
+            reason: queueMetrics.paused ? "paused" : "circuit_open",
+            confidence: 1,
+          },
+          systemInfo
+        );
+        return {
+          ...systemInfo,
+          currentThreadCount: this.monitoringState.currentThreadCount,
+          recommendedThreadCount: this.monitoringState.recommendedThreadCount,
+          scalingDecision: this.monitoringState.lastScalingDecision,
+        };
+      }
+
+      this.updateMetricsHistory(systemInfo);
+
     const throughput =
       queueMetrics.throughput !== undefined ? queueMetrics.throughput : null;
     const avgLatency =
@@ -176,9 +270,24 @@ export class SystemMonitor {
       throughput,
       avgLatency,
       backlogSize,
-      p95Latency
+      p95Latency,
+      {
+        tokenThroughput: queueMetrics.tokenThroughput ?? null,
+        ttftMs: queueMetrics.ttftMs ?? null,
+        failureRate: queueMetrics.failureRate ?? 0,
+        deadlineMissRate: queueMetrics.deadlineMissRate ?? 0,
+        queueWaitMs: queueMetrics.queueWaitMs ?? null,
+        serviceTimeMs: queueMetrics.serviceTimeMs ?? null,
+        arrivalRate: queueMetrics.arrivalRate ?? null,
+      }
     );
 
+      if (Array.isArray(queueMetrics.completedOperations)) {
+        this.scalingEngine.recordOperationSamples(
+          queueMetrics.completedOperations
+        );
+      }
+
     const scalingResult = await this.scalingEngine.findOptimalThreadCount(
       this.monitoringState.systemMetrics,
       [queueMetrics.operationMix],
@@ -188,14 +297,8 @@ export class SystemMonitor {
         temp: this.emergencyThresholds.cpuTemp,
         gpu: this.emergencyThresholds.gpuUsage,
       },
-      systemInfo.avgTemp >= this.emergencyThresholds.cpuTemp ||
-        systemInfo.cpuLoad >= this.emergencyThresholds.cpuUsage ||
-        (systemInfo.avgGpuTemp || 0) >= this.emergencyThresholds.gpuTemp ||
-        (systemInfo.avgGpuUsage || 0) >= this.emergencyThresholds.gpuUsage,
-      systemInfo.avgTemp >= this.highThresholds.cpuTemp ||
-        systemInfo.cpuLoad >= this.highThresholds.cpuUsage ||
-        (systemInfo.avgGpuTemp || 0) >= this.highThresholds.gpuTemp ||
-        (systemInfo.avgGpuUsage || 0) >= this.highThresholds.gpuUsage,
+      exceededEmergency.length > 0,
+      exceededHigh.length > 0,
       queueMetrics.operationMixWithContext
     );
 
@@ -211,12 +314,15 @@ export class SystemMonitor {
 
       this.monitoringState.recommendedThreadCount =
         scalingResult.recommendedThreads;
-      this.monitoringState.lastScalingDecision = {
-        timestamp: Date.now(),
-        recommendedThreads: scalingResult.recommendedThreads,
-        reason: scalingResult.reason,
-        confidence: scalingResult.confidence,
-      };
+      this.recordDecision(
+        {
+          timestamp: Date.now(),
+          recommendedThreads: scalingResult.recommendedThreads,
+          reason: scalingResult.reason,
+          confidence: scalingResult.confidence,
+        },
+        systemInfo
+      );
 
       if (
         this.monitoringState.currentThreadCount !==
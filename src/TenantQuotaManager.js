@@ -0,0 +1,171 @@
+import scalingDatabase from "./scalingDatabase.js";
+
+const DEFAULT_QUOTA_WINDOW_MS = 60 * 60 * 1000;
+
+// Rolling-window request/token quotas per tenant. Quotas and usage live in the
+// scaling database so they survive restarts; without it they are kept in memory.
+export class TenantQuotaManager {
+  constructor() {
+    this.quotas = new Map();
+    this._memoryUsage = new Map();
+    this.lastCleanup = 0;
+    this.cleanupIntervalMs = 60000;
+    this._loadQuotas();
+  }
+
+  _loadQuotas() {
+    if (!scalingDatabase.available) {
+      return;
+    }
+    try {
+      scalingDatabase.getAllTenantQuotas().forEach((row) => {
+        this.quotas.set(row.tenant, {
+          requests: row.max_requests ?? null,
+          tokens: row.max_tokens ?? null,
+          windowMs: row.window_ms || DEFAULT_QUOTA_WINDOW_MS,
+        });
+      });
+    } catch (error) {
+      console.warn(
+        "[Thread Manager] Failed to load tenant quotas:",
+        error?.message || error
+      );
+    }
+  }
+
+  setQuota(tenant, quota) {
+    if (!quota) {
+      this.quotas.delete(tenant);
+      if (scalingDatabase.available) {
+        scalingDatabase.deleteTenantQuota(tenant);
+      }
+      return null;
+    }
+
+    const normalized = {
+      requests: Number.isFinite(quota.requests) ? quota.requests : null,
+      tokens: Number.isFinite(quota.tokens) ? quota.tokens : null,
+      windowMs:
+        Number.isFinite(quota.windowMs) && quota.windowMs > 0
+          ? quota.windowMs
+          : DEFAULT_QUOTA_WINDOW_MS,
+    };
+    this.quotas.set(tenant, normalized);
+    if (scalingDatabase.available) {
+      scalingDatabase.setTenantQuota(tenant, normalized);
+    }
+    return normalized;
+  }
+
+  getQuota(tenant) {
+    return this.quotas.get(tenant) || null;
+  }
+
+  recordUsage(tenant, { requests = 0, tokens = 0 } = {}) {
+    if (!this.quotas.has(tenant) || (requests === 0 && tokens === 0)) {
+      return;
+    }
+    const entry = { timestamp: Date.now(), requests, tokens };
+    if (scalingDatabase.available) {
+      scalingDatabase.addTenantUsage(tenant, entry);
+    } else {
+      if (!this._memoryUsage.has(tenant)) {
+        this._memoryUsage.set(tenant, []);
+      }
+      this._memoryUsage.get(tenant).push(entry);
+    }
+    this.cleanup();
+  }
+
+  // Checked on every submit, so the database sums the window itself
+  sumUsage(tenant, since) {
+    if (scalingDatabase.available) {
+      return scalingDatabase.sumTenantUsage(tenant, since);
+    }
+    const totals = { requests: 0, tokens: 0, oldest: null };
+    (this._memoryUsage.get(tenant) || []).forEach((entry) => {
+      if (entry.timestamp < since) {
+        return;
+      }
+      totals.requests += entry.requests;
+      totals.tokens += entry.tokens;
+      if (totals.oldest === null) {
+        totals.oldest = entry.timestamp;
+      }
+    });
+    return totals;
+  }
+
+  getUsage(tenant) {
+    const quota = this.getQuota(tenant);
+    if (!quota) {
+      return null;
+    }
+    const totals = this.sumUsage(tenant, Date.now() - quota.windowMs);
+    return {
+      requests: totals.requests,
+      tokens: totals.tokens,
+      windowMs: quota.windowMs,
+      oldestTimestamp: totals.oldest,
+    };
+  }
+
+  // Returns null when the tenant may submit, otherwise which limit is exhausted
+  // and roughly when the oldest usage leaves the window
+  check(tenant) {
+    const quota = this.getQuota(tenant);
+    if (!quota) {
+      return null;
+    }
+    const usage = this.getUsage(tenant);
+    const retryAfterMs =
+      usage.oldestTimestamp !== null
+        ? Math.max(0, usage.oldestTimestamp + quota.windowMs - Date.now())
+        : 0;
+    if (quota.requests !== null && usage.requests >= quota.requests) {
+      return {
+        kind: "requests",
+        limit: quota.requests,
+        used: usage.requests,
+        retryAfterMs,
+      };
+    }
+    if (quota.tokens !== null && usage.tokens >= quota.tokens) {
+      return {
+        kind: "tokens",
+        limit: quota.tokens,
+        used: usage.tokens,
+        retryAfterMs,
+      };
+    }
+    return null;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    if (now - this.lastCleanup < this.cleanupIntervalMs) {
+      return;
+    }
+    this.lastCleanup = now;
+
+    const longestWindow = Math.max(
+      DEFAULT_QUOTA_WINDOW_MS,
+      ...Array.from(this.quotas.values()).map((quota) => quota.windowMs)
+    );
+    const cutoff = now - longestWindow;
+    if (scalingDatabase.available) {
+      scalingDatabase.cleanupOldTenantUsage(cutoff);
+      return;
+    }
+    this._memoryUsage.forEach((entries, tenant) => {
+      const kept = entries.filter((entry) => entry.timestamp >= cutoff);
+      if (kept.length > 0) {
+        this._memoryUsage.set(tenant, kept);
+      } else {
+        this._memoryUsage.delete(tenant);
+      }
+    });
+  }
+}
+
+export default TenantQuotaManager;
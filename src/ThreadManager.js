@@ -1,16 +1,158 @@
+import { CircuitBreaker } from "./CircuitBreaker.js";
+import { RateLimiter } from "./RateLimiter.js";
+import {
+  CancelledError,
+  DeadlineExceededError,
+  PreemptedError,
+  QueueFullError,
+  QuotaExceededError,
+  ShutdownError,
+} from "./errors.js";
+import { LatencySketch } from "./utils/LatencySketch.js";
+import { PriorityQueue } from "./utils/PriorityQueue.js";
+import { isWorkerJob } from "./WorkerPool.js";
+import { computeRetryDelay, resolveRetryPolicy } from "./utils/retryPolicy.js";
+
+const DEFAULT_OPERATION_TYPE = "default";
+const DEFAULT_TENANT = "default";
+const OVERFLOW_POLICIES = [
+  "reject",
+  "drop-oldest",
+  "drop-lowest-priority",
+  "block",
+];
+const STATS_WINDOW_MS = 60000;
+// Weight of the newest completion in a type's service time estimate
+const SERVICE_TIME_LEARNING_RATE = 0.2;
+// Settles a time-sliced operation that gave up its slot at a yield
+const SUSPENDED = Symbol("suspended");
+// Chunks a stream buffers for a slow consumer before the operation waits
+const DEFAULT_STREAM_HIGH_WATER_MARK = 64;
+
+// `async function*` (and `function*`) operations are stepped one yield at a
+// time so they can be parked with their state and resumed later
+function isGeneratorFunction(fn) {
+  const tag = fn?.[Symbol.toStringTag];
+  return tag === "AsyncGeneratorFunction" || tag === "GeneratorFunction";
+}
+
+// Total length of `intervals` (plus one still open since `openSince`) that
+// falls between `since` and `now`
+function overlapMs(intervals, openSince, since, now) {
+  const all =
+    openSince !== null
+      ? [...intervals, { start: openSince, end: now }]
+      : intervals;
+  return all.reduce(
+    (total, { start, end }) =>
+      total + Math.max(0, Math.min(end, now) - Math.max(start, since)),
+    0
+  );
+}
+
+function recordInterval(intervals, start, end) {
+  intervals.push({ start, end });
+  if (intervals.length > 100) {
+    intervals.shift();
+  }
+}
+
 class LLMRequest {
-  constructor(id, operation, priority = 0, emergencyBypass = false, timeoutMs = null, abortSignal = null) {
+  constructor(id, operation, options = {}) {
+    const {
+      priority = 0,
+      emergencyBypass = false,
+      timeoutMs = null,
+      abortSignal = null,
+      type = DEFAULT_OPERATION_TYPE,
+      weight = 1,
+      retryPolicy = null,
+      deadline = null,
+      tenant = DEFAULT_TENANT,
+      countTokens = null,
+      estimatedTokens = 0,
+      estimatedMemoryMB = null,
+      preemptible = false,
+      holdSlotUntilSettled = false,
+    } = options;
+
     this.id = id;
     this.operation = operation;
     this.priority = priority;
+    // Priority after aging; equal to `priority` unless aging is configured
+    this.effectivePriority = priority;
+    this.starved = false;
+    // When aging or the maxWaitMs guarantee next changes the request's rank
+    this.nextAgingAt = Infinity;
+    // Priority level and parked state the request is counted under while
+    // queued, so the counts stay right if either changes
+    this.queuedPriorityKey = null;
+    this.queuedParked = false;
+    this.waitTime = 0;
     this.emergencyBypass = emergencyBypass;
-    this.startTime = Date.now();
+    this.type = type || DEFAULT_OPERATION_TYPE;
+    this.tenant = tenant || DEFAULT_TENANT;
+    // Virtual start time used to share capacity fairly between tenants
+    this.fairTag = 0;
+    this.countTokens = countTokens;
+    // Caller's token estimate, charged to tokens-per-minute limits at dispatch
+    this.estimatedTokens =
+      Number.isFinite(estimatedTokens) && estimatedTokens > 0
+        ? estimatedTokens
+        : 0;
+    // Caller's RAM/KV cache footprint; the memory budget's learned estimate for
+    // the type is used when omitted
+    this.estimatedMemoryMB =
+      Number.isFinite(estimatedMemoryMB) && estimatedMemoryMB > 0
+        ? estimatedMemoryMB
+        : null;
+    this.memoryMB = 0;
+    this.memoryLimited = false;
+    // May be aborted and requeued when an emergency clamps the thread count
+    this.preemptible = Boolean(preemptible);
+    // Set while a preempted attempt is winding down
+    this.preemptedAt = null;
+    this.preemptions = 0;
+    this.preemptedWorkMs = 0;
+    // Generator of a time-sliced operation, kept while it is parked, and the
+    // execution time of its earlier slices
+    this.generator = null;
+    this.executedMs = 0;
+    this.suspensions = 0;
+    this.suspendReason = null;
+    this.weight = Number.isFinite(weight) && weight > 0 ? weight : 1;
+    this.retryPolicy = retryPolicy || resolveRetryPolicy();
+    const deadlineTime = deadline instanceof Date ? deadline.getTime() : deadline;
+    this.deadline = Number.isFinite(deadlineTime) ? deadlineTime : null;
+    this.attempt = 1;
+    this.lastError = null;
+    // First submission, not reset by retries
+    this.submitTime = Date.now();
+    // Entered the queue for the current attempt
+    this.enqueueTime = this.submitTime;
+    // Dispatched to a slot; null while the request has never run
+    this.startTime = null;
     this.endTime = null;
     this.status = "queued";
     this.result = null;
     this.error = null;
     this.timeoutMs = timeoutMs;
     this.abortSignal = abortSignal;
+    // Aborted when the attempt times out, misses its deadline or is cancelled
+    this.abortController = null;
+    this.holdSlotUntilSettled = holdSlotUntilSettled;
+    this.operationSettled = true;
+    this.holdingSlot = false;
+    // Time spent held back by a rate limit, as opposed to waiting for a slot
+    this.rateLimitedSince = null;
+    this.rateLimitWaitMs = 0;
+    this.cancelled = false;
+    this.inHistory = false;
+    this.isStream = false;
+    this.tokenCount = 0;
+    this.firstTokenTime = null;
+    this.lastTokenTime = null;
+    this.firstChunkTokens = 0;
     this.completionPromise = new Promise((resolve, reject) => {
       this._resolve = resolve;
       this._reject = reject;
@@ -40,407 +182,2785 @@ class LLMRequest {
     }
   }
 
+  // Execution (service) time of the current attempt, across all its slices
   getDuration() {
+    if (this.startTime === null) {
+      return this.executedMs;
+    }
     const endTime = this.endTime || Date.now();
-    return endTime - this.startTime;
+    return this.executedMs + endTime - this.startTime;
+  }
+
+  // Time the current attempt spent queued before it was dispatched
+  getWaitTime() {
+    const dispatched = this.startTime ?? this.endTime ?? Date.now();
+    return Math.max(0, dispatched - this.enqueueTime);
+  }
+
+  getTimings() {
+    return {
+      submittedAt: this.submitTime,
+      enqueuedAt: this.enqueueTime,
+      startedAt: this.startTime,
+      endedAt: this.endTime,
+      waitMs: this.getWaitTime(),
+      serviceMs: this.getDuration(),
+      totalMs: (this.endTime || Date.now()) - this.submitTime,
+    };
+  }
+
+  recordTokens(count) {
+    const now = Date.now();
+    if (this.firstTokenTime === null) {
+      this.firstTokenTime = now;
+      this.firstChunkTokens = count;
+    }
+    this.lastTokenTime = now;
+    this.tokenCount += count;
+  }
+
+  getTokenStats() {
+    const durationSec = Math.max(this.getDuration(), 1) / 1000;
+    const laterTokens = this.tokenCount - this.firstChunkTokens;
+    return {
+      tokens: this.tokenCount,
+      ttftMs:
+        this.firstTokenTime !== null
+          ? this.firstTokenTime - this.startTime
+          : null,
+      tokensPerSecond: this.tokenCount / durationSec,
+      interTokenLatencyMs:
+        laterTokens > 0
+          ? (this.lastTokenTime - this.firstTokenTime) / laterTokens
+          : null,
+    };
   }
 }
 
+// Emergency requests first, then requests past their maxWaitMs guarantee
+// (oldest first), then effective (aged) priority, then earliest deadline first
+// within a priority band, then each tenant's fair-share virtual start time;
+// the queue breaks remaining ties FIFO
+export function compareQueuedRequests(a, b) {
+  if (a.emergencyBypass && !b.emergencyBypass) return -1;
+  if (!a.emergencyBypass && b.emergencyBypass) return 1;
+  if (a.starved && !b.starved) return -1;
+  if (!a.starved && b.starved) return 1;
+  if (a.starved && b.starved) return a.enqueueTime - b.enqueueTime;
+  if (a.effectivePriority !== b.effectivePriority) {
+    return b.effectivePriority - a.effectivePriority;
+  }
+  const byDeadline = compareDeadlines(a, b);
+  if (byDeadline !== 0) return byDeadline;
+  return a.fairTag - b.fairTag;
+}
+
+function compareDeadlines(a, b) {
+  if (a.deadline !== null && b.deadline !== null) {
+    return a.deadline - b.deadline;
+  }
+  if (a.deadline !== null) return -1;
+  if (b.deadline !== null) return 1;
+  return 0;
+}
+
 export class ThreadManager {
   constructor(options = {}) {
     this.maxConcurrentRequests = 1;
     this.activeRequests = 0;
-    this.requestQueue = [];
+    // Capacity consumed by active/queued requests, in request weight units
+    this.activeWeight = 0;
+    this.queuedWeight = 0;
+    this.requestQueue = new PriorityQueue(compareQueuedRequests);
+    this.queuedEmergencyCount = 0;
+    // Queued requests by nextAgingAt, so ranks are brought up to date before
+    // every comparison without touching every entry
+    this.agingQueue = new PriorityQueue(
+      (a, b) => a.nextAgingAt - b.nextAgingAt
+    );
+    // Queued requests per priority level by enqueueTime, and how many of
+    // them are parked, so queue stats don't have to scan the queue
+    this.queuedByPriority = new Map();
+    this.queuedParkedCount = 0;
+    // Queued and active requests by id, and the requests holding a slot
+    this.requestsById = new Map();
+    this.runningRequests = new Set();
     this.isProcessing = false;
     this.lastUpdate = Date.now();
     this.requestHistory = [];
     this.maxHistorySize = options.maxHistorySize || 100;
     this.emergencyBypassActive = false;
     this.onScalingUpdate = options.onScalingUpdate || null;
+    // (event, payload) for request lifecycle events such as "request:started"
+    this.onRequestEvent = options.onRequestEvent || null;
     this.desiredThreadCount = null; // Track desired count when scaling down is blocked
-  }
 
-  updateThreadLimits(recommendedThreadCount) {
-    let newLimit = recommendedThreadCount;
+    // Live per-type counters feeding the engine's operation mix and intensity
+    this.operationTypes = {};
+    this.operationIntensities = {};
+    this.completedOperations = [];
+    this.maxCompletedOperations = options.maxCompletedOperations || 500;
 
-    if (typeof newLimit !== "number" || isNaN(newLimit) || newLimit < 1) {
-      console.warn(
-        `[Thread Manager] Invalid thread count: ${newLimit}, defaulting to 1`
-      );
-      newLimit = 1;
-    }
+    this.retryPolicy = options.retryPolicy || null;
+    this.pendingRetries = new Map();
+    this.retriedCount = 0;
+    this.recentAttempts = [];
+    this.maxRecentAttempts = 1000;
+    this.failureWindowMs = 60000;
 
-    if (this.emergencyBypassActive) {
-      const emergencyRequestsInQueue = this.requestQueue.filter(
-        (req) => req.emergencyBypass
-      ).length;
-      const emergencyRequestsActive = this.requestHistory.filter(
-        (req) => req.status === "active" && req.emergencyBypass
-      ).length;
+    this.maxQueueSize =
+      Number.isFinite(options.maxQueueSize) && options.maxQueueSize > 0
+        ? options.maxQueueSize
+        : null;
+    this.maxQueueWaitMs =
+      Number.isFinite(options.maxQueueWaitMs) && options.maxQueueWaitMs > 0
+        ? options.maxQueueWaitMs
+        : null;
+    this.overflowPolicy = OVERFLOW_POLICIES.includes(options.overflowPolicy)
+      ? options.overflowPolicy
+      : "reject";
+    this.blockedSubmissions = [];
+    this.reservedQueueSlots = 0;
+    this.overflowStats = { rejected: 0, dropped: 0, expired: 0 };
 
-      if (emergencyRequestsInQueue > 0 || emergencyRequestsActive > 0) {
-        newLimit = Math.max(
-          newLimit,
-          Math.min(2, emergencyRequestsInQueue + emergencyRequestsActive)
-        );
-      } else {
-        newLimit = Math.max(newLimit, 1);
-      }
-    }
+    this.recentDeadlines = [];
+    this.deadlineStats = { met: 0, missed: 0, rejected: 0 };
 
-    // Never scale down below the number of currently active requests
-    // Only scale down when threads are vacant (idle)
-    if (newLimit < this.maxConcurrentRequests) {
-      if (newLimit < this.activeRequests) {
-        this.desiredThreadCount = newLimit;
-        newLimit = this.activeRequests;
-      } else {
-        // Can scale down now - clear any pending desired count
-        this.desiredThreadCount = null;
-      }
-    } else {
-      // Scaling up or no change - clear any pending desired count
-      this.desiredThreadCount = null;
-    }
+    this.aging = options.aging
+      ? {
+          intervalMs: options.aging.intervalMs || 5000,
+          step: options.aging.step ?? 1,
+          maxBoost: options.aging.maxBoost ?? Infinity,
+        }
+      : null;
+    // Either one wait limit for every priority or a { [priority]: ms } map
+    this.maxWaitMs = options.maxWaitMs ?? null;
+    this.waitSamples = {};
+    this.maxWaitSamples = options.maxWaitSamples || 200;
 
-    if (newLimit !== this.maxConcurrentRequests) {
-      const oldLimit = this.maxConcurrentRequests;
-      this.maxConcurrentRequests = newLimit;
+    // { [tenant]: { weight, maxConcurrent } }; may be shared between pools
+    this.tenants = options.tenants || {};
+    this.tenantState = new Map();
+    // Running requests per tenant; shared between pools so maxConcurrent
+    // caps a tenant across all of them
+    this.tenantActive = options.tenantActive || new Map();
+    // Told when a capped tenant frees a slot, so other pools can start its
+    // requests they set aside
+    this.onTenantSlotFreed = options.onTenantSlotFreed || null;
+    this.tenantCapped = false;
+    this.virtualTime = 0;
+    this.quotaManager = options.quotaManager || null;
 
-      if (this.onScalingUpdate) {
-        this.onScalingUpdate(newLimit, oldLimit);
-      }
+    this.holdSlotUntilSettled = Boolean(options.holdSlotUntilSettled);
+    this.cancelledCount = 0;
 
-      if (newLimit > oldLimit) {
-        this.processQueue();
-      }
-    }
+    // Single-flight: one in-flight request per key, shared by every caller
+    this.inFlight = new Map();
+    this.coalescedCount = 0;
+    this.resultCache = options.resultCache || null;
 
-    this.lastUpdate = Date.now();
-  }
+    // Runs { module, export, args } jobs off the event loop; may be shared
+    // between pools
+    this.workerPool = options.workerPool || null;
 
-  queueRequest(operation, priority = 0, emergencyBypass = false, timeoutMs = null, abortSignal = null) {
-    const requestId = `req_${Date.now()}_${Math.random()
-      .toString(36)
-      .substr(2, 9)}`;
-    const request = new LLMRequest(
-      requestId,
-      operation,
-      priority,
-      emergencyBypass,
-      timeoutMs,
-      abortSignal
-    );
+    // Shared MemoryBudget; requests with a known footprint only start while
+    // projected memory stays under the limit
+    this.memoryBudget = options.memoryBudget || null;
+    this.memoryBlocked = false;
+    this.memoryLimitedCount = 0;
 
-    if (emergencyBypass) {
-      this.emergencyBypassActive = true;
-    }
+    // Preemptible requests aborted to shed load, and the execution time
+    // they had accumulated when they were stopped
+    this.preemptedCount = 0;
+    this.preemptedWorkMs = 0;
+    // Time-sliced requests parked at a yield to free their slot
+    this.suspendedCount = 0;
 
-    this.requestQueue.push(request);
+    // Set by close()/shutdown(); no new work is admitted afterwards
+    this.closed = false;
 
-    this.requestQueue.sort((a, b) => {
-      if (a.emergencyBypass && !b.emergencyBypass) return -1;
-      if (!a.emergencyBypass && b.emergencyBypass) return 1;
-      return b.priority - a.priority;
-    });
+    // Dispatch is suspended while paused or while any named gate is closed;
+    // queued requests stay queued
+    this.paused = false;
+    this.gates = new Set();
+    this.suspendedSince = null;
+    this.suspendedIntervals = [];
+    this.idleWaiters = [];
 
-    this.processQueue();
+    // Token-bucket limits for this pool and, shared between pools, per tenant
+    this.rateLimiter = options.rateLimit
+      ? new RateLimiter(options.rateLimit)
+      : null;
+    this.tenantRateLimiters = options.tenantRateLimiters || new Map();
+    this.rateLimitedSince = null;
+    this.rateLimitedIntervals = [];
+    this.rateLimitTimer = null;
+    this.rateLimitWakeAt = null;
+    // Dispatched requests that spent part of their wait held by a rate limit
+    this.rateLimitedCount = 0;
 
-    return request;
+    // Holds queued work while the backend keeps failing; see CircuitBreaker
+    this.onCircuitStateChange = options.onCircuitStateChange || null;
+    this.circuitBreaker = options.circuitBreaker
+      ? new CircuitBreaker({
+          ...(options.circuitBreaker === true ? {} : options.circuitBreaker),
+          onStateChange: (state, previousState, details) =>
+            this.handleCircuitStateChange(state, previousState, details),
+        })
+      : null;
+
+    // Running totals and windowed sketches so stats don't rescan history
+    this.completedCount = 0;
+    this.failedCount = 0;
+    this.totalDuration = 0;
+    this.streamedCount = 0;
+    this.streamedTokens = 0;
+    this.durationSketch = new LatencySketch({ windowMs: STATS_WINDOW_MS });
+    this.waitSketch = new LatencySketch({ windowMs: STATS_WINDOW_MS });
+    this.rateLimitWaitSketch = new LatencySketch({ windowMs: STATS_WINDOW_MS });
+    this.concurrencyWaitSketch = new LatencySketch({
+      windowMs: STATS_WINDOW_MS,
+    });
+    this.ttftSketch = new LatencySketch({ windowMs: STATS_WINDOW_MS });
+    this.interTokenSketch = new LatencySketch({ windowMs: STATS_WINDOW_MS });
+    this.streamTokenSketch = new LatencySketch({ windowMs: STATS_WINDOW_MS });
   }
 
-  processQueue() {
-    if (this.isProcessing) {
+  emitRequestEvent(event, request, details = {}) {
+    if (!this.onRequestEvent) {
       return;
     }
-
-    this.isProcessing = true;
-
     try {
-      const emergencyRequestsInQueue = this.requestQueue.filter(
-        (req) => req.emergencyBypass
-      ).length;
-      const hasEmergencyRequests = emergencyRequestsInQueue > 0;
+      this.onRequestEvent(event, {
+        requestId: request.id,
+        type: request.type,
+        tenant: request.tenant,
+        priority: request.priority,
+        weight: request.weight,
+        attempt: request.attempt,
+        submittedAt: request.submitTime,
+        enqueuedAt: request.enqueueTime,
+        startedAt: request.startTime,
+        timestamp: Date.now(),
+        ...details,
+      });
+    } catch (error) {
+      console.warn(
+        `[Thread Manager] ${event} listener failed:`,
+        error?.message || error
+      );
+    }
+  }
 
-      while (
-        this.activeRequests < this.maxConcurrentRequests &&
-        this.requestQueue.length > 0
-      ) {
-        const request = this.requestQueue.shift();
-        if (request) {
-          this.startRequest(request);
-        }
+  emitRequestFailure(request, error, wasActive) {
+    this.emitRequestEvent(
+      request.cancelled ? "request:cancelled" : "request:failed",
+      request,
+      {
+        error,
+        waitMs: request.getWaitTime(),
+        durationMs: wasActive ? request.getDuration() : null,
       }
+    );
+  }
 
-      if (
-        hasEmergencyRequests &&
-        this.activeRequests >= this.maxConcurrentRequests
-      ) {
-        const emergencyRequest = this.requestQueue.find(
-          (req) => req.emergencyBypass
+  handleCircuitStateChange(state, previousState, details) {
+    if (this.onCircuitStateChange) {
+      try {
+        this.onCircuitStateChange(state, previousState, details);
+      } catch (error) {
+        console.warn(
+          "[Thread Manager] Circuit state listener failed:",
+          error?.message || error
         );
-        if (emergencyRequest) {
-          const originalLimit = this.maxConcurrentRequests;
-          this.maxConcurrentRequests = Math.min(originalLimit + 1, 2);
-
-          const index = this.requestQueue.indexOf(emergencyRequest);
-          if (index > -1) {
-            this.requestQueue.splice(index, 1);
-            this.startRequest(emergencyRequest);
-          }
-
-          this.maxConcurrentRequests = originalLimit;
-        }
       }
-    } finally {
-      this.isProcessing = false;
+    }
+    // Half-open admits probe requests; closed releases the held queue
+    if (state !== "open") {
+      this.processQueue();
     }
   }
 
-  startRequest(request) {
-    this.activeRequests++;
-    request.start();
+  // True while the breaker is holding queued work (open or probing)
+  isCircuitOpen() {
+    return (
+      this.circuitBreaker !== null && this.circuitBreaker.state !== "closed"
+    );
+  }
+
+  canDispatch() {
+    return this.circuitBreaker === null || this.circuitBreaker.canDispatch();
+  }
 
-    this.requestHistory.push(request);
-    if (this.requestHistory.length > this.maxHistorySize) {
-      this.requestHistory.shift();
+  resetCircuit() {
+    if (this.circuitBreaker) {
+      this.circuitBreaker.reset();
     }
+  }
 
-    const operationPromise = Promise.resolve()
-      .then(() => request.operation())
-      .then((result) => {
-        this.completeRequest(request.id, result);
-        return result;
-      })
-      .catch((error) => {
-        this.failRequest(request.id, error);
-        throw error;
-      });
+  isSuspended() {
+    return this.paused || this.gates.size > 0;
+  }
 
-    const timeoutPromise =
-      typeof request.timeoutMs === "number" && request.timeoutMs > 0
-        ? new Promise((_, reject) => {
-            request._timeoutId = setTimeout(() => {
-              reject(new Error("Request timed out"));
-            }, request.timeoutMs);
-          })
-        : null;
+  updateSuspension() {
+    const suspended = this.isSuspended();
+    if (suspended && this.suspendedSince === null) {
+      this.suspendedSince = Date.now();
+    } else if (!suspended && this.suspendedSince !== null) {
+      recordInterval(this.suspendedIntervals, this.suspendedSince, Date.now());
+      this.suspendedSince = null;
+      this.processQueue();
+    }
+  }
 
-    const abortPromise =
-      request.abortSignal instanceof AbortSignal
-        ? new Promise((_, reject) => {
-            if (request.abortSignal.aborted) {
-              reject(request.abortSignal.reason || new Error("Aborted"));
-            }
-            const onAbort = () => {
-              reject(request.abortSignal.reason || new Error("Aborted"));
-            };
-            request.abortSignal.addEventListener("abort", onAbort, {
-              once: true,
-            });
-            request._cleanupAbort = () =>
-              request.abortSignal.removeEventListener("abort", onAbort);
-          })
-        : null;
+  // Milliseconds since `since` during which dispatch was suspended; rate
+  // windows subtract it so a pause doesn't read as a throughput drop
+  getSuspendedMs(since, now = Date.now()) {
+    return overlapMs(this.suspendedIntervals, this.suspendedSince, since, now);
+  }
 
-    const races = [operationPromise];
-    if (timeoutPromise) races.push(timeoutPromise);
-    if (abortPromise) races.push(abortPromise);
+  setRateLimit(config) {
+    this.rateLimiter = config ? new RateLimiter(config) : null;
+    this.processQueue();
+  }
 
-    Promise.race(races)
-      .then((result) => result)
-      .catch((error) => {
-        this.failRequest(request.id, error);
-      })
-      .finally(() => {
-        if (request._timeoutId) {
-          clearTimeout(request._timeoutId);
-        }
-        if (request._cleanupAbort) {
-          request._cleanupAbort();
-        }
-      });
+  // Milliseconds until the pool's (or the request's tenant's) rate limit
+  // admits the request; emergency requests are exempt, as with quotas, and so
+  // are parked requests, which were charged when they first started
+  getRateLimitDelay(limiter, request, now) {
+    if (!limiter || request.emergencyBypass || request.generator) {
+      return 0;
+    }
+    return limiter.getDelay(request.estimatedTokens, now);
   }
 
-  completeRequest(requestId, result) {
-    const request = this.findRequest(requestId);
-    if (request) {
-      request.complete(result);
-      this.activeRequests = Math.max(0, this.activeRequests - 1);
-
-      if (request.emergencyBypass) {
-        const hasOtherEmergencyRequests = this.requestHistory.some(
-          (req) =>
-            req.status === "active" &&
-            req.emergencyBypass &&
-            req.id !== requestId
-        );
-        if (!hasOtherEmergencyRequests) {
-          this.emergencyBypassActive = false;
-        }
-      }
+  markRateLimited(request, now) {
+    if (request.rateLimitedSince === null) {
+      request.rateLimitedSince = now;
+    }
+  }
 
-      // Check if we can now scale down to desired count after this thread became vacant
-      if (
-        this.desiredThreadCount !== null &&
-        this.activeRequests <= this.desiredThreadCount
-      ) {
-        const oldLimit = this.maxConcurrentRequests;
-        this.maxConcurrentRequests = this.desiredThreadCount;
-        if (this.onScalingUpdate) {
-          this.onScalingUpdate(this.desiredThreadCount, oldLimit);
-        }
-        this.desiredThreadCount = null;
-      }
+  clearRateLimited(request, now) {
+    if (request.rateLimitedSince !== null) {
+      request.rateLimitWaitMs += now - request.rateLimitedSince;
+      request.rateLimitedSince = null;
+    }
+  }
 
-      this.processQueue();
+  // While the head of the queue is held by the pool's rate limit, every
+  // queued request is waiting on the rate limiter rather than on a slot
+  updatePoolRateLimited(limited, now) {
+    if (limited && this.rateLimitedSince === null) {
+      this.rateLimitedSince = now;
+    } else if (!limited && this.rateLimitedSince !== null) {
+      recordInterval(this.rateLimitedIntervals, this.rateLimitedSince, now);
+      this.rateLimitedSince = null;
     }
   }
 
-  failRequest(requestId, error) {
-    const request = this.findRequest(requestId);
-    if (request) {
-      request.fail(error);
-      this.activeRequests = Math.max(0, this.activeRequests - 1);
-
-      if (request.emergencyBypass) {
-        const hasOtherEmergencyRequests = this.requestHistory.some(
-          (req) =>
-            req.status === "active" &&
-            req.emergencyBypass &&
-            req.id !== requestId
-        );
-        if (!hasOtherEmergencyRequests) {
-          this.emergencyBypassActive = false;
-        }
+  scheduleRateLimitWake(delayMs) {
+    if (!Number.isFinite(delayMs) || this.closed) {
+      return;
+    }
+    const wakeAt = Date.now() + Math.max(1, delayMs);
+    if (this.rateLimitTimer) {
+      if (this.rateLimitWakeAt <= wakeAt) {
+        return;
       }
+      clearTimeout(this.rateLimitTimer);
+    }
+    this.rateLimitWakeAt = wakeAt;
+    this.rateLimitTimer = setTimeout(() => {
+      this.rateLimitTimer = null;
+      this.rateLimitWakeAt = null;
+      this.processQueue();
+    }, wakeAt - Date.now());
+  }
 
-      // Check if can scale down to desired count after this thread became vacant
-      if (
-        this.desiredThreadCount !== null &&
-        this.activeRequests <= this.desiredThreadCount
-      ) {
-        const oldLimit = this.maxConcurrentRequests;
-        this.maxConcurrentRequests = this.desiredThreadCount;
-        if (this.onScalingUpdate) {
-          this.onScalingUpdate(this.desiredThreadCount, oldLimit);
-        }
-        this.desiredThreadCount = null;
+  acquireRateLimits(request) {
+    if (request.emergencyBypass || request.generator) {
+      return;
+    }
+    const tenantLimiter = this.tenantRateLimiters.get(request.tenant);
+    [this.rateLimiter, tenantLimiter].forEach((limiter) => {
+      if (limiter) {
+        limiter.acquire(request.estimatedTokens);
       }
+    });
+  }
 
-      this.processQueue();
+  // Tokens reported by countTokens (or counted from a stream) replace the
+  // estimate charged at dispatch
+  settleRateLimitTokens(request, tokens) {
+    if (tokens === null) {
+      return;
     }
+    const tenantLimiter = this.tenantRateLimiters.get(request.tenant);
+    [this.rateLimiter, tenantLimiter].forEach((limiter) => {
+      if (limiter) {
+        limiter.settleTokens(
+          tokens,
+          request.emergencyBypass ? 0 : request.estimatedTokens
+        );
+      }
+    });
   }
 
-  findRequest(requestId) {
-    const activeMatch = this.requestHistory.find(
-      (req) => req.id === requestId && req.status === "active"
-    );
-    if (activeMatch) return activeMatch;
-    return this.requestQueue.find((req) => req.id === requestId);
+  getRateLimitStats() {
+    const tenants = {};
+    this.tenantRateLimiters.forEach((limiter, tenant) => {
+      tenants[tenant] = limiter.getState();
+    });
+    return {
+      pool: this.rateLimiter ? this.rateLimiter.getState() : null,
+      tenants,
+      limited: this.rateLimitedCount,
+    };
   }
 
-  async execute(operation, options = {}) {
-    const {
-      priority = 0,
-      emergencyBypass = false,
-      timeoutMs = null,
-      signal = null,
-    } = options;
+  // Stops dispatching queued requests. With `drainActive`, the returned
+  // promise resolves once the requests already running have finished.
+  pause(options = {}) {
+    const { drainActive = false } = options;
+    this.paused = true;
+    this.updateSuspension();
+    return drainActive ? this.whenIdle() : Promise.resolve();
+  }
 
-    const request = this.queueRequest(
-      operation,
-      priority,
-      emergencyBypass,
-      timeoutMs,
-      signal
-    );
+  resume() {
+    this.paused = false;
+    this.updateSuspension();
+  }
 
-    const cancellation = (err) => {
-      // If still queued, remove it
-      const idx = this.requestQueue.indexOf(request);
-      if (idx >= 0) {
-        this.requestQueue.splice(idx, 1);
-        request.fail(err);
-        return Promise.reject(err);
-      }
-      this.failRequest(request.id, err);
-      throw err;
-    };
+  // Closes a named admission gate; dispatch waits until every gate is released
+  gate(name) {
+    this.gates.add(name);
+    this.updateSuspension();
+    return () => this.releaseGate(name);
+  }
 
-    const resultPromise = request.completionPromise.catch((err) =>
-      cancellation(err)
-    );
+  releaseGate(name) {
+    const released = this.gates.delete(name);
+    this.updateSuspension();
+    return released;
+  }
 
-    return resultPromise;
+  whenIdle() {
+    if (this.activeRequests === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.idleWaiters.push(resolve);
+    });
   }
 
-  getState() {
+  getTenantConfig(tenant) {
+    const config = this.tenants[tenant] || {};
     return {
-      maxConcurrentRequests: this.maxConcurrentRequests,
-      activeRequests: this.activeRequests,
-      queueSize: this.requestQueue.length,
-      isProcessing: this.isProcessing,
-      lastUpdate: this.lastUpdate,
-      historySize: this.requestHistory.length,
+      weight:
+        Number.isFinite(config.weight) && config.weight > 0 ? config.weight : 1,
+      maxConcurrent:
+        Number.isFinite(config.maxConcurrent) && config.maxConcurrent > 0
+          ? config.maxConcurrent
+          : null,
     };
   }
 
-  getQueueStats() {
-    const activeRequests = this.requestHistory.filter(
-      (req) => req.status === "active"
-    );
-    const completedRequests = this.requestHistory.filter(
-      (req) => req.status === "completed"
-    );
-    const failedRequests = this.requestHistory.filter(
-      (req) => req.status === "failed"
-    );
-
-    const durations = completedRequests.map((req) => req.getDuration());
-    const avgDuration =
-      durations.length > 0
-        ? durations.reduce((sum, d) => sum + d, 0) / durations.length
+  getTenantState(tenant) {
+    if (!this.tenantState.has(tenant)) {
+      this.tenantState.set(tenant, {
+        lastFinish: 0,
+        active: 0,
+        queued: 0,
+        completed: 0,
+        failed: 0,
+        quotaRejected: 0,
+      });
+    }
+    return this.tenantState.get(tenant);
+  }
+
+  // Start-time fair queuing: each tenant's requests are spaced by
+  // weight / tenantWeight in virtual time, so tenants interleave in
+  // proportion to their weights regardless of how much each one submits
+  assignFairTag(request) {
+    const state = this.getTenantState(request.tenant);
+    const { weight } = this.getTenantConfig(request.tenant);
+    request.fairTag = Math.max(this.virtualTime, state.lastFinish);
+    state.lastFinish = request.fairTag + request.weight / weight;
+  }
+
+  isTenantUnderCap(request) {
+    if (request.emergencyBypass) {
+      return true;
+    }
+    const { maxConcurrent } = this.getTenantConfig(request.tenant);
+    return (
+      maxConcurrent === null ||
+      (this.tenantActive.get(request.tenant) || 0) < maxConcurrent
+    );
+  }
+
+  // Tokens used by a finished request, or null when the caller gave no way
+  // to count them
+  countRequestTokens(request, result) {
+    if (request.isStream) {
+      return request.tokenCount;
+    }
+    if (typeof request.countTokens === "function") {
+      const counted = Number(request.countTokens(result));
+      return Number.isFinite(counted) ? counted : 0;
+    }
+    return null;
+  }
+
+  recordTenantUsage(request, tokens) {
+    if (this.quotaManager && tokens > 0) {
+      this.quotaManager.recordUsage(request.tenant, { tokens });
+    }
+  }
+
+  getTenantStats() {
+    const stats = {};
+    this.tenantState.forEach((state, tenant) => {
+      const config = this.getTenantConfig(tenant);
+      stats[tenant] = {
+        weight: config.weight,
+        maxConcurrent: config.maxConcurrent,
+        active: state.active,
+        queued: state.queued,
+        completed: state.completed,
+        failed: state.failed,
+        quotaRejected: state.quotaRejected,
+      };
+    });
+    return stats;
+  }
+
+  hasTimeBasedPriority() {
+    return this.aging !== null || this.maxWaitMs !== null;
+  }
+
+  getMaxWaitFor(priority) {
+    if (Number.isFinite(this.maxWaitMs)) {
+      return this.maxWaitMs;
+    }
+    if (this.maxWaitMs && typeof this.maxWaitMs === "object") {
+      const limit = this.maxWaitMs[priority];
+      return Number.isFinite(limit) ? limit : null;
+    }
+    return null;
+  }
+
+  refreshPriority(request, now = Date.now()) {
+    const waited = now - request.enqueueTime;
+    let boost = 0;
+    if (this.aging) {
+      boost = Math.min(
+        this.aging.maxBoost,
+        Math.floor(waited / this.aging.intervalMs) * this.aging.step
+      );
+    }
+    request.effectivePriority = request.priority + boost;
+    const maxWait = this.getMaxWaitFor(request.priority);
+    request.starved = maxWait !== null && waited >= maxWait;
+
+    let nextAgingAt = Infinity;
+    if (this.aging && this.aging.step > 0 && boost < this.aging.maxBoost) {
+      const intervals = Math.floor(waited / this.aging.intervalMs) + 1;
+      nextAgingAt = request.enqueueTime + intervals * this.aging.intervalMs;
+    }
+    if (maxWait !== null && !request.starved) {
+      nextAgingAt = Math.min(nextAgingAt, request.enqueueTime + maxWait);
+    }
+    request.nextAgingAt = nextAgingAt;
+  }
+
+  scheduleAging(request) {
+    if (!Number.isFinite(request.nextAgingAt)) {
+      this.agingQueue.remove(request);
+    } else if (!this.agingQueue.update(request)) {
+      this.agingQueue.push(request);
+    }
+  }
+
+  // Aging and wait guarantees change the order over time. Only requests
+  // whose rank changed since the last call are re-ranked, so this runs before
+  // anything that compares queued requests.
+  refreshQueueOrder(now = Date.now()) {
+    while (
+      this.agingQueue.length > 0 &&
+      this.agingQueue.peek().nextAgingAt <= now
+    ) {
+      const request = this.agingQueue.peek();
+      this.refreshPriority(request, now);
+      this.requestQueue.update(request);
+      this.scheduleAging(request);
+    }
+  }
+
+  addToQueue(request) {
+    this.requestQueue.push(request);
+    this.scheduleAging(request);
+    this.requestsById.set(request.id, request);
+    this.countQueued(request);
+    if (request.emergencyBypass) {
+      this.queuedEmergencyCount++;
+    }
+  }
+
+  removeFromQueue(request) {
+    if (!this.requestQueue.remove(request)) {
+      return false;
+    }
+    this.agingQueue.remove(request);
+    this.forgetRequest(request);
+    this.uncountQueued(request);
+    if (request.emergencyBypass) {
+      this.queuedEmergencyCount = Math.max(0, this.queuedEmergencyCount - 1);
+    }
+    return true;
+  }
+
+  countQueued(request) {
+    const key = String(request.priority);
+    let group = this.queuedByPriority.get(key);
+    if (!group) {
+      group = new PriorityQueue((a, b) => a.enqueueTime - b.enqueueTime);
+      this.queuedByPriority.set(key, group);
+    }
+    group.push(request);
+    request.queuedPriorityKey = key;
+    request.queuedParked = request.generator !== null;
+    if (request.queuedParked) {
+      this.queuedParkedCount++;
+    }
+  }
+
+  uncountQueued(request) {
+    const key = request.queuedPriorityKey;
+    const group = this.queuedByPriority.get(key);
+    if (group && group.remove(request) && group.length === 0) {
+      this.queuedByPriority.delete(key);
+    }
+    request.queuedPriorityKey = null;
+    if (request.queuedParked) {
+      request.queuedParked = false;
+      this.queuedParkedCount = Math.max(0, this.queuedParkedCount - 1);
+    }
+  }
+
+  forgetRequest(request) {
+    if (this.requestsById.get(request.id) === request) {
+      this.requestsById.delete(request.id);
+    }
+  }
+
+  recordWaitSample(request) {
+    this.waitSketch.add(request.waitTime);
+    this.rateLimitWaitSketch.add(request.rateLimitWaitMs);
+    this.concurrencyWaitSketch.add(
+      Math.max(0, request.waitTime - request.rateLimitWaitMs)
+    );
+    const key = String(request.priority);
+    if (!this.waitSamples[key]) {
+      this.waitSamples[key] = [];
+    }
+    const samples = this.waitSamples[key];
+    samples.push(request.waitTime);
+    if (samples.length > this.maxWaitSamples) {
+      samples.shift();
+    }
+  }
+
+  getWaitTimeByPriority() {
+    const now = Date.now();
+    const byPriority = {};
+    const percentile = (sorted, p) =>
+      sorted.length > 0
+        ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]
         : 0;
 
-    const sortedDurations = durations.slice().sort((a, b) => a - b);
-    const p50 =
-      sortedDurations.length > 0
-        ? sortedDurations[Math.floor(sortedDurations.length * 0.5)]
-        : 0;
-    const p95 =
-      sortedDurations.length > 0
-        ? sortedDurations[Math.floor(sortedDurations.length * 0.95)]
-        : 0;
+    Object.entries(this.waitSamples).forEach(([priority, samples]) => {
+      const sorted = samples.slice().sort((a, b) => a - b);
+      byPriority[priority] = {
+        count: sorted.length,
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        p99: percentile(sorted, 0.99),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+        queued: 0,
+        oldestQueuedMs: 0,
+      };
+    });
+
+    this.queuedByPriority.forEach((group, key) => {
+      if (!byPriority[key]) {
+        byPriority[key] = {
+          count: 0,
+          p50: 0,
+          p95: 0,
+          p99: 0,
+          max: 0,
+          queued: 0,
+          oldestQueuedMs: 0,
+        };
+      }
+      byPriority[key].queued = group.length;
+      byPriority[key].oldestQueuedMs = Math.max(
+        0,
+        now - group.peek().enqueueTime
+      );
+    });
+
+    return byPriority;
+  }
+
+  getOperationTypeStats(type) {
+    if (!this.operationTypes[type]) {
+      this.operationTypes[type] = {
+        queued: 0,
+        active: 0,
+        completed: 0,
+        failed: 0,
+        totalDuration: 0,
+        // Decaying average used for deadline checks
+        recentDuration: null,
+      };
+    }
+    return this.operationTypes[type];
+  }
+
+  trackOperation(request, from, to) {
+    const typeStats = this.getOperationTypeStats(request.type);
+    if (from) {
+      typeStats[from] = Math.max(0, typeStats[from] - 1);
+    }
+    if (to) {
+      typeStats[to]++;
+    }
+
+    if (to === "completed" || to === "failed") {
+      const duration = request.getDuration();
+      if (to === "completed") {
+        typeStats.totalDuration += duration;
+        typeStats.recentDuration =
+          typeStats.recentDuration === null
+            ? duration
+            : typeStats.recentDuration +
+              (duration - typeStats.recentDuration) *
+                SERVICE_TIME_LEARNING_RATE;
+      }
+      this.completedOperations.push({
+        type: request.type,
+        status: to,
+        startTime: request.startTime,
+        endTime: request.endTime || Date.now(),
+        duration,
+        waitTime: request.getWaitTime(),
+      });
+      if (this.completedOperations.length > this.maxCompletedOperations) {
+        this.completedOperations.shift();
+      }
+    }
+  }
+
+  setOperationIntensities(intensities = {}) {
+    this.operationIntensities = { ...intensities };
+  }
+
+  getOperationMix() {
+    const mix = {};
+    Object.entries(this.operationTypes).forEach(([type, typeStats]) => {
+      const live = typeStats.queued + typeStats.active;
+      if (live > 0) {
+        mix[type] = live;
+      }
+    });
+    return mix;
+  }
+
+  getOperationMixWithContext() {
+    const mix = this.getOperationMix();
+    const active = {};
+    const queued = {};
+    let totalOperations = 0;
+    let weightedIntensity = 0;
+    let profiledOperations = 0;
+
+    Object.entries(mix).forEach(([type, count]) => {
+      const typeStats = this.operationTypes[type];
+      if (typeStats.active > 0) active[type] = typeStats.active;
+      if (typeStats.queued > 0) queued[type] = typeStats.queued;
+      totalOperations += count;
+
+      const intensity = this.operationIntensities[type];
+      if (Number.isFinite(intensity)) {
+        weightedIntensity += intensity * count;
+        profiledOperations += count;
+      }
+    });
+
+    return {
+      mix,
+      active,
+      queued,
+      intensities: { ...this.operationIntensities },
+      currentIntensity:
+        profiledOperations > 0 ? weightedIntensity / profiledOperations : 0,
+      totalOperations,
+    };
+  }
+
+  // Hands finished operations to the engine so it can learn per-type profiles
+  drainCompletedOperations() {
+    const drained = this.completedOperations;
+    this.completedOperations = [];
+    return drained;
+  }
+
+  // With `preempt`, preemptible requests are aborted and requeued until the
+  // active weight fits the new limit, instead of waiting for slots to free up
+  updateThreadLimits(recommendedThreadCount, options = {}) {
+    // `allowZero` lets a pool's share of an exhausted budget hold it idle
+    const { preempt = false, allowZero = false } = options;
+    let newLimit = recommendedThreadCount;
+
+    if (
+      typeof newLimit !== "number" ||
+      isNaN(newLimit) ||
+      newLimit < (allowZero ? 0 : 1)
+    ) {
+      console.warn(
+        `[Thread Manager] Invalid thread count: ${newLimit}, defaulting to 1`
+      );
+      newLimit = 1;
+    }
+
+    if (this.emergencyBypassActive) {
+      const emergencyRequestsInQueue = this.queuedEmergencyCount;
+      const emergencyRequestsActive = this.getActiveRequests().filter(
+        (req) => req.emergencyBypass
+      ).length;
+
+      if (emergencyRequestsInQueue > 0 || emergencyRequestsActive > 0) {
+        newLimit = Math.max(
+          newLimit,
+          Math.min(2, emergencyRequestsInQueue + emergencyRequestsActive)
+        );
+      } else {
+        newLimit = Math.max(newLimit, 1);
+      }
+    }
+
+    // Preempted requests winding down don't hold the limit up, so they
+    // can't be restarted before the load actually drops
+    let heldWeight = this.activeWeight;
+    if (preempt && newLimit < heldWeight) {
+      heldWeight = this.preemptRequests(newLimit);
+    }
+
+    // Never scale down below the capacity held by currently active requests
+    // Only scale down when threads are vacant (idle)
+    if (newLimit < this.maxConcurrentRequests) {
+      if (newLimit < heldWeight) {
+        this.desiredThreadCount = newLimit;
+        newLimit = Math.ceil(heldWeight);
+      } else {
+        // Can scale down now - clear any pending desired count
+        this.desiredThreadCount = null;
+      }
+    } else {
+      // Scaling up or no change - clear any pending desired count
+      this.desiredThreadCount = null;
+    }
+
+    if (newLimit !== this.maxConcurrentRequests) {
+      const oldLimit = this.maxConcurrentRequests;
+      this.maxConcurrentRequests = newLimit;
+
+      if (this.onScalingUpdate) {
+        this.onScalingUpdate(newLimit, oldLimit);
+      }
+
+      if (newLimit > oldLimit) {
+        this.processQueue();
+      }
+    }
+
+    this.lastUpdate = Date.now();
+  }
+
+  // Aborts the lowest-priority preemptible requests (most recently started
+  // first, so the least work is lost) until the weight left running fits
+  // `limit`. Their slots free up once the operations settle, at which point
+  // the requests go back into the queue. Returns the weight left running.
+  preemptRequests(limit) {
+    const active = this.getActiveRequests();
+    let remainingWeight = active
+      .filter((req) => req.preemptedAt !== null)
+      .reduce((sum, req) => sum - req.weight, this.activeWeight);
+    const candidates = active
+      .filter((req) => this.isPreemptible(req))
+      .sort((a, b) =>
+        a.priority !== b.priority
+          ? a.priority - b.priority
+          : b.startTime - a.startTime
+      );
+    for (const request of candidates) {
+      if (remainingWeight <= limit) {
+        break;
+      }
+      this.preemptRequest(request);
+      remainingWeight -= request.weight;
+    }
+    return remainingWeight;
+  }
+
+  // A stream that already produced chunks can't be replayed, as with retries
+  isPreemptible(request) {
+    return (
+      request.preemptible &&
+      !request.emergencyBypass &&
+      request.status === "active" &&
+      request.preemptedAt === null &&
+      // Time-sliced requests give up their slot at their next yield instead
+      request.generator === null &&
+      !request.holdingSlot &&
+      request.tokenCount === 0 &&
+      request.abortController !== null
+    );
+  }
+
+  preemptRequest(request) {
+    request.preemptedAt = Date.now();
+    this.preemptedCount++;
+    request.abortController.abort(
+      new PreemptedError(`Request ${request.id} was preempted`, {
+        requestId: request.id,
+      })
+    );
+  }
+
+  // Called once a preempted operation has settled; the attempt is not counted
+  // against the retry policy
+  requeuePreempted(request, error) {
+    const lostMs = request.getDuration();
+    request.preemptedAt = null;
+    request.preemptions++;
+    request.preemptedWorkMs += lostMs;
+    this.preemptedWorkMs += lostMs;
+    this.forgetRequest(request);
+    this.trackOperation(request, "active", null);
+    if (this.circuitBreaker) {
+      // Frees a probe slot; a cancellation never counts as a failure
+      this.circuitBreaker.recordFailure(request, error);
+    }
+    this.releaseSlot(request);
+
+    this.emitRequestEvent("request:preempted", request, {
+      durationMs: lostMs,
+      preemptions: request.preemptions,
+    });
+
+    request.enqueueTime = Date.now();
+    request.startTime = null;
+    request.endTime = null;
+    request.rateLimitWaitMs = 0;
+    this.enqueue(request);
+  }
+
+  queueRequest(operation, ...args) {
+    let [options = {}] = args;
+    // Still accepts the original signature:
+    // (operation, priority, emergencyBypass, timeoutMs, abortSignal)
+    if (options === null || typeof options !== "object" || args.length > 1) {
+      const [
+        priority = 0,
+        emergencyBypass = false,
+        timeoutMs = null,
+        abortSignal = null,
+      ] = args;
+      options = { priority, emergencyBypass, timeoutMs, abortSignal };
+    }
+    const requestId =
+      options.requestId ||
+      `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const request = new LLMRequest(requestId, operation, {
+      ...options,
+      retryPolicy: resolveRetryPolicy(this.retryPolicy, options.retry),
+    });
+
+    this.enqueue(request);
+
+    return request;
+  }
+
+  enqueue(request) {
+    if (request.emergencyBypass) {
+      this.emergencyBypassActive = true;
+    }
+
+    request.status = "queued";
+    const now = Date.now();
+    this.refreshQueueOrder(now);
+    this.refreshPriority(request, now);
+    this.assignFairTag(request);
+    this.getTenantState(request.tenant).queued++;
+    this.addToQueue(request);
+    this.queuedWeight += request.weight;
+    this.trackOperation(request, null, "queued");
+
+    // A parked request was already admitted, so it doesn't expire
+    if (
+      this.maxQueueWaitMs !== null &&
+      !request._queueTimer &&
+      !request.generator
+    ) {
+      const remaining = Math.max(
+        0,
+        request.enqueueTime + this.maxQueueWaitMs - Date.now()
+      );
+      request._queueTimer = setTimeout(
+        () => this.expireQueuedRequest(request),
+        remaining
+      );
+    }
+
+    if (request.deadline !== null && !request._deadlineTimer) {
+      // Fire once starting now would no longer finish before the deadline
+      const latestStart = request.deadline - this.estimateServiceTime(request);
+      request._deadlineTimer = setTimeout(() => {
+        request._deadlineTimer = null;
+        if (request.status === "queued" && !this.canMeetDeadline(request)) {
+          this.rejectForDeadline(request);
+        }
+      }, Math.max(0, latestStart - Date.now()));
+    }
+
+    this.emitRequestEvent("request:queued", request, {
+      queueSize: this.requestQueue.length,
+    });
+
+    if (this.watchAbortSignal(request)) {
+      return;
+    }
+    this.processQueue();
+  }
+
+  // Cancels the request, queued or running, once the caller's signal aborts.
+  // The listener is attached on the first enqueue and removed when the
+  // request settles. Returns true when the signal had already aborted.
+  watchAbortSignal(request) {
+    const signal = request.abortSignal;
+    if (!(signal instanceof AbortSignal) || request._onAbort) {
+      return false;
+    }
+    const onAbort = () => {
+      this.cancelRequest(request, signal.reason || new Error("Aborted"));
+    };
+    if (signal.aborted) {
+      onAbort();
+      return true;
+    }
+    request._onAbort = onAbort;
+    signal.addEventListener("abort", onAbort, { once: true });
+    request.completionPromise
+      .catch(() => {})
+      .finally(() => signal.removeEventListener("abort", onAbort));
+    return false;
+  }
+
+  processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    if (this.isSuspended()) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      this.refreshQueueOrder();
+
+      const hasEmergencyRequests = this.queuedEmergencyCount > 0;
+
+      // Requests of tenants that already hold their maxConcurrent slots, or
+      // whose tenant rate limit is exhausted, are set aside for this pass and
+      // put back in their original order
+      const now = Date.now();
+      const skipped = [];
+      let poolRateLimited = false;
+      let memoryBlocked = false;
+      let tenantCapped = false;
+      let wakeDelay = Infinity;
+      try {
+        while (this.requestQueue.length > 0) {
+          const request = this.requestQueue.peek();
+          if (!this.isTenantUnderCap(request)) {
+            tenantCapped = true;
+            skipped.push(this.requestQueue.pop());
+            continue;
+          }
+          const tenantDelay = this.getRateLimitDelay(
+            this.tenantRateLimiters.get(request.tenant),
+            request,
+            now
+          );
+          if (tenantDelay > 0) {
+            this.markRateLimited(request, now);
+            wakeDelay = Math.min(wakeDelay, tenantDelay);
+            skipped.push(this.requestQueue.pop());
+            continue;
+          }
+          this.clearRateLimited(request, now);
+          // Parked requests are work already in flight, so an open breaker
+          // doesn't hold them
+          if (
+            !this.hasCapacityFor(request) ||
+            (!request.generator && !this.canDispatch())
+          ) {
+            break;
+          }
+          // The head waits for memory rather than letting smaller requests
+          // past, which could starve it; the budget re-runs processQueue on
+          // every new sample
+          if (!this.hasMemoryFor(request)) {
+            request.memoryLimited = true;
+            memoryBlocked = true;
+            break;
+          }
+          const poolDelay = this.getRateLimitDelay(
+            this.rateLimiter,
+            request,
+            now
+          );
+          if (poolDelay > 0) {
+            poolRateLimited = true;
+            wakeDelay = Math.min(wakeDelay, poolDelay);
+            break;
+          }
+          if (!this.canMeetDeadline(request)) {
+            this.rejectForDeadline(request);
+            continue;
+          }
+          this.removeFromQueue(request);
+          this.acquireRateLimits(request);
+          this.startRequest(request);
+        }
+      } finally {
+        this.requestQueue.restore(skipped);
+      }
+      this.memoryBlocked = memoryBlocked;
+      this.tenantCapped = tenantCapped;
+      this.updatePoolRateLimited(poolRateLimited, now);
+      this.scheduleRateLimitWake(wakeDelay);
+
+      // Emergency requests sort first, so one is at the head if any is queued
+      const head = this.requestQueue.peek();
+      if (
+        hasEmergencyRequests &&
+        head &&
+        head.emergencyBypass &&
+        !this.hasCapacityFor(head) &&
+        this.canDispatch()
+      ) {
+        const originalLimit = this.maxConcurrentRequests;
+        this.maxConcurrentRequests = Math.min(originalLimit + 1, 2);
+        this.removeFromQueue(head);
+        this.startRequest(head);
+        this.maxConcurrentRequests = originalLimit;
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    this.admitBlockedSubmissions();
+  }
+
+  hasQueueSpace() {
+    return (
+      this.maxQueueSize === null ||
+      this.requestQueue.length + this.reservedQueueSlots < this.maxQueueSize
+    );
+  }
+
+  canAccept(options = {}) {
+    const { priority = 0, emergencyBypass = false, tenant } = options;
+    if (this.closed) {
+      return false;
+    }
+    if (
+      !emergencyBypass &&
+      this.quotaManager &&
+      this.quotaManager.check(tenant || DEFAULT_TENANT)
+    ) {
+      return false;
+    }
+    if (emergencyBypass || this.hasQueueSpace()) {
+      return true;
+    }
+    switch (this.overflowPolicy) {
+      case "drop-oldest":
+        return this.requestQueue.length > this.queuedEmergencyCount;
+      case "drop-lowest-priority": {
+        const victim = this.findLowestPriorityRequest();
+        return Boolean(victim && victim.priority < priority);
+      }
+      case "reject":
+      case "block":
+      default:
+        return false;
+    }
+  }
+
+  // The non-emergency request that would be dispatched last, i.e. the
+  // lowest-priority, most recently queued one. Only runs on a full queue.
+  findLowestPriorityRequest() {
+    this.refreshQueueOrder();
+    let lowest = null;
+    this.requestQueue.forEach((req) => {
+      if (
+        !req.emergencyBypass &&
+        (!lowest || this.requestQueue.before(lowest, req))
+      ) {
+        lowest = req;
+      }
+    });
+    return lowest;
+  }
+
+  // Makes room for a new request according to the overflow policy. Returns
+  // false when the new request itself has to be rejected.
+  makeQueueSpace(priority) {
+    let victim = null;
+    if (this.overflowPolicy === "drop-oldest") {
+      this.requestQueue.forEach((req) => {
+        if (
+          !req.emergencyBypass &&
+          (!victim || req.enqueueTime < victim.enqueueTime)
+        ) {
+          victim = req;
+        }
+      });
+    } else if (this.overflowPolicy === "drop-lowest-priority") {
+      victim = this.findLowestPriorityRequest();
+      if (victim && victim.priority >= priority) {
+        victim = null;
+      }
+    }
+
+    if (!victim) {
+      return false;
+    }
+    this.overflowStats.dropped++;
+    this.removeQueuedRequest(
+      victim,
+      new QueueFullError("Request dropped from a full queue", {
+        reason: "dropped",
+        requestId: victim.id,
+        maxQueueSize: this.maxQueueSize,
+      })
+    );
+    return true;
+  }
+
+  removeQueuedRequest(request, error) {
+    if (!this.removeFromQueue(request)) {
+      return false;
+    }
+    this.queuedWeight = Math.max(0, this.queuedWeight - request.weight);
+    const tenantState = this.getTenantState(request.tenant);
+    tenantState.queued = Math.max(0, tenantState.queued - 1);
+    tenantState.failed++;
+    this.failedCount++;
+    this.clearQueueTimer(request);
+    this.closeGenerator(request);
+    request.fail(error);
+    this.trackOperation(request, "queued", "failed");
+    this.emitRequestFailure(request, error, false);
+    this.admitBlockedSubmissions();
+    return true;
+  }
+
+  waitForQueueSpace(options = {}) {
+    if (this.closed) {
+      return Promise.reject(new ShutdownError());
+    }
+    if (this.overflowPolicy !== "block" || options.emergencyBypass) {
+      return Promise.resolve(false);
+    }
+    if (this.hasQueueSpace() && this.blockedSubmissions.length === 0) {
+      // Reserve now so concurrent callers can't overfill the queue before
+      // this one gets to submit
+      this.reservedQueueSlots++;
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null, cleanupAbort: null };
+      const leave = (error) => {
+        waiter.leave = null;
+        const idx = this.blockedSubmissions.indexOf(waiter);
+        if (idx >= 0) this.blockedSubmissions.splice(idx, 1);
+        if (waiter.timer) clearTimeout(waiter.timer);
+        if (waiter.cleanupAbort) waiter.cleanupAbort();
+        reject(error);
+      };
+      waiter.leave = leave;
+
+      if (this.maxQueueWaitMs !== null) {
+        waiter.timer = setTimeout(() => {
+          this.overflowStats.expired++;
+          leave(
+            new QueueFullError("Timed out waiting for queue space", {
+              reason: "wait_timeout",
+              maxQueueSize: this.maxQueueSize,
+            })
+          );
+        }, this.maxQueueWaitMs);
+      }
+
+      const signal = options.signal;
+      if (signal instanceof AbortSignal) {
+        const onAbort = () => leave(signal.reason || new Error("Aborted"));
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener("abort", onAbort, { once: true });
+        waiter.cleanupAbort = () =>
+          signal.removeEventListener("abort", onAbort);
+      }
+
+      this.blockedSubmissions.push(waiter);
+    });
+  }
+
+  admitBlockedSubmissions() {
+    while (this.blockedSubmissions.length > 0 && this.hasQueueSpace()) {
+      const waiter = this.blockedSubmissions.shift();
+      if (waiter.timer) clearTimeout(waiter.timer);
+      if (waiter.cleanupAbort) waiter.cleanupAbort();
+      // Hold the freed slot for this caller until it submits
+      this.reservedQueueSlots++;
+      waiter.resolve(true);
+    }
+  }
+
+  clearQueueTimer(request) {
+    if (request._queueTimer) {
+      clearTimeout(request._queueTimer);
+      request._queueTimer = null;
+    }
+    if (request._deadlineTimer) {
+      clearTimeout(request._deadlineTimer);
+      request._deadlineTimer = null;
+    }
+  }
+
+  // Decaying average duration of completed requests of the same type, so
+  // the estimate follows a backend that got slower or faster instead of its
+  // whole history. Until one has completed there is nothing to judge
+  // feasibility by, so it is 0 and no request is rejected early; a guessed
+  // latency would reject short deadlines on a fresh start
+  estimateServiceTime(request) {
+    const typeStats = this.operationTypes[request.type];
+    return typeStats?.recentDuration ?? 0;
+  }
+
+  canMeetDeadline(request) {
+    if (request.deadline === null) {
+      return true;
+    }
+    return Date.now() + this.estimateServiceTime(request) <= request.deadline;
+  }
+
+  createDeadlineError(request, message) {
+    return new DeadlineExceededError(message, {
+      requestId: request.id,
+      deadline: request.deadline,
+      estimatedLatencyMs: this.estimateServiceTime(request),
+    });
+  }
+
+  rejectForDeadline(request) {
+    this.deadlineStats.rejected++;
+    this.recordDeadlineOutcome(false);
+    this.removeQueuedRequest(
+      request,
+      this.createDeadlineError(
+        request,
+        "Request can no longer finish before its deadline"
+      )
+    );
+  }
+
+  recordDeadlineOutcome(met) {
+    const now = Date.now();
+    this.recentDeadlines.push({ timestamp: now, met });
+    const cutoff = now - this.failureWindowMs;
+    while (
+      this.recentDeadlines.length > 0 &&
+      (this.recentDeadlines[0].timestamp < cutoff ||
+        this.recentDeadlines.length > this.maxRecentAttempts)
+    ) {
+      this.recentDeadlines.shift();
+    }
+  }
+
+  getDeadlineWindowStats() {
+    const cutoff = Date.now() - this.failureWindowMs;
+    const recent = this.recentDeadlines.filter(
+      (entry) => entry.timestamp >= cutoff
+    );
+    const missed = recent.filter((entry) => !entry.met).length;
+    return {
+      total: recent.length,
+      missed,
+      missRate: recent.length > 0 ? missed / recent.length : 0,
+    };
+  }
+
+  expireQueuedRequest(request) {
+    if (request.status !== "queued") {
+      return;
+    }
+    this.overflowStats.expired++;
+    this.removeQueuedRequest(
+      request,
+      new QueueFullError(
+        `Request waited longer than ${this.maxQueueWaitMs}ms in the queue`,
+        {
+          reason: "wait_timeout",
+          requestId: request.id,
+          maxQueueSize: this.maxQueueSize,
+        }
+      )
+    );
+  }
+
+  // A request is admitted only when its weight fits in the remaining budget;
+  // an idle manager always admits one so oversized requests can't starve.
+  hasCapacityFor(request) {
+    if (this.activeRequests === 0) {
+      return this.maxConcurrentRequests > 0;
+    }
+    return this.activeWeight + request.weight <= this.maxConcurrentRequests;
+  }
+
+  startRequest(request) {
+    const resuming = request.generator !== null;
+    this.clearQueueTimer(request);
+    request.start();
+    request.waitTime = request.getWaitTime();
+    this.clearRateLimited(request, request.startTime);
+    request.rateLimitWaitMs = Math.min(
+      request.waitTime,
+      request.rateLimitWaitMs +
+        overlapMs(
+          this.rateLimitedIntervals,
+          this.rateLimitedSince,
+          request.enqueueTime,
+          request.startTime
+        )
+    );
+    if (request.rateLimitWaitMs > 0) {
+      this.rateLimitedCount++;
+    }
+    this.recordWaitSample(request);
+    if (request.memoryLimited) {
+      request.memoryLimited = false;
+      this.memoryLimitedCount++;
+    }
+    if (this.memoryBudget) {
+      request.memoryMB = this.getMemoryEstimate(request);
+      this.memoryBudget.reserve(request, request.memoryMB);
+    }
+    this.activeRequests++;
+    this.runningRequests.add(request);
+    if (this.circuitBreaker && !resuming) {
+      this.circuitBreaker.onDispatch(request);
+    }
+    this.requestsById.set(request.id, request);
+    this.activeWeight += request.weight;
+    this.queuedWeight = Math.max(0, this.queuedWeight - request.weight);
+    this.virtualTime = Math.max(this.virtualTime, request.fairTag);
+    const tenantState = this.getTenantState(request.tenant);
+    tenantState.queued = Math.max(0, tenantState.queued - 1);
+    tenantState.active++;
+    this.tenantActive.set(
+      request.tenant,
+      (this.tenantActive.get(request.tenant) || 0) + 1
+    );
+    this.trackOperation(request, "queued", "active");
+    if (resuming) {
+      this.emitRequestEvent("request:resumed", request, {
+        waitMs: request.waitTime,
+        durationMs: request.executedMs,
+        suspensions: request.suspensions,
+      });
+    } else {
+      this.emitRequestEvent("request:started", request, {
+        waitMs: request.waitTime,
+        rateLimitWaitMs: request.rateLimitWaitMs,
+      });
+    }
+
+    // Retried requests are already tracked unless they aged out of history
+    if (!request.inHistory) {
+      request.inHistory = true;
+      this.requestHistory.push(request);
+      if (this.requestHistory.length > this.maxHistorySize) {
+        this.requestHistory.shift().inHistory = false;
+      }
+    }
+
+    // A resumed generator keeps the signal it was started with
+    if (!resuming) {
+      request.abortController = new AbortController();
+    }
+    request.operationSettled = false;
+    const context = {
+      signal: request.abortController.signal,
+      requestId: request.id,
+      attempt: request.attempt,
+    };
+
+    const operationPromise = Promise.resolve()
+      .then(() => {
+        if (!resuming && isGeneratorFunction(request.operation)) {
+          request.generator = request.operation(context);
+        }
+        return request.generator
+          ? this.runSlice(request)
+          : request.operation(context);
+      })
+      .finally(() => {
+        request.operationSettled = true;
+        // The caller already saw a timeout/cancellation; free the held slot now
+        if (request.holdingSlot) {
+          request.holdingSlot = false;
+          this.releaseSlot(request);
+          this.processQueue();
+        }
+      })
+      .then((result) => {
+        if (result === SUSPENDED) {
+          this.suspendRequest(request);
+          return undefined;
+        }
+        this.completeRequest(request.id, result);
+        return result;
+      })
+      .catch((error) => {
+        if (
+          request.preemptedAt !== null &&
+          request.status === "active" &&
+          !this.closed
+        ) {
+          this.requeuePreempted(request, error);
+          return undefined;
+        }
+        if (this.shouldRetry(request, error)) {
+          this.scheduleRetry(request, error);
+          return undefined;
+        }
+        this.failRequest(request.id, error);
+        throw error;
+      });
+
+    // Only time spent running counts against the timeout: earlier slices of
+    // a time-sliced request do, time parked in the queue doesn't
+    const timeoutPromise =
+      typeof request.timeoutMs === "number" && request.timeoutMs > 0
+        ? new Promise((_, reject) => {
+            request._timeoutId = setTimeout(() => {
+              reject(new Error("Request timed out"));
+            }, Math.max(0, request.timeoutMs - request.executedMs));
+          })
+        : null;
+
+    const deadlinePromise =
+      request.deadline !== null
+        ? new Promise((_, reject) => {
+            request._activeDeadlineId = setTimeout(() => {
+              reject(
+                this.createDeadlineError(
+                  request,
+                  "Request did not finish before its deadline"
+                )
+              );
+            }, Math.max(0, request.deadline - Date.now()));
+          })
+        : null;
+
+    // Caller aborts and cancel() land here while the request is active
+    const cancelPromise = new Promise((_, reject) => {
+      request._cancel = reject;
+    });
+    // A preempted request may already be running again by the time this
+    // attempt's race settles, so only this attempt's handles are cleared
+    const { _timeoutId: timeoutId, _activeDeadlineId: deadlineId } = request;
+    const cancel = request._cancel;
+
+    const races = [operationPromise, cancelPromise];
+    if (timeoutPromise) races.push(timeoutPromise);
+    if (deadlinePromise) races.push(deadlinePromise);
+
+    Promise.race(races)
+      .then((result) => result)
+      .catch((error) => {
+        if (!request.operationSettled) {
+          request.abortController.abort(error);
+        }
+        this.failRequest(request.id, error);
+      })
+      .finally(() => {
+        if (timeoutId) {
+          clearTimeout(timeoutId);
+        }
+        if (deadlineId) {
+          clearTimeout(deadlineId);
+        }
+        if (request._cancel === cancel) {
+          request._cancel = null;
+        }
+      });
+  }
+
+  // Steps a time-sliced operation until it returns, checking after every
+  // yield whether its slot is needed elsewhere
+  async runSlice(request) {
+    const { generator } = request;
+    const { signal } = request.abortController;
+    try {
+      while (true) {
+        if (signal.aborted) {
+          request.generator = null;
+          await generator.return();
+          throw signal.reason;
+        }
+        const { value, done } = await generator.next();
+        if (done) {
+          request.generator = null;
+          return value;
+        }
+        const reason = this.getSuspendReason(request);
+        if (reason) {
+          request.suspendReason = reason;
+          return SUSPENDED;
+        }
+      }
+    } catch (error) {
+      request.generator = null;
+      throw error;
+    }
+  }
+
+  // "limit" while a scale-down is waiting on busy slots, "priority" while a
+  // higher-priority request is waiting for capacity and would start in the
+  // freed slot
+  getSuspendReason(request) {
+    if (
+      this.closed ||
+      request.emergencyBypass ||
+      request.status !== "active" ||
+      request.abortController.signal.aborted
+    ) {
+      return null;
+    }
+    if (
+      this.desiredThreadCount !== null &&
+      this.activeWeight > this.desiredThreadCount
+    ) {
+      return "limit";
+    }
+    const now = Date.now();
+    const next = this.getNextDispatchable(now);
+    if (
+      next &&
+      next.priority > request.priority &&
+      !this.hasCapacityFor(next) &&
+      this.wouldDispatchAfter(request, next, now)
+    ) {
+      return "priority";
+    }
+    return null;
+  }
+
+  // The request processQueue would try to start next: the first in queue
+  // order that isn't set aside for its tenant's cap or rate limit
+  getNextDispatchable(now) {
+    this.refreshQueueOrder(now);
+    const passesTenant = (candidate) =>
+      this.isTenantUnderCap(candidate) &&
+      this.getRateLimitDelay(
+        this.tenantRateLimiters.get(candidate.tenant),
+        candidate,
+        now
+      ) === 0;
+
+    const head = this.requestQueue.peek();
+    if (!head || passesTenant(head)) {
+      return head || null;
+    }
+    let next = null;
+    this.requestQueue.forEach((candidate) => {
+      if (
+        (next === null || this.requestQueue.before(candidate, next)) &&
+        passesTenant(candidate)
+      ) {
+        next = candidate;
+      }
+    });
+    return next;
+  }
+
+  // Whether `next` would pass processQueue's gates once `request` gives up
+  // its slot; parking is pointless while the rate limit, an open circuit or
+  // the memory budget would hold it anyway. A parked generator keeps its
+  // memory, so the budget is checked as it stands.
+  wouldDispatchAfter(request, next, now) {
+    const fits =
+      this.activeRequests <= 1
+        ? this.maxConcurrentRequests > 0
+        : this.activeWeight - request.weight + next.weight <=
+          this.maxConcurrentRequests;
+    return (
+      fits &&
+      (next.generator !== null || this.canDispatch()) &&
+      this.hasMemoryFor(next) &&
+      this.getRateLimitDelay(this.rateLimiter, next, now) === 0
+    );
+  }
+
+  // Parks a time-sliced request: its slot is released and it is queued again
+  // with its generator, to continue from the same yield once it is dispatched
+  suspendRequest(request) {
+    if (request.status !== "active") {
+      // Timed out or cancelled while its last step was running
+      this.closeGenerator(request);
+      return;
+    }
+    const now = Date.now();
+    // The timeout clock stops while parked and restarts on resume with
+    // whatever executedMs leaves of timeoutMs
+    if (request._timeoutId) {
+      clearTimeout(request._timeoutId);
+      request._timeoutId = null;
+    }
+    request.executedMs += now - request.startTime;
+    request.suspensions++;
+    this.suspendedCount++;
+    this.forgetRequest(request);
+    this.trackOperation(request, "active", null);
+    this.releaseSlot(request);
+
+    this.emitRequestEvent("request:suspended", request, {
+      reason: request.suspendReason,
+      durationMs: request.executedMs,
+      suspensions: request.suspensions,
+    });
+
+    request.suspendReason = null;
+    request.enqueueTime = now;
+    request.startTime = null;
+    request.rateLimitWaitMs = 0;
+    this.enqueue(request);
+  }
+
+  getParkedCount() {
+    return this.queuedParkedCount;
+  }
+
+  // Lets a parked generator run its finally blocks when its request fails
+  closeGenerator(request) {
+    const generator = request.generator;
+    if (!generator) {
+      return;
+    }
+    request.generator = null;
+    Promise.resolve()
+      .then(() => generator.return())
+      .catch((error) => {
+        console.warn(
+          "[Thread Manager] Closing a parked operation failed:",
+          error?.message || error
+        );
+      });
+  }
+
+  getMemoryEstimate(request) {
+    if (request.estimatedMemoryMB !== null) {
+      return request.estimatedMemoryMB;
+    }
+    const learned = this.memoryBudget
+      ? this.memoryBudget.estimate(request.type)
+      : null;
+    return learned ?? 0;
+  }
+
+  hasMemoryFor(request) {
+    if (!this.memoryBudget || request.emergencyBypass) {
+      return true;
+    }
+    return this.memoryBudget.canAdmit(this.getMemoryEstimate(request));
+  }
+
+  // Frees the capacity held by an active request and applies any scale-down
+  // that was deferred while the slot was busy
+  releaseSlot(request) {
+    this.activeRequests = Math.max(0, this.activeRequests - 1);
+    this.runningRequests.delete(request);
+    if (this.memoryBudget) {
+      this.memoryBudget.release(request);
+    }
+    this.activeWeight = Math.max(0, this.activeWeight - request.weight);
+    const tenantState = this.getTenantState(request.tenant);
+    tenantState.active = Math.max(0, tenantState.active - 1);
+    const tenantActive = (this.tenantActive.get(request.tenant) || 0) - 1;
+    if (tenantActive > 0) {
+      this.tenantActive.set(request.tenant, tenantActive);
+    } else {
+      this.tenantActive.delete(request.tenant);
+    }
+
+    if (this.activeRequests === 0 && this.idleWaiters.length > 0) {
+      const waiters = this.idleWaiters;
+      this.idleWaiters = [];
+      waiters.forEach((resolve) => resolve());
+    }
+
+    if (request.emergencyBypass) {
+      const hasOtherEmergencyRequests = this.getActiveRequests().some(
+        (req) => req.emergencyBypass && req.id !== request.id
+      );
+      if (!hasOtherEmergencyRequests) {
+        this.emergencyBypassActive = false;
+      }
+    }
+
+    // Check if we can now scale down to desired count after this thread became vacant
+    if (
+      this.desiredThreadCount !== null &&
+      this.activeWeight <= this.desiredThreadCount
+    ) {
+      const oldLimit = this.maxConcurrentRequests;
+      this.maxConcurrentRequests = this.desiredThreadCount;
+      if (this.onScalingUpdate) {
+        this.onScalingUpdate(this.desiredThreadCount, oldLimit);
+      }
+      this.desiredThreadCount = null;
+    }
+
+    if (
+      this.onTenantSlotFreed &&
+      this.getTenantConfig(request.tenant).maxConcurrent !== null
+    ) {
+      this.onTenantSlotFreed(this);
+    }
+  }
+
+  completeRequest(requestId, result) {
+    const request = this.findRequest(requestId);
+    if (request) {
+      request.complete(result);
+      this.forgetRequest(request);
+      this.trackOperation(request, "active", "completed");
+      this.recordCompletionStats(request);
+      if (request.deadline !== null) {
+        const met = request.endTime <= request.deadline;
+        this.deadlineStats[met ? "met" : "missed"]++;
+        this.recordDeadlineOutcome(met);
+      }
+      this.recordAttemptOutcome(true);
+      if (this.circuitBreaker) {
+        this.circuitBreaker.recordSuccess(request);
+      }
+      this.getTenantState(request.tenant).completed++;
+      const tokens = this.countRequestTokens(request, result);
+      this.recordTenantUsage(request, tokens);
+      this.settleRateLimitTokens(request, tokens);
+      this.emitRequestEvent("request:completed", request, {
+        waitMs: request.waitTime,
+        durationMs: request.getDuration(),
+      });
+      this.releaseSlot(request);
+      this.processQueue();
+    }
+  }
+
+  recordCompletionStats(request) {
+    const duration = request.getDuration();
+    this.completedCount++;
+    this.totalDuration += duration;
+    this.durationSketch.add(duration, request.endTime);
+    if (request.isStream && request.firstTokenTime !== null) {
+      const tokenStats = request.getTokenStats();
+      this.streamedCount++;
+      this.streamedTokens += request.tokenCount;
+      this.ttftSketch.add(tokenStats.ttftMs, request.endTime);
+      if (Number.isFinite(tokenStats.interTokenLatencyMs)) {
+        this.interTokenSketch.add(
+          tokenStats.interTokenLatencyMs,
+          request.endTime
+        );
+      }
+      if (request.tokenCount > 0) {
+        this.streamTokenSketch.add(
+          request.tokenCount,
+          request.endTime,
+          request.startTime
+        );
+      }
+    }
+  }
+
+  failRequest(requestId, error) {
+    const request = this.findRequest(requestId);
+    if (request) {
+      const wasActive = request.status === "active";
+      request.fail(error);
+      this.forgetRequest(request);
+      this.trackOperation(request, wasActive ? "active" : "queued", "failed");
+      this.getTenantState(request.tenant).failed++;
+      this.failedCount++;
+      this.emitRequestFailure(request, error, wasActive);
+      if (wasActive) {
+        this.recordAttemptOutcome(false);
+        if (this.circuitBreaker) {
+          this.circuitBreaker.recordFailure(request, error);
+        }
+        if (error instanceof DeadlineExceededError) {
+          this.deadlineStats.missed++;
+          this.recordDeadlineOutcome(false);
+        }
+        if (request.holdSlotUntilSettled && !request.operationSettled) {
+          request.holdingSlot = true;
+        } else {
+          this.releaseSlot(request);
+        }
+      }
+      this.processQueue();
+    }
+  }
 
-    const recentWindowMs = 60000;
-    const recentCompleted = completedRequests.filter(
-      (req) => req.endTime && Date.now() - req.endTime < recentWindowMs
+  shouldRetry(request, error) {
+    return (
+      !this.closed &&
+      request.status === "active" &&
+      request.attempt < request.retryPolicy.maxAttempts &&
+      // A stream that already produced chunks can't be replayed transparently
+      request.tokenCount === 0 &&
+      Boolean(request.retryPolicy.retryOn(error, request.attempt))
     );
-    let throughput = 0;
-    if (recentCompleted.length > 0) {
-      const oldest = recentCompleted.reduce(
-        (min, req) => Math.min(min, req.endTime || Date.now()),
-        Date.now()
+  }
+
+  scheduleRetry(request, error) {
+    const policy = request.retryPolicy;
+    const delayMs = computeRetryDelay(policy, request.attempt);
+
+    request.status = "retrying";
+    request.lastError = error;
+    this.forgetRequest(request);
+    this.trackOperation(request, "active", null);
+    this.recordAttemptOutcome(false);
+    if (this.circuitBreaker) {
+      this.circuitBreaker.recordFailure(request, error);
+    }
+    this.retriedCount++;
+    this.releaseSlot(request);
+
+    this.emitRequestEvent("request:retried", request, {
+      error,
+      delayMs,
+      nextAttempt: request.attempt + 1,
+    });
+
+    const timer = setTimeout(() => {
+      this.pendingRetries.delete(request.id);
+      request.attempt++;
+      request.enqueueTime = Date.now();
+      request.startTime = null;
+      request.endTime = null;
+      request.executedMs = 0;
+      request.rateLimitWaitMs = 0;
+      if (policy.requeuePriority === "elevated") {
+        request.priority += policy.priorityBoost;
+      }
+      this.enqueue(request);
+    }, delayMs);
+    this.pendingRetries.set(request.id, { request, timer, delayMs });
+
+    this.processQueue();
+  }
+
+  recordAttemptOutcome(succeeded) {
+    const now = Date.now();
+    this.recentAttempts.push({ timestamp: now, succeeded });
+    const cutoff = now - this.failureWindowMs;
+    while (
+      this.recentAttempts.length > 0 &&
+      (this.recentAttempts[0].timestamp < cutoff ||
+        this.recentAttempts.length > this.maxRecentAttempts)
+    ) {
+      this.recentAttempts.shift();
+    }
+  }
+
+  getAttemptStats() {
+    const cutoff = Date.now() - this.failureWindowMs;
+    const recent = this.recentAttempts.filter(
+      (attempt) => attempt.timestamp >= cutoff
+    );
+    const failures = recent.filter((attempt) => !attempt.succeeded).length;
+    return {
+      attempts: recent.length,
+      failures,
+      failureRate: recent.length > 0 ? failures / recent.length : 0,
+    };
+  }
+
+  findRequest(requestId) {
+    const request = this.requestsById.get(requestId);
+    return request &&
+      (request.status === "active" || request.status === "queued")
+      ? request
+      : undefined;
+  }
+
+  // Requests that still hold a slot include ones that were cancelled or timed
+  // out but whose operation is still running
+  getActiveRequests() {
+    return Array.from(this.runningRequests).filter(
+      (req) => req.status === "active"
+    );
+  }
+
+  // Queued, active and retry-pending requests, i.e. everything cancel() can reach
+  getCancellableRequests() {
+    return [
+      ...this.requestQueue,
+      ...this.getActiveRequests(),
+      ...Array.from(this.pendingRetries.values()).map(({ request }) => request),
+    ];
+  }
+
+  cancelRequest(request, error) {
+    switch (request.status) {
+      case "queued":
+        if (!this.requestQueue.has(request)) {
+          return false;
+        }
+        request.cancelled = true;
+        this.removeQueuedRequest(request, error);
+        break;
+      case "active":
+        if (!request._cancel) {
+          return false;
+        }
+        request.cancelled = true;
+        request._cancel(error);
+        break;
+      case "retrying": {
+        const pending = this.pendingRetries.get(request.id);
+        if (pending) {
+          clearTimeout(pending.timer);
+          this.pendingRetries.delete(request.id);
+        }
+        request.cancelled = true;
+        request.fail(error);
+        this.getTenantState(request.tenant).failed++;
+        this.failedCount++;
+        this.emitRequestFailure(request, error, false);
+        this.processQueue();
+        break;
+      }
+      default:
+        return false;
+    }
+    this.cancelledCount++;
+    return true;
+  }
+
+  cancel(requestId, reason = "cancelled") {
+    const request =
+      this.findRequest(requestId) ||
+      this.pendingRetries.get(requestId)?.request;
+    if (!request) {
+      return false;
+    }
+    return this.cancelRequest(
+      request,
+      new CancelledError(`Request ${requestId} was cancelled`, {
+        requestId,
+        reason,
+      })
+    );
+  }
+
+  cancelAll(options = {}) {
+    const { priorityBelow = null, tenant = null, reason = "cancelled" } =
+      options;
+    const targets = this.getCancellableRequests().filter(
+      (req) =>
+        (priorityBelow === null || req.priority < priorityBelow) &&
+        (tenant === null || req.tenant === tenant)
+    );
+    return targets.filter((req) =>
+      this.cancelRequest(
+        req,
+        new CancelledError(`Request ${req.id} was cancelled`, {
+          requestId: req.id,
+          reason,
+        })
+      )
+    ).length;
+  }
+
+  submitRequest(operation, options = {}, reservedSlot = false) {
+    if (this.closed) {
+      if (reservedSlot) {
+        this.reservedQueueSlots = Math.max(0, this.reservedQueueSlots - 1);
+      }
+      throw new ShutdownError();
+    }
+
+    if (isWorkerJob(operation)) {
+      if (!this.workerPool) {
+        if (reservedSlot) {
+          this.reservedQueueSlots = Math.max(0, this.reservedQueueSlots - 1);
+          this.admitBlockedSubmissions();
+        }
+        throw new TypeError("Worker jobs need a workerPool");
+      }
+      const job = operation;
+      operation = (context) => this.workerPool.run(job, context);
+    }
+
+    const {
+      priority = 0,
+      emergencyBypass = false,
+      timeoutMs = null,
+      // `abortSignal` is the name queueRequest() uses
+      abortSignal = null,
+      signal = abortSignal,
+      type = DEFAULT_OPERATION_TYPE,
+      weight = 1,
+      retry,
+      deadline = null,
+      tenant = DEFAULT_TENANT,
+      countTokens = null,
+      estimatedTokens = 0,
+      estimatedMemoryMB = null,
+      preemptible = false,
+      requestId = null,
+      holdSlotUntilSettled = this.holdSlotUntilSettled,
+    } = options;
+
+    // Quotas are checked before queue admission; emergency requests are exempt
+    // but still count against the tenant's usage
+    const quotaStatus =
+      this.quotaManager && !emergencyBypass
+        ? this.quotaManager.check(tenant)
+        : null;
+    if (quotaStatus) {
+      if (reservedSlot) {
+        this.reservedQueueSlots = Math.max(0, this.reservedQueueSlots - 1);
+        this.admitBlockedSubmissions();
+      }
+      this.getTenantState(tenant).quotaRejected++;
+      throw new QuotaExceededError(
+        `Tenant "${tenant}" exceeded its ${quotaStatus.kind} quota (${quotaStatus.used}/${quotaStatus.limit})`,
+        { tenant, ...quotaStatus }
+      );
+    }
+
+    const deadlineTime = deadline instanceof Date ? deadline.getTime() : deadline;
+    if (
+      Number.isFinite(deadlineTime) &&
+      !this.canMeetDeadline({ type, deadline: deadlineTime })
+    ) {
+      if (reservedSlot) {
+        this.reservedQueueSlots = Math.max(0, this.reservedQueueSlots - 1);
+        this.admitBlockedSubmissions();
+      }
+      this.deadlineStats.rejected++;
+      this.recordDeadlineOutcome(false);
+      throw new DeadlineExceededError(
+        "Request can not finish before its deadline",
+        {
+          deadline: deadlineTime,
+          estimatedLatencyMs: this.estimateServiceTime({ type }),
+        }
+      );
+    }
+
+    if (reservedSlot) {
+      this.reservedQueueSlots = Math.max(0, this.reservedQueueSlots - 1);
+    } else if (
+      !emergencyBypass &&
+      !this.hasQueueSpace() &&
+      !this.makeQueueSpace(priority)
+    ) {
+      this.overflowStats.rejected++;
+      throw new QueueFullError(
+        `Request queue is full (max ${this.maxQueueSize})`,
+        { reason: "rejected", maxQueueSize: this.maxQueueSize }
       );
-      const windowSeconds = Math.max((Date.now() - oldest) / 1000, 1);
-      throughput = recentCompleted.length / windowSeconds;
+    }
+
+    const request = this.queueRequest(operation, {
+      priority,
+      emergencyBypass,
+      timeoutMs,
+      abortSignal: signal,
+      type,
+      weight,
+      retry,
+      deadline: deadlineTime,
+      tenant,
+      countTokens,
+      estimatedTokens,
+      estimatedMemoryMB,
+      preemptible,
+      requestId,
+      holdSlotUntilSettled,
+    });
+    if (this.quotaManager) {
+      this.quotaManager.recordUsage(request.tenant, { requests: 1 });
+    }
+    return request;
+  }
+
+  awaitRequest(request) {
+    const cancellation = (err) => {
+      // If still queued, remove it
+      if (this.removeQueuedRequest(request, err)) {
+        return Promise.reject(err);
+      }
+      this.failRequest(request.id, err);
+      throw err;
+    };
+
+    const resultPromise = request.completionPromise.catch((err) =>
+      cancellation(err)
+    );
+
+    return resultPromise;
+  }
+
+  async execute(operation, options = {}) {
+    if (options.key !== undefined && options.key !== null) {
+      return await this.executeKeyed(operation, options);
+    }
+    const reservedSlot = await this.waitForQueueSpace(options);
+    const request = this.submitRequest(operation, options, reservedSlot);
+    return await this.awaitRequest(request);
+  }
+
+  // Cache hits and coalesced callers never become requests, so they don't
+  // show up in throughput or latency stats
+  async executeKeyed(operation, options) {
+    const {
+      key,
+      cacheTtlMs,
+      abortSignal = null,
+      signal = abortSignal,
+      ...executeOptions
+    } = options;
+    const cacheKey = String(key);
+    const useCache = this.resultCache !== null && cacheTtlMs !== 0;
+
+    if (useCache) {
+      const cached = this.resultCache.get(cacheKey);
+      if (cached) {
+        return cached.value;
+      }
+    }
+
+    let flight = this.inFlight.get(cacheKey);
+    if (flight) {
+      this.coalescedCount++;
+      this.raiseQueuedPriority(flight.request, executeOptions.priority);
+    } else {
+      flight = {
+        subscribers: 0,
+        controller: new AbortController(),
+        request: null,
+        promise: null,
+      };
+      const current = flight;
+      flight.promise = (async () => {
+        const reservedSlot = await this.waitForQueueSpace(executeOptions);
+        current.request = this.submitRequest(
+          operation,
+          { ...executeOptions, signal: current.controller.signal },
+          reservedSlot
+        );
+        const result = await this.awaitRequest(current.request);
+        if (useCache) {
+          this.resultCache.set(cacheKey, result, cacheTtlMs);
+        }
+        return result;
+      })().finally(() => {
+        if (this.inFlight.get(cacheKey) === current) {
+          this.inFlight.delete(cacheKey);
+        }
+      });
+      this.inFlight.set(cacheKey, flight);
+    }
+
+    return await this.subscribeToFlight(flight, signal);
+  }
+
+  // A caller aborting only detaches that caller; the shared request is
+  // cancelled once every caller waiting on it has aborted
+  subscribeToFlight(flight, signal) {
+    flight.subscribers++;
+    if (!(signal instanceof AbortSignal)) {
+      return flight.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        flight.subscribers--;
+        if (flight.subscribers === 0) {
+          flight.controller.abort(signal.reason);
+        }
+        reject(signal.reason || new Error("Aborted"));
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+      flight.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener("abort", onAbort);
+      });
+    });
+  }
+
+  raiseQueuedPriority(request, priority) {
+    if (
+      !request ||
+      request.status !== "queued" ||
+      !Number.isFinite(priority) ||
+      priority <= request.priority
+    ) {
+      return;
+    }
+    this.uncountQueued(request);
+    request.priority = priority;
+    this.countQueued(request);
+    this.refreshQueueOrder();
+    this.refreshPriority(request);
+    this.requestQueue.update(request);
+    this.scheduleAging(request);
+    this.processQueue();
+  }
+
+  // Runs an operation that produces an (async) iterable and hands its chunks
+  // back to the caller while the request holds its slot. Token timings are
+  // recorded on the request for TTFT / tokens-per-second stats.
+  executeStream(operation, options = {}) {
+    const {
+      countTokens = () => 1,
+      highWaterMark = DEFAULT_STREAM_HIGH_WATER_MARK,
+      ...executeOptions
+    } = options;
+    const limit =
+      typeof highWaterMark === "number" && highWaterMark > 0
+        ? highWaterMark
+        : DEFAULT_STREAM_HIGH_WATER_MARK;
+    const buffer = [];
+    let finished = false;
+    let failure = null;
+    let consumerDone = false;
+    let wake = null;
+    const notify = () => {
+      if (wake) {
+        const resume = wake;
+        wake = null;
+        resume();
+      }
+    };
+    // Backpressure: with `limit` chunks unread, the operation isn't asked for
+    // the next one until the consumer catches up
+    let drain = null;
+    const resumeProducer = () => {
+      if (drain) {
+        const resume = drain;
+        drain = null;
+        resume();
+      }
+    };
+    const waitForConsumer = (signal) =>
+      new Promise((resolve) => {
+        drain = () => {
+          signal.removeEventListener("abort", resumeProducer);
+          resolve();
+        };
+        signal.addEventListener("abort", resumeProducer, { once: true });
+      });
+
+    let request = null;
+    // The consumer stopped reading: a queued request is cancelled before it
+    // starts and a running one has its signal aborted
+    const stopStream = () => {
+      consumerDone = true;
+      resumeProducer();
+      if (request && !finished && !request.cancelled) {
+        this.cancelRequest(
+          request,
+          new CancelledError(`Request ${request.id} was cancelled`, {
+            requestId: request.id,
+            reason: "stream_closed",
+          })
+        );
+      }
+    };
+    const streamOperation = async (context) => {
+      // Dispatched in the same tick the consumer stopped
+      if (consumerDone) {
+        return request.getTokenStats();
+      }
+      const source =
+        typeof operation === "function" ? await operation(context) : operation;
+      if (!source) {
+        return request.getTokenStats();
+      }
+      const iterator = source[Symbol.asyncIterator]
+        ? source[Symbol.asyncIterator]()
+        : source[Symbol.iterator]();
+      try {
+        while (!consumerDone && !context.signal.aborted) {
+          const { value, done } = await iterator.next();
+          // A chunk arriving after an abort is dropped, so a preempted stream
+          // that produced nothing yet can be replayed from the start
+          if (done || context.signal.aborted) break;
+          const tokens = Number(countTokens(value));
+          request.recordTokens(Number.isFinite(tokens) ? tokens : 0);
+          buffer.push(value);
+          notify();
+          if (buffer.length >= limit && !consumerDone) {
+            await waitForConsumer(context.signal);
+          }
+        }
+      } finally {
+        if (
+          (consumerDone || context.signal.aborted) &&
+          typeof iterator.return === "function"
+        ) {
+          await iterator.return();
+        }
+      }
+      if (context.signal.aborted && !consumerDone) {
+        throw context.signal.reason;
+      }
+      return request.getTokenStats();
+    };
+
+    this.waitForQueueSpace(executeOptions)
+      .then((reservedSlot) => {
+        request = this.submitRequest(
+          streamOperation,
+          executeOptions,
+          reservedSlot
+        );
+        request.isStream = true;
+        if (consumerDone) {
+          stopStream();
+        }
+        return this.awaitRequest(request);
+      })
+      .catch((error) => {
+        failure = error;
+      })
+      .finally(() => {
+        finished = true;
+        notify();
+      });
+
+    const stream = async function* () {
+      try {
+        while (true) {
+          if (buffer.length > 0) {
+            const chunk = buffer.shift();
+            resumeProducer();
+            yield chunk;
+            continue;
+          }
+          // The consumer closed the stream itself, so the cancellation
+          // isn't reported back to it
+          if (finished || consumerDone) {
+            if (failure && !consumerDone) throw failure;
+            return;
+          }
+          await new Promise((resolve) => {
+            wake = resolve;
+          });
+        }
+      } finally {
+        stopStream();
+      }
+    };
+
+    // An async generator's return() doesn't run its finally block if it was
+    // never started, and waits for a pending next(), which might be for a
+    // request that is still queued
+    const iterator = stream();
+    const close = iterator.return.bind(iterator);
+    iterator.return = (value) => {
+      stopStream();
+      notify();
+      return close(value);
+    };
+    return iterator;
+  }
+
+  // Stops admitting work; callers blocked waiting for queue space are rejected
+  close() {
+    this.closed = true;
+    if (this.circuitBreaker) {
+      this.circuitBreaker.clearCoolDown();
+    }
+    if (this.rateLimitTimer) {
+      clearTimeout(this.rateLimitTimer);
+      this.rateLimitTimer = null;
+      this.rateLimitWakeAt = null;
+    }
+    const blocked = this.blockedSubmissions.slice();
+    blocked.forEach((waiter) => {
+      if (waiter.leave) {
+        waiter.leave(new ShutdownError());
+      }
+    });
+    return blocked.length;
+  }
+
+  // Rejects queued and retry-pending requests with a ShutdownError. With
+  // `drain`, active requests get up to `timeoutMs` to finish before they are
+  // aborted; otherwise they are aborted right away through their signals.
+  async shutdown(options = {}) {
+    const { drain = false, timeoutMs = 30000 } = options;
+    const summary = { completed: 0, failed: 0, aborted: 0, rejected: 0 };
+
+    summary.rejected += this.close();
+    const waiting = [
+      ...this.requestQueue,
+      ...Array.from(this.pendingRetries.values()).map(({ request }) => request),
+    ];
+    waiting.forEach((request) => {
+      const error = new ShutdownError("Request rejected by shutdown", {
+        requestId: request.id,
+      });
+      if (this.cancelRequest(request, error)) {
+        summary.rejected++;
+      }
+    });
+
+    const active = this.getActiveRequests();
+    if (drain && active.length > 0) {
+      let timer = null;
+      await Promise.race([
+        Promise.allSettled(active.map((req) => req.completionPromise)),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, timeoutMs);
+        }),
+      ]);
+      clearTimeout(timer);
+    }
+
+    active.forEach((request) => {
+      if (request.status === "completed") {
+        summary.completed++;
+      } else if (request.status === "failed") {
+        summary.failed++;
+      } else if (
+        this.cancelRequest(
+          request,
+          new ShutdownError("Request aborted by shutdown", {
+            requestId: request.id,
+          })
+        )
+      ) {
+        summary.aborted++;
+      }
+    });
+
+    return summary;
+  }
+
+  getState() {
+    return {
+      maxConcurrentRequests: this.maxConcurrentRequests,
+      activeRequests: this.activeRequests,
+      activeWeight: this.activeWeight,
+      queueSize: this.requestQueue.length,
+      queuedWeight: this.queuedWeight,
+      retrying: this.pendingRetries.size,
+      blocked: this.blockedSubmissions.length,
+      // Cancelled or timed out, but still running and holding their slot
+      holding: Array.from(this.runningRequests).filter(
+        (req) => req.holdingSlot
+      ).length,
+      inFlightKeys: this.inFlight.size,
+      closed: this.closed,
+      paused: this.paused,
+      gates: Array.from(this.gates),
+      circuit: this.circuitBreaker ? this.circuitBreaker.getState() : null,
+      coalesced: this.coalescedCount,
+      isProcessing: this.isProcessing,
+      lastUpdate: this.lastUpdate,
+      historySize: this.requestHistory.length,
+      operationMix: this.getOperationMix(),
+    };
+  }
+
+  // Latency, TTFT and throughput cover the last minute of completions;
+  // completed/failed are running totals
+  getQueueStats() {
+    const now = Date.now();
+    const durations = this.durationSketch.getSummary(now);
+    // Fall back to the lifetime average when nothing finished recently
+    const avgDuration =
+      durations.count > 0
+        ? durations.mean
+        : this.completedCount > 0
+          ? this.totalDuration / this.completedCount
+          : 0;
+
+    let throughput = 0;
+    if (durations.count > 0) {
+      const oldest = durations.oldestTimestamp;
+      const windowMs = now - oldest - this.getSuspendedMs(oldest, now);
+      const windowSeconds = Math.max(windowMs / 1000, 1);
+      throughput = durations.count / windowSeconds;
     }
 
     const avgLatency = avgDuration;
 
+    const streamedTokens = this.streamTokenSketch.getSummary(now);
+    let tokensPerSecond = 0;
+    if (streamedTokens.count > 0) {
+      const oldestStart = streamedTokens.oldestTimestamp;
+      const windowMs =
+        now - oldestStart - this.getSuspendedMs(oldestStart, now);
+      const windowSeconds = Math.max(windowMs / 1000, 1);
+      tokensPerSecond = streamedTokens.sum / windowSeconds;
+    }
+    const ttfts = this.ttftSketch.getSummary(now);
+
+    const waits = this.waitSketch.getSummary(now);
+    const summarize = (sketch, summary) => ({
+      avg: summary.mean,
+      p50: sketch.quantile(0.5, now),
+      p95: sketch.quantile(0.95, now),
+      p99: sketch.quantile(0.99, now),
+      count: summary.count,
+    });
+    // Little's law (L = λW): requests in the system over the time each spends
+    // in it gives the arrival rate the queue is currently absorbing
+    const inSystem = this.requestQueue.length + this.activeRequests;
+    const timeInSystemSec = (waits.mean + durations.mean) / 1000;
+    const arrivalRate = timeInSystemSec > 0 ? inSystem / timeInSystemSec : 0;
+
+    const byType = {};
+    Object.entries(this.operationTypes).forEach(([type, typeStats]) => {
+      byType[type] = {
+        queued: typeStats.queued,
+        active: typeStats.active,
+        completed: typeStats.completed,
+        failed: typeStats.failed,
+        avgDuration:
+          typeStats.completed > 0
+            ? typeStats.totalDuration / typeStats.completed
+            : 0,
+      };
+    });
+
     return {
-      active: activeRequests.length,
-      completed: completedRequests.length,
-      failed: failedRequests.length,
+      active: this.getActiveRequests().length,
+      completed: this.completedCount,
+      failed: this.failedCount,
       queued: this.requestQueue.length,
-      backlog: this.requestQueue.length + this.activeRequests,
+      retried: this.retriedCount,
+      retrying: this.pendingRetries.size,
+      failureRate: this.getAttemptStats().failureRate,
+      waitTimeByPriority: this.getWaitTimeByPriority(),
+      tenants: this.getTenantStats(),
+      cancelled: this.cancelledCount,
+      deadlines: {
+        ...this.deadlineStats,
+        missRate: this.getDeadlineWindowStats().missRate,
+      },
+      overflow: {
+        ...this.overflowStats,
+        blocked: this.blockedSubmissions.length,
+        maxQueueSize: this.maxQueueSize,
+        policy: this.overflowPolicy,
+      },
+      activeWeight: this.activeWeight,
+      queuedWeight: this.queuedWeight,
+      backlog: this.queuedWeight + this.activeWeight,
       avgDuration: avgDuration,
       maxConcurrent: this.maxConcurrentRequests,
       throughput,
       avgLatency,
-      p50Latency: p50,
-      p95Latency: p95,
+      // Completions behind the latency figures
+      latencySamples: durations.count,
+      p50Latency: this.durationSketch.quantile(0.5, now),
+      p95Latency: this.durationSketch.quantile(0.95, now),
+      // Time queued before dispatch vs. time executing once dispatched
+      waitTime: summarize(this.waitSketch, waits),
+      // Split of waitTime: held by a rate limit vs. waiting for a free slot
+      rateLimitWait: summarize(
+        this.rateLimitWaitSketch,
+        this.rateLimitWaitSketch.getSummary(now)
+      ),
+      concurrencyWait: summarize(
+        this.concurrencyWaitSketch,
+        this.concurrencyWaitSketch.getSummary(now)
+      ),
+      rateLimits: this.getRateLimitStats(),
+      preemption: {
+        preempted: this.preemptedCount,
+        lostWorkMs: this.preemptedWorkMs,
+        // Aborted but still winding down
+        pending: this.getActiveRequests().filter(
+          (req) => req.preemptedAt !== null
+        ).length,
+      },
+      timeSlicing: {
+        suspended: this.suspendedCount,
+        parked: this.getParkedCount(),
+      },
+      memory: {
+        blocked: this.memoryBlocked,
+        limited: this.memoryLimitedCount,
+        reservedMB: Math.round(
+          Array.from(this.runningRequests).reduce(
+            (sum, req) => sum + req.memoryMB,
+            0
+          )
+        ),
+      },
+      serviceTime: summarize(this.durationSketch, durations),
+      arrivalRate,
+      byType,
+      streaming: {
+        completed: this.streamedCount,
+        tokens: this.streamedTokens,
+        tokensPerSecond,
+        recentCompleted: ttfts.count,
+        avgTtft: ttfts.mean,
+        p95Ttft: this.ttftSketch.quantile(0.95, now),
+        avgInterTokenLatency: this.interTokenSketch.getSummary(now).mean,
+      },
     };
   }
 }
@@ -0,0 +1,94 @@
+import { ThreadManager } from "./ThreadManager.js";
+
+export class ThreadPool {
+  constructor(name, threader, options = {}) {
+    this.name = name;
+    this.threader = threader;
+    // Pool options double as ThreadManager options (queue bounds, retries, ...)
+    this.threadManager = options.threadManager || new ThreadManager(options);
+    this.configure(options);
+  }
+
+  configure(options = {}) {
+    if (options.minThreads !== undefined) {
+      this.minThreads =
+        Number.isFinite(options.minThreads) && options.minThreads >= 1
+          ? Math.floor(options.minThreads)
+          : 1;
+    } else if (this.minThreads === undefined) {
+      this.minThreads = 1;
+    }
+
+    if (options.maxThreads !== undefined) {
+      this.maxThreads =
+        Number.isFinite(options.maxThreads) && options.maxThreads > 0
+          ? Math.max(this.minThreads, Math.floor(options.maxThreads))
+          : null;
+    } else if (this.maxThreads === undefined) {
+      this.maxThreads = null;
+    }
+
+    // New pools already got their limit through the ThreadManager options
+    if (options.rateLimit !== undefined && this.configured) {
+      this.threadManager.setRateLimit(options.rateLimit);
+    }
+    this.configured = true;
+    return this;
+  }
+
+  // Relative resource cost of one slot in this pool, from the learned
+  // intensity of the operations it is currently running or queueing
+  getResourceCost() {
+    const context = this.threadManager.getOperationMixWithContext();
+    return context.currentIntensity > 0 ? context.currentIntensity : null;
+  }
+
+  getDemand() {
+    const state = this.threadManager.getState();
+    return state.queuedWeight + state.activeWeight;
+  }
+
+  async execute(operation, options = {}) {
+    return await this.threader.execute(operation, {
+      ...options,
+      pool: this.name,
+    });
+  }
+
+  executeStream(operation, options = {}) {
+    return this.threader.executeStream(operation, {
+      ...options,
+      pool: this.name,
+    });
+  }
+
+  map(items, mapper, options = {}) {
+    return this.threader.map(items, mapper, { ...options, pool: this.name });
+  }
+
+  executeBatch(operations, options = {}) {
+    return this.threader.executeBatch(operations, {
+      ...options,
+      pool: this.name,
+    });
+  }
+
+  canAccept(options = {}) {
+    return this.threader.canAccept({ ...options, pool: this.name });
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      minThreads: this.minThreads,
+      maxThreads: this.maxThreads,
+      ...this.threadManager.getState(),
+    };
+  }
+
+  getQueueStats() {
+    return this.threadManager.getQueueStats();
+  }
+}
+
+export default ThreadPool;
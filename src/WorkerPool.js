@@ -0,0 +1,380 @@
+import { fork } from "child_process";
+import { isAbsolute, resolve } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { Worker } from "worker_threads";
+import { ShutdownError, WorkerCrashedError } from "./errors.js";
+
+const RUNTIME_URL = new URL("./workerRuntime.js", import.meta.url);
+
+// A job is a module path (or file URL) plus the name of an exported function
+// and the arguments to call it with, so it can run outside this event loop
+export function isWorkerJob(operation) {
+  return (
+    operation !== null &&
+    typeof operation === "object" &&
+    (typeof operation.module === "string" || operation.module instanceof URL)
+  );
+}
+
+// Relative paths resolve against the working directory; bare specifiers are
+// left to the worker's own module resolution
+function resolveModule(specifier) {
+  if (specifier instanceof URL) {
+    return specifier.href;
+  }
+  if (specifier.startsWith("file:")) {
+    return specifier;
+  }
+  if (specifier.startsWith(".") || isAbsolute(specifier)) {
+    return pathToFileURL(resolve(specifier)).href;
+  }
+  return specifier;
+}
+
+function deserializeError(data) {
+  const error = new Error(data.message);
+  Object.assign(error, data.fields);
+  error.name = data.name;
+  if (data.stack) {
+    error.stack = data.stack;
+  }
+  return error;
+}
+
+// One worker thread or child process behind a common interface
+class WorkerHandle {
+  constructor(id, mode, options) {
+    this.id = id;
+    this.mode = mode;
+    this.task = null;
+    this.ready = false;
+    this.exiting = false;
+    if (mode === "process") {
+      this.child = fork(fileURLToPath(RUNTIME_URL), [], {
+        serialization: "advanced",
+        execArgv: options.execArgv,
+        env: options.env,
+      });
+    } else {
+      this.child = new Worker(RUNTIME_URL, {
+        execArgv: options.execArgv,
+        env: options.env,
+        resourceLimits: options.resourceLimits,
+      });
+    }
+  }
+
+  onMessage(handler) {
+    this.child.on("message", handler);
+  }
+
+  // Called once with (exitCode, signal) however the worker went away
+  onExit(handler) {
+    let exited = false;
+    const done = (code, signal = null) => {
+      if (!exited) {
+        exited = true;
+        handler(code, signal);
+      }
+    };
+    this.child.on("exit", done);
+    this.child.on("error", () => {
+      // An "exit" follows for started workers; a process that failed to
+      // spawn only reports the error
+      if (this.mode === "process" && this.child.pid === undefined) {
+        done(null, null);
+      }
+    });
+  }
+
+  send(message) {
+    if (this.mode === "process") {
+      this.child.send(message);
+    } else {
+      this.child.postMessage(message);
+    }
+  }
+
+  // Idle workers don't keep the host process alive
+  setBusy(busy) {
+    if (busy) {
+      this.child.ref();
+      if (this.mode === "process") this.child.channel?.ref();
+    } else {
+      this.child.unref();
+      if (this.mode === "process") this.child.channel?.unref();
+    }
+  }
+
+  terminate() {
+    this.exiting = true;
+    if (this.mode === "process") {
+      this.child.kill();
+    } else {
+      this.child.terminate();
+    }
+  }
+}
+
+// Runs jobs on a pool of worker threads or child processes. A worker that
+// crashes only fails the job it was running and is replaced; cancelling a job
+// terminates its worker, since a busy worker can't be interrupted otherwise.
+export class WorkerPool {
+  constructor(options = {}) {
+    const {
+      mode = "thread",
+      size = 1,
+      execArgv = undefined,
+      env = undefined,
+      resourceLimits = undefined,
+      onWorkerExit = null,
+    } = options;
+
+    if (mode !== "thread" && mode !== "process") {
+      throw new TypeError(`Unknown worker mode "${mode}"`);
+    }
+    this.mode = mode;
+    this.size = 1;
+    this.spawnOptions = { execArgv, env, resourceLimits };
+    this.onWorkerExit = onWorkerExit;
+
+    this.workers = new Set();
+    this.waiting = [];
+    this.nextWorkerId = 1;
+    this.nextTaskId = 1;
+    this.closed = false;
+
+    this.completedCount = 0;
+    this.failedCount = 0;
+    this.crashCount = 0;
+    this.restartCount = 0;
+    this.terminatedCount = 0;
+
+    this.resize(size);
+  }
+
+  // Follows the scaling recommendation; busy workers above the new size are
+  // retired once their job finishes
+  resize(size) {
+    this.size = Number.isFinite(size) && size >= 1 ? Math.floor(size) : 1;
+    const idle = Array.from(this.workers).filter(
+      (worker) => !worker.task && !worker.exiting
+    );
+    let excess = this.getLiveCount() - this.size;
+    while (excess > 0 && idle.length > 0) {
+      idle.pop().terminate();
+      excess--;
+    }
+    this.dispatch();
+  }
+
+  getLiveCount() {
+    return Array.from(this.workers).filter((worker) => !worker.exiting).length;
+  }
+
+  run(job, context = {}) {
+    if (this.closed) {
+      return Promise.reject(new ShutdownError("Worker pool is closed"));
+    }
+    const { signal = null, requestId = null } = context;
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason || new Error("Aborted"));
+    }
+
+    return new Promise((resolvePromise, rejectPromise) => {
+      const task = {
+        id: this.nextTaskId++,
+        requestId,
+        message: {
+          type: "run",
+          module: resolveModule(job.module),
+          exportName: job.export || "default",
+          args: Array.isArray(job.args) ? job.args : [],
+        },
+        worker: null,
+        settled: false,
+        cleanup: null,
+      };
+      task.resolve = (value) => {
+        task.settled = true;
+        if (task.cleanup) task.cleanup();
+        resolvePromise(value);
+      };
+      task.reject = (error) => {
+        task.settled = true;
+        if (task.cleanup) task.cleanup();
+        rejectPromise(error);
+      };
+
+      if (signal) {
+        const onAbort = () =>
+          this.cancelTask(task, signal.reason || new Error("Aborted"));
+        signal.addEventListener("abort", onAbort, { once: true });
+        task.cleanup = () => signal.removeEventListener("abort", onAbort);
+      }
+
+      this.waiting.push(task);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.waiting.length > 0 && !this.closed) {
+      let worker = Array.from(this.workers).find(
+        (candidate) => !candidate.task && !candidate.exiting
+      );
+      if (!worker) {
+        if (this.getLiveCount() >= this.size) {
+          return;
+        }
+        worker = this.spawn();
+      }
+      this.assign(worker, this.waiting.shift());
+    }
+  }
+
+  spawn() {
+    const worker = new WorkerHandle(
+      this.nextWorkerId++,
+      this.mode,
+      this.spawnOptions
+    );
+    worker.onMessage((message) => this.handleMessage(worker, message));
+    worker.onExit((code, signal) => this.handleExit(worker, code, signal));
+    worker.setBusy(false);
+    this.workers.add(worker);
+    return worker;
+  }
+
+  assign(worker, task) {
+    worker.task = task;
+    task.worker = worker;
+    worker.setBusy(true);
+    worker.send({ ...task.message, id: task.id });
+  }
+
+  handleMessage(worker, message) {
+    if (message.type === "ready") {
+      worker.ready = true;
+      return;
+    }
+    const task = worker.task;
+    if (!task || message.id !== task.id) {
+      return;
+    }
+    worker.task = null;
+    worker.setBusy(false);
+    if (message.type === "result") {
+      this.completedCount++;
+      task.resolve(message.result);
+    } else {
+      this.failedCount++;
+      task.reject(deserializeError(message.error));
+    }
+    if (this.getLiveCount() > this.size) {
+      worker.terminate();
+    }
+    this.dispatch();
+  }
+
+  handleExit(worker, exitCode, signal) {
+    this.workers.delete(worker);
+    const task = worker.task;
+    worker.task = null;
+    const crashed = !worker.exiting;
+
+    if (task && !task.settled) {
+      this.failedCount++;
+      task.reject(
+        new WorkerCrashedError(
+          `Worker ${worker.id} exited while running the job (${
+            signal || `code ${exitCode}`
+          })`,
+          { requestId: task.requestId, workerId: worker.id, exitCode, signal }
+        )
+      );
+    }
+
+    if (crashed && !this.closed) {
+      this.crashCount++;
+      // A worker that died before it started would die again, so it is only
+      // replaced on demand
+      const restart = worker.ready && this.getLiveCount() < this.size;
+      if (restart) {
+        this.restartCount++;
+        this.spawn();
+      }
+      if (this.onWorkerExit) {
+        try {
+          this.onWorkerExit({
+            workerId: worker.id,
+            mode: this.mode,
+            exitCode,
+            signal,
+            requestId: task ? task.requestId : null,
+            restarted: restart,
+          });
+        } catch (error) {
+          console.warn(
+            "[Thread Manager] Worker exit listener failed:",
+            error.message
+          );
+        }
+      }
+    }
+    this.dispatch();
+  }
+
+  cancelTask(task, error) {
+    if (task.settled) {
+      return;
+    }
+    const index = this.waiting.indexOf(task);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+    } else if (task.worker && task.worker.task === task) {
+      // The worker is replaced on demand by the next dispatch
+      this.terminatedCount++;
+      task.worker.terminate();
+    }
+    task.reject(error);
+  }
+
+  // Rejects waiting jobs and terminates every worker, failing running jobs
+  async close() {
+    this.closed = true;
+    const error = new ShutdownError("Worker pool is closed");
+    this.waiting.splice(0).forEach((task) => task.reject(error));
+    const exits = Array.from(this.workers).map(
+      (worker) =>
+        new Promise((resolvePromise) => {
+          worker.child.once("exit", resolvePromise);
+          // Keep the host alive until the worker is actually gone
+          worker.setBusy(true);
+          if (worker.task) {
+            worker.task.reject(error);
+          }
+          worker.terminate();
+        })
+    );
+    await Promise.all(exits);
+  }
+
+  getState() {
+    const workers = Array.from(this.workers);
+    return {
+      mode: this.mode,
+      size: this.size,
+      workers: workers.length,
+      busy: workers.filter((worker) => worker.task).length,
+      waiting: this.waiting.length,
+      completed: this.completedCount,
+      failed: this.failedCount,
+      crashes: this.crashCount,
+      restarts: this.restartCount,
+      terminated: this.terminatedCount,
+    };
+  }
+}
+
+export default WorkerPool;
@@ -0,0 +1,74 @@
+export class QueueFullError extends Error {
+  constructor(message = "Request queue is full", options = {}) {
+    super(message);
+    this.name = "QueueFullError";
+    // "rejected", "dropped" or "wait_timeout"
+    this.reason = options.reason || "rejected";
+    this.requestId = options.requestId || null;
+    this.maxQueueSize = options.maxQueueSize ?? null;
+  }
+}
+
+export class DeadlineExceededError extends Error {
+  constructor(message = "Request deadline exceeded", options = {}) {
+    super(message);
+    this.name = "DeadlineExceededError";
+    this.requestId = options.requestId || null;
+    this.deadline = options.deadline ?? null;
+    this.estimatedLatencyMs = options.estimatedLatencyMs ?? null;
+  }
+}
+
+export class QuotaExceededError extends Error {
+  constructor(message = "Tenant quota exceeded", options = {}) {
+    super(message);
+    this.name = "QuotaExceededError";
+    this.tenant = options.tenant ?? null;
+    // "requests" or "tokens"
+    this.kind = options.kind || "requests";
+    this.limit = options.limit ?? null;
+    this.used = options.used ?? null;
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+export class CancelledError extends Error {
+  constructor(message = "Request was cancelled", options = {}) {
+    super(message);
+    this.name = "CancelledError";
+    this.requestId = options.requestId || null;
+    // "cancelled", "shutdown" or a caller-supplied reason
+    this.reason = options.reason || "cancelled";
+  }
+}
+
+// Rejection for work that was queued, blocked or still running when the
+// threader shut down
+export class ShutdownError extends CancelledError {
+  constructor(message = "Thread manager is shutting down", options = {}) {
+    super(message, { ...options, reason: "shutdown" });
+    this.name = "ShutdownError";
+  }
+}
+
+// Rejection for a job whose worker thread or child process exited while
+// running it
+export class WorkerCrashedError extends Error {
+  constructor(message = "Worker exited while running the job", options = {}) {
+    super(message);
+    this.name = "WorkerCrashedError";
+    this.requestId = options.requestId || null;
+    this.workerId = options.workerId ?? null;
+    this.exitCode = options.exitCode ?? null;
+    this.signal = options.signal ?? null;
+  }
+}
+
+// Abort reason seen by a preemptible request's operation when it is stopped
+// to shed load during a thermal emergency; the request itself is requeued
+export class PreemptedError extends CancelledError {
+  constructor(message = "Request was preempted", options = {}) {
+    super(message, { ...options, reason: "preempted" });
+    this.name = "PreemptedError";
+  }
+}
@@ -1,8 +1,23 @@
+import { EventEmitter } from "events";
 import { ThreadManager } from "./ThreadManager.js";
 import { SystemMonitor } from "./SystemMonitor.js";
+import { ThreadPool } from "./ThreadPool.js";
+import { Batch } from "./Batch.js";
+import { DurableQueue } from "./DurableQueue.js";
+import { MemoryBudget } from "./MemoryBudget.js";
+import { RateLimiter } from "./RateLimiter.js";
+import { ResultCache } from "./ResultCache.js";
+import { ShutdownError } from "./errors.js";
+import { TenantQuotaManager } from "./TenantQuotaManager.js";
+import { WorkerPool, isWorkerJob } from "./WorkerPool.js";
+import { allocatePoolBudget } from "./utils/poolAllocator.js";
 
-export class LLMThreader {
+const DEFAULT_POOL = "default";
+
+export class LLMThreader extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     const normalizedMaxThreads =
       Number.isFinite(options.maxThreads) && options.maxThreads > 0
         ? options.maxThreads
@@ -30,15 +45,82 @@ export class LLMThreader {
       maxThreads: normalizedMaxThreads,
     };
 
-    this.threadManager = new ThreadManager({
+    // Shared by every pool: tenant weights apply within each pool, while
+    // maxConcurrent counts a tenant's running requests across all of them
+    this.tenants = {};
+    this.tenantActive = new Map();
+    this.quotaManager = new TenantQuotaManager();
+    this.tenantRateLimiters = new Map();
+    this.resultCache = options.resultCache
+      ? new ResultCache(options.resultCache === true ? {} : options.resultCache)
+      : null;
+
+    // Workers are only started once a job is submitted, and the pool follows
+    // the scaling recommendation like the thread budget does
+    this.workerPool = new WorkerPool({
+      ...(options.workers || {}),
+      onWorkerExit: (details) =>
+        this.emit("worker:crashed", { ...details, timestamp: Date.now() }),
+    });
+
+    // Holds back requests whose memory footprint would push usage over the
+    // high threshold; shared because every pool draws on the same RAM
+    this.memoryBudget = !options.memoryAdmission
+      ? null
+      : new MemoryBudget({
+          limitPercent: this.options.highThresholds.memoryUsage,
+          ...(typeof options.memoryAdmission === "object"
+            ? options.memoryAdmission
+            : {}),
+        });
+
+    this.managerOptions = {
       maxHistorySize: options.maxHistorySize || 100,
-      onScalingUpdate: (newLimit, oldLimit) => {
-        if (this.options.onScalingUpdate) {
-          this.options.onScalingUpdate(newLimit, oldLimit);
-        }
+      retryPolicy: options.retryPolicy,
+      maxQueueSize: options.maxQueueSize,
+      maxQueueWaitMs: options.maxQueueWaitMs,
+      overflowPolicy: options.overflowPolicy,
+      aging: options.aging,
+      maxWaitMs: options.maxWaitMs,
+      tenants: this.tenants,
+      tenantActive: this.tenantActive,
+      onTenantSlotFreed: (manager) => {
+        this.pools.forEach(({ threadManager }) => {
+          if (threadManager !== manager && threadManager.tenantCapped) {
+            threadManager.processQueue();
+          }
+        });
       },
+      quotaManager: this.quotaManager,
+      tenantRateLimiters: this.tenantRateLimiters,
+      holdSlotUntilSettled: options.holdSlotUntilSettled,
+      circuitBreaker: options.circuitBreaker,
+      resultCache: this.resultCache,
+      workerPool: this.workerPool,
+      memoryBudget: this.memoryBudget,
+    };
+
+    // onScalingUpdate is reported once, from the monitor wiring below
+    // The top-level rateLimit applies to the default pool only; other pools
+    // are metered by the rateLimit passed to pool()
+    this.threadManager = new ThreadManager({
+      ...this.managerOptions,
+      rateLimit: options.rateLimit,
+      onRequestEvent: this.forwardRequestEvent(DEFAULT_POOL),
+      onCircuitStateChange: this.forwardCircuitEvent(DEFAULT_POOL),
     });
 
+    this.pools = new Map();
+    this.jobQueues = new Map();
+    this.pools.set(
+      DEFAULT_POOL,
+      new ThreadPool(DEFAULT_POOL, this, { threadManager: this.threadManager })
+    );
+    this.threadBudget = 1;
+    // Set while the engine clamps for a hard emergency; rebalancing then
+    // preempts requests instead of waiting for busy slots to free up
+    this.emergencyClamped = false;
+
     this.systemMonitor = new SystemMonitor({
       maxThreads: this.options.maxThreads,
       intervalMs: this.options.monitoringInterval,
@@ -47,33 +129,67 @@ export class LLMThreader {
       maxHistoryAgeMinutes: this.options.maxHistoryAgeMinutes,
       maxDataPoints: this.options.maxDataPoints,
       scalingHistoryRetentionHours: this.options.scalingHistoryRetentionHours,
+      optimizeFor: this.options.optimizeFor,
+      metricsProvider: options.metricsProvider,
       onScalingUpdate: (newThreads, oldThreads) => {
-        this.threadManager.updateThreadLimits(newThreads);
+        this.threadBudget = newThreads;
+        this.workerPool.resize(newThreads);
+        this.rebalancePools();
         if (this.options.onScalingUpdate) {
           this.options.onScalingUpdate(newThreads, oldThreads);
         }
       },
+      onScalingDecision: (decision) => {
+        this.emergencyClamped = decision.reason === "hard_emergency_clamp";
+        this.emit("scaling:decision", {
+          threads: decision.recommendedThreads,
+          previousThreads: decision.previousThreads,
+          changed: decision.recommendedThreads !== decision.previousThreads,
+          reason: decision.reason,
+          confidence: decision.confidence,
+          thermalState: decision.thermalState,
+          metrics: decision.metrics,
+          timestamp: decision.timestamp,
+        });
+      },
+      onSystemSample: (systemInfo) => {
+        if (!this.memoryBudget) {
+          return;
+        }
+        this.memoryBudget.observe(systemInfo);
+        this.pools.forEach((pool) => {
+          if (pool.threadManager.memoryBlocked) {
+            pool.threadManager.processQueue();
+          }
+        });
+      },
+      onThermalStateChange: (state, previousState, details) => {
+        const event =
+          state === "normal" ? "thermal:recovered" : `thermal:${state}`;
+        this.emit(event, { state, previousState, ...details });
+      },
+      admissionCheck: (acceptOptions) => this.canAccept(acceptOptions),
       getQueueMetrics: () => {
-        const state = this.threadManager.getState();
-        const stats = this.threadManager.getQueueStats();
-        const backlog = stats.backlog;
-        return {
-          queuePressure: state.queueSize,
-          activeThreads: state.activeRequests,
-           backlog,
-          operationMix: {},
-          operationMixWithContext: null,
-          throughput: stats.throughput,
-          avgLatency: stats.avgLatency,
-          p95Latency: stats.p95Latency,
-        };
+        // Demand shifts between pools even when the overall budget holds
+        this.rebalancePools();
+        return this.collectQueueMetrics();
       },
     });
 
+    Object.entries(options.tenants || {}).forEach(([name, config]) => {
+      this.tenant(name, config);
+    });
+
     this.isInitialized = false;
+    this.isShutDown = false;
+    this.paused = false;
+    this.gates = new Set();
   }
 
   async initialize() {
+    if (this.isShutDown) {
+      throw new ShutdownError("LLMThreader has been shut down");
+    }
     if (this.isInitialized) {
       return;
     }
@@ -82,19 +198,364 @@ export class LLMThreader {
     this.isInitialized = true;
   }
 
+  pool(name, options = {}) {
+    const poolName = name || DEFAULT_POOL;
+    let pool = this.pools.get(poolName);
+    if (pool) {
+      pool.configure(options);
+    } else {
+      pool = new ThreadPool(poolName, this, {
+        ...this.managerOptions,
+        ...options,
+        onRequestEvent: this.forwardRequestEvent(poolName),
+        onCircuitStateChange: this.forwardCircuitEvent(poolName),
+      });
+      if (this.paused) {
+        pool.threadManager.pause();
+      }
+      this.gates.forEach((name) => pool.threadManager.gate(name));
+      this.pools.set(poolName, pool);
+    }
+    this.rebalancePools();
+    return pool;
+  }
+
+  // Persistent queue of { handler, payload, priority } jobs; options only
+  // apply when the queue is first created
+  jobQueue(name = "default", options = {}) {
+    if (this.isShutDown) {
+      throw new ShutdownError("LLMThreader has been shut down");
+    }
+    let queue = this.jobQueues.get(name);
+    if (!queue) {
+      queue = new DurableQueue(this, name, options);
+      this.jobQueues.set(name, queue);
+    }
+    return queue;
+  }
+
+  tenant(name, options = {}) {
+    const { quota, rateLimit, ...config } = options;
+    this.tenants[name] = { ...this.tenants[name], ...config };
+    if (quota !== undefined) {
+      this.quotaManager.setQuota(name, quota);
+    }
+    if (rateLimit) {
+      this.tenantRateLimiters.set(name, new RateLimiter(rateLimit));
+    } else if (rateLimit !== undefined) {
+      this.tenantRateLimiters.delete(name);
+    }
+    // Pools may now be able to dispatch work held back by an old cap
+    this.pools.forEach((pool) => pool.threadManager.processQueue());
+    return this.getTenant(name);
+  }
+
+  getTenant(name) {
+    const config = this.tenants[name] || {};
+    return {
+      name,
+      weight: config.weight ?? 1,
+      maxConcurrent: config.maxConcurrent ?? null,
+      quota: this.quotaManager.getQuota(name),
+      usage: this.quotaManager.getUsage(name),
+      rateLimit: this.tenantRateLimiters.has(name)
+        ? this.tenantRateLimiters.get(name).getState()
+        : null,
+    };
+  }
+
+  forwardRequestEvent(poolName) {
+    return (event, payload) => this.emit(event, { ...payload, pool: poolName });
+  }
+
+  forwardCircuitEvent(poolName) {
+    return (state, previousState, details) =>
+      this.emit(`circuit:${state}`, {
+        pool: poolName,
+        state,
+        previousState,
+        ...details,
+        timestamp: Date.now(),
+      });
+  }
+
+  resolvePool(name) {
+    return this.pools.get(name || DEFAULT_POOL) || this.pool(name);
+  }
+
+  rebalancePools() {
+    const pools = Array.from(this.pools.values());
+    const allocations = allocatePoolBudget(
+      this.threadBudget,
+      pools.map((pool) => ({
+        name: pool.name,
+        demand: pool.getDemand(),
+        active: pool.threadManager.activeWeight,
+        cost: pool.getResourceCost(),
+        minThreads: pool.minThreads,
+        maxThreads: pool.maxThreads,
+      }))
+    );
+    pools.forEach((pool) => {
+      pool.threadManager.updateThreadLimits(allocations[pool.name], {
+        preempt: this.emergencyClamped,
+        allowZero: true,
+      });
+    });
+    return allocations;
+  }
+
+  collectQueueMetrics() {
+    const intensities =
+      this.systemMonitor.scalingEngine.getOperationIntensities();
+    const metrics = {
+      queuePressure: 0,
+      activeThreads: 0,
+      backlog: 0,
+      operationMix: {},
+      operationMixWithContext: {
+        mix: {},
+        active: {},
+        queued: {},
+        intensities,
+        currentIntensity: 0,
+        totalOperations: 0,
+      },
+      completedOperations: [],
+      throughput: 0,
+      avgLatency: 0,
+      p95Latency: 0,
+      // Queue wait and execution time kept apart so the engine can tell a
+      // slow model from too few threads
+      queueWaitMs: 0,
+      serviceTimeMs: 0,
+      arrivalRate: 0,
+      tokenThroughput: 0,
+      ttftMs: null,
+      failureRate: 0,
+      deadlineMissRate: 0,
+      // True when no pool can dispatch; the monitor skips these ticks
+      paused: this.pools.size > 0,
+      circuitOpen: this.pools.size > 0,
+    };
+    const mergeCounts = (target, source) => {
+      Object.entries(source).forEach(([type, count]) => {
+        target[type] = (target[type] || 0) + count;
+      });
+    };
+    let weightedIntensity = 0;
+    let latencySamples = 0;
+    let waitSamples = 0;
+    let ttftTotal = 0;
+    let ttftSamples = 0;
+    let attempts = 0;
+    let failures = 0;
+    let deadlineTotal = 0;
+    let deadlineMissed = 0;
+
+    this.pools.forEach((pool) => {
+      const manager = pool.threadManager;
+      metrics.paused = metrics.paused && manager.isSuspended();
+      metrics.circuitOpen = metrics.circuitOpen && manager.isCircuitOpen();
+      manager.setOperationIntensities(intensities);
+      const state = manager.getState();
+      const stats = manager.getQueueStats();
+      const mixContext = manager.getOperationMixWithContext();
+
+      // Demand signals are reported in weighted capacity units
+      metrics.queuePressure += state.queuedWeight;
+      metrics.activeThreads += state.activeWeight;
+      metrics.backlog += stats.backlog;
+      metrics.throughput += stats.throughput;
+      metrics.avgLatency += stats.avgLatency * stats.latencySamples;
+      latencySamples += stats.latencySamples;
+      metrics.p95Latency = Math.max(metrics.p95Latency, stats.p95Latency);
+      // Time held by a rate limit can't be fixed with more threads
+      metrics.queueWaitMs +=
+        stats.concurrencyWait.avg * stats.concurrencyWait.count;
+      waitSamples += stats.concurrencyWait.count;
+      metrics.arrivalRate += stats.arrivalRate;
+      metrics.tokenThroughput += stats.streaming.tokensPerSecond;
+      ttftTotal += stats.streaming.avgTtft * stats.streaming.recentCompleted;
+      ttftSamples += stats.streaming.recentCompleted;
+      const attemptStats = manager.getAttemptStats();
+      attempts += attemptStats.attempts;
+      failures += attemptStats.failures;
+      const deadlineStats = manager.getDeadlineWindowStats();
+      deadlineTotal += deadlineStats.total;
+      deadlineMissed += deadlineStats.missed;
+
+      mergeCounts(metrics.operationMix, mixContext.mix);
+      mergeCounts(metrics.operationMixWithContext.mix, mixContext.mix);
+      mergeCounts(metrics.operationMixWithContext.active, mixContext.active);
+      mergeCounts(metrics.operationMixWithContext.queued, mixContext.queued);
+      metrics.operationMixWithContext.totalOperations +=
+        mixContext.totalOperations;
+      weightedIntensity +=
+        mixContext.currentIntensity * mixContext.totalOperations;
+      metrics.completedOperations.push(...manager.drainCompletedOperations());
+    });
+
+    metrics.avgLatency =
+      latencySamples > 0 ? metrics.avgLatency / latencySamples : 0;
+    metrics.serviceTimeMs = metrics.avgLatency;
+    metrics.queueWaitMs =
+      waitSamples > 0 ? metrics.queueWaitMs / waitSamples : 0;
+    metrics.ttftMs = ttftSamples > 0 ? ttftTotal / ttftSamples : null;
+    metrics.failureRate = attempts > 0 ? failures / attempts : 0;
+    metrics.deadlineMissRate =
+      deadlineTotal > 0 ? deadlineMissed / deadlineTotal : 0;
+    metrics.operationMixWithContext.currentIntensity =
+      metrics.operationMixWithContext.totalOperations > 0
+        ? weightedIntensity / metrics.operationMixWithContext.totalOperations
+        : 0;
+    return metrics;
+  }
+
   async execute(operation, options = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    return await this.threadManager.execute(operation, options);
+    const { pool: poolName, ...executeOptions } = options;
+    const pool = this.resolvePool(poolName);
+    return await pool.threadManager.execute(operation, executeOptions);
+  }
+
+  // Returns a Batch; await it for ordered results, or use batch.progress()
+  // and batch.cancel() while it runs
+  map(items, mapper, options = {}) {
+    return new Batch(this, items, mapper, options);
+  }
+
+  executeBatch(operations, options = {}) {
+    return this.map(
+      operations,
+      (operation, index, context) =>
+        isWorkerJob(operation)
+          ? this.workerPool.run(operation, context)
+          : operation(context),
+      options
+    );
+  }
+
+  canAccept(options = {}) {
+    const { pool: poolName, ...acceptOptions } = options;
+    const pool = this.pools.get(poolName || DEFAULT_POOL);
+    if (!pool) {
+      return true;
+    }
+    return pool.threadManager.canAccept(acceptOptions);
+  }
+
+  async *executeStream(operation, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const { pool: poolName, ...executeOptions } = options;
+    const pool = this.resolvePool(poolName);
+    yield* pool.threadManager.executeStream(operation, executeOptions);
+  }
+
+  cancel(requestId, reason) {
+    return Array.from(this.pools.values()).some((pool) =>
+      pool.threadManager.cancel(requestId, reason)
+    );
+  }
+
+  cancelAll(options = {}) {
+    const { pool: poolName, ...cancelOptions } = options;
+    let cancelled = 0;
+    this.pools.forEach((pool, name) => {
+      if (!poolName || name === poolName) {
+        cancelled += pool.threadManager.cancelAll(cancelOptions);
+      }
+    });
+    return cancelled;
+  }
+
+  async pause(options = {}) {
+    this.paused = true;
+    await Promise.all(
+      Array.from(this.pools.values()).map((pool) =>
+        pool.threadManager.pause(options)
+      )
+    );
+  }
+
+  resume() {
+    this.paused = false;
+    this.pools.forEach((pool) => pool.threadManager.resume());
+  }
+
+  // Blocks dispatch in every pool until the returned function (or
+  // releaseGate(name)) is called
+  gate(name) {
+    this.gates.add(name);
+    this.pools.forEach((pool) => pool.threadManager.gate(name));
+    return () => this.releaseGate(name);
+  }
+
+  releaseGate(name) {
+    const released = this.gates.delete(name);
+    this.pools.forEach((pool) => pool.threadManager.releaseGate(name));
+    return released;
+  }
+
+  // Closes the circuit breaker of one pool (or every pool) right away, e.g.
+  // after the backend has been restarted
+  resetCircuit(poolName) {
+    const pools =
+      poolName === undefined
+        ? Array.from(this.pools.values())
+        : [this.resolvePool(poolName)];
+    pools.forEach((pool) => pool.threadManager.resetCircuit());
+  }
+
+  invalidateCache(key) {
+    if (!this.resultCache) {
+      return;
+    }
+    if (key === undefined) {
+      this.resultCache.clear();
+    } else {
+      this.resultCache.delete(String(key));
+    }
+  }
+
+  getCacheStats() {
+    let coalesced = 0;
+    this.pools.forEach((pool) => {
+      coalesced += pool.threadManager.coalescedCount;
+    });
+    return {
+      enabled: this.resultCache !== null,
+      ...(this.resultCache ? this.resultCache.getStats() : {}),
+      coalesced,
+    };
   }
 
   getState() {
+    const pools = {};
+    this.pools.forEach((pool, name) => {
+      pools[name] = pool.getState();
+    });
+    const jobQueues = {};
+    this.jobQueues.forEach((queue, name) => {
+      jobQueues[name] = queue.getStats();
+    });
     return {
       threadManager: this.threadManager.getState(),
       scaling: this.systemMonitor.getScalingState(),
       queueStats: this.threadManager.getQueueStats(),
+      cache: this.getCacheStats(),
+      workers: this.workerPool.getState(),
+      memory: this.memoryBudget ? this.memoryBudget.getState() : null,
+      paused: this.paused,
+      gates: Array.from(this.gates),
+      pools,
+      jobQueues,
     };
   }
 
@@ -110,14 +571,70 @@ export class LLMThreader {
     return this.systemMonitor.scalingEngine.usageHistoryManager.analyzeUsageTrends();
   }
 
-  shutdown() {
+  getOperationProfiles() {
+    return this.systemMonitor.scalingEngine.getOperationIntensityProfiles();
+  }
+
+  // Resolves with { completed, failed, aborted, rejected } across all pools
+  async shutdown(options = {}) {
+    this.isShutDown = true;
     this.systemMonitor.stopContinuousMonitoring();
     this.isInitialized = false;
+    // Jobs interrupted by the shutdown go back to their queue
+    const queuesSettled = Array.from(this.jobQueues.values()).map((queue) =>
+      queue.close()
+    );
+
+    const summaries = await Promise.all(
+      Array.from(this.pools.values()).map((pool) =>
+        pool.threadManager.shutdown(options)
+      )
+    );
+    await Promise.all(queuesSettled);
+    await this.workerPool.close();
+    try {
+      await this.systemMonitor.metricsProvider.close?.();
+    } catch (error) {
+      console.warn(
+        "[Thread Manager] Closing the metrics provider failed:",
+        error?.message || error
+      );
+    }
+    return summaries.reduce(
+      (total, summary) => {
+        Object.keys(total).forEach((key) => {
+          total[key] += summary[key];
+        });
+        return total;
+      },
+      { completed: 0, failed: 0, aborted: 0, rejected: 0 }
+    );
   }
 }
 
 export { ThreadManager } from "./ThreadManager.js";
+export { ThreadPool } from "./ThreadPool.js";
+export { Batch } from "./Batch.js";
+export { DurableQueue } from "./DurableQueue.js";
+export {
+  MetricsProvider,
+  StaticMetricsProvider,
+  SystemInformationProvider,
+  TraceReplayProvider,
+  parseTrace,
+} from "./MetricsProvider.js";
+export { MetricsRecorder } from "./MetricsRecorder.js";
 export { ScalingDecisionEngine } from "./ScalingDecisionEngine.js";
 export { SystemMonitor } from "./SystemMonitor.js";
+export { WorkerPool } from "./WorkerPool.js";
+export {
+  CancelledError,
+  DeadlineExceededError,
+  PreemptedError,
+  QueueFullError,
+  QuotaExceededError,
+  ShutdownError,
+  WorkerCrashedError,
+} from "./errors.js";
 
 export default LLMThreader;
@@ -61,9 +61,12 @@ class ScalingDatabase {
       )
       .run();
 
+    // Profiles in the original table divided total load by the active
+    // count, idle baseline included; they are relearned from live traffic
+    this.db.prepare(`DROP TABLE IF EXISTS operation_profiles;`).run();
     this.db
       .prepare(
-        `CREATE TABLE IF NOT EXISTS operation_profiles (
+        `CREATE TABLE IF NOT EXISTS operation_load_profiles (
           operation_type TEXT PRIMARY KEY,
           cpu_avg REAL,
           gpu_avg REAL,
@@ -75,6 +78,91 @@ class ScalingDatabase {
         );`
       )
       .run();
+
+    this.db
+      .prepare(
+        `CREATE TABLE IF NOT EXISTS tenant_quotas (
+          tenant TEXT PRIMARY KEY,
+          max_requests INTEGER,
+          max_tokens INTEGER,
+          window_ms INTEGER,
+          last_updated INTEGER
+        );`
+      )
+      .run();
+
+    this.db
+      .prepare(
+        `CREATE TABLE IF NOT EXISTS tenant_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tenant TEXT,
+          timestamp INTEGER,
+          requests INTEGER,
+          tokens INTEGER
+        );`
+      )
+      .run();
+
+    this.db
+      .prepare(
+        `CREATE INDEX IF NOT EXISTS idx_tenant_usage_tenant_time
+          ON tenant_usage (tenant, timestamp);`
+      )
+      .run();
+
+    this.db
+      .prepare(
+        `CREATE TABLE IF NOT EXISTS result_cache (
+          cache_key TEXT PRIMARY KEY,
+          value TEXT,
+          expires_at INTEGER,
+          last_accessed INTEGER
+        );`
+      )
+      .run();
+
+    this.db
+      .prepare(
+        `CREATE TABLE IF NOT EXISTS durable_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          queue TEXT,
+          handler TEXT,
+          payload TEXT,
+          priority INTEGER,
+          status TEXT,
+          attempts INTEGER,
+          max_attempts INTEGER,
+          available_at INTEGER,
+          lease_expires_at INTEGER,
+          last_error TEXT,
+          created_at INTEGER
+        );`
+      )
+      .run();
+
+    this.db
+      .prepare(
+        `CREATE INDEX IF NOT EXISTS idx_durable_jobs_ready
+          ON durable_jobs (queue, status, priority DESC, id);`
+      )
+      .run();
+
+    this.db
+      .prepare(
+        `CREATE TABLE IF NOT EXISTS durable_dead_letters (
+          id INTEGER PRIMARY KEY,
+          queue TEXT,
+          handler TEXT,
+          payload TEXT,
+          priority INTEGER,
+          attempts INTEGER,
+          max_attempts INTEGER,
+          error TEXT,
+          created_at INTEGER,
+          failed_at INTEGER
+        );`
+      )
+      .run();
   }
 
   addUsageData(data) {
@@ -176,7 +264,7 @@ class ScalingDatabase {
   updateOperationProfile(operationType, profile) {
     if (!this.db) return;
     const stmt = this.db.prepare(
-      `INSERT INTO operation_profiles (
+      `INSERT INTO operation_load_profiles (
         operation_type, cpu_avg, gpu_avg, memory_avg, temperature_avg, duration_avg, count, last_updated
       ) VALUES (@operation_type, @cpu_avg, @gpu_avg, @memory_avg, @temperature_avg, @duration_avg, @count, @last_updated)
       ON CONFLICT(operation_type) DO UPDATE SET
@@ -202,9 +290,326 @@ class ScalingDatabase {
 
   getAllOperationProfiles() {
     if (!this.db) return [];
-    const stmt = this.db.prepare(`SELECT * FROM operation_profiles;`);
+    const stmt = this.db.prepare(`SELECT * FROM operation_load_profiles;`);
     return stmt.all();
   }
+
+  setTenantQuota(tenant, quota) {
+    if (!this.db) return;
+    const stmt = this.db.prepare(
+      `INSERT INTO tenant_quotas (tenant, max_requests, max_tokens, window_ms, last_updated)
+      VALUES (@tenant, @max_requests, @max_tokens, @window_ms, @last_updated)
+      ON CONFLICT(tenant) DO UPDATE SET
+        max_requests=excluded.max_requests,
+        max_tokens=excluded.max_tokens,
+        window_ms=excluded.window_ms,
+        last_updated=excluded.last_updated;`
+    );
+    stmt.run({
+      tenant,
+      max_requests: quota.requests ?? null,
+      max_tokens: quota.tokens ?? null,
+      window_ms: quota.windowMs,
+      last_updated: Date.now(),
+    });
+  }
+
+  deleteTenantQuota(tenant) {
+    if (!this.db) return;
+    this.db.prepare(`DELETE FROM tenant_quotas WHERE tenant = ?;`).run(tenant);
+  }
+
+  getAllTenantQuotas() {
+    if (!this.db) return [];
+    const stmt = this.db.prepare(`SELECT * FROM tenant_quotas;`);
+    return stmt.all();
+  }
+
+  addTenantUsage(tenant, usage) {
+    if (!this.db) return;
+    const stmt = this.db.prepare(
+      `INSERT INTO tenant_usage (tenant, timestamp, requests, tokens)
+      VALUES (@tenant, @timestamp, @requests, @tokens);`
+    );
+    stmt.run({
+      tenant,
+      timestamp: usage.timestamp,
+      requests: usage.requests || 0,
+      tokens: usage.tokens || 0,
+    });
+  }
+
+  // Totals over the window in one indexed range scan; `oldest` is null when
+  // there is no usage
+  sumTenantUsage(tenant, since) {
+    if (!this.db) return { requests: 0, tokens: 0, oldest: null };
+    const stmt = this.db.prepare(
+      `SELECT COALESCE(SUM(requests), 0) AS requests,
+        COALESCE(SUM(tokens), 0) AS tokens,
+        MIN(timestamp) AS oldest
+      FROM tenant_usage WHERE tenant = ? AND timestamp >= ?;`
+    );
+    return stmt.get(tenant, since);
+  }
+
+  getCachedResult(key) {
+    if (!this.db) return null;
+    const row = this.db
+      .prepare(`SELECT value, expires_at FROM result_cache WHERE cache_key = ?;`)
+      .get(key);
+    if (!row) return null;
+    if (row.expires_at < Date.now()) {
+      this.db.prepare(`DELETE FROM result_cache WHERE cache_key = ?;`).run(key);
+      return null;
+    }
+    this.db
+      .prepare(`UPDATE result_cache SET last_accessed = ? WHERE cache_key = ?;`)
+      .run(Date.now(), key);
+    return row.value;
+  }
+
+  setCachedResult(key, value, expiresAt) {
+    if (!this.db) return;
+    const stmt = this.db.prepare(
+      `INSERT INTO result_cache (cache_key, value, expires_at, last_accessed)
+      VALUES (@key, @value, @expires_at, @last_accessed)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        value=excluded.value,
+        expires_at=excluded.expires_at,
+        last_accessed=excluded.last_accessed;`
+    );
+    stmt.run({
+      key,
+      value,
+      expires_at: expiresAt,
+      last_accessed: Date.now(),
+    });
+  }
+
+  deleteCachedResult(key) {
+    if (!this.db) return;
+    this.db.prepare(`DELETE FROM result_cache WHERE cache_key = ?;`).run(key);
+  }
+
+  // Drops expired entries, then the least recently used beyond maxEntries
+  pruneResultCache(maxEntries) {
+    if (!this.db) return { deleted: 0 };
+    let deleted = this.db
+      .prepare(`DELETE FROM result_cache WHERE expires_at < ?;`)
+      .run(Date.now()).changes;
+    deleted += this.db
+      .prepare(
+        `DELETE FROM result_cache WHERE cache_key NOT IN (
+          SELECT cache_key FROM result_cache ORDER BY last_accessed DESC LIMIT ?
+        );`
+      )
+      .run(maxEntries).changes;
+    return { deleted };
+  }
+
+  clearResultCache() {
+    if (!this.db) return;
+    this.db.prepare(`DELETE FROM result_cache;`).run();
+  }
+
+  countCachedResults() {
+    if (!this.db) return 0;
+    const row = this.db
+      .prepare(`SELECT COUNT(*) AS count FROM result_cache;`)
+      .get();
+    return row.count;
+  }
+
+  addDurableJob(job) {
+    if (!this.db) return null;
+    const info = this.db
+      .prepare(
+        `INSERT INTO durable_jobs (
+          queue, handler, payload, priority, status, attempts, max_attempts,
+          available_at, lease_expires_at, last_error, created_at
+        ) VALUES (@queue, @handler, @payload, @priority, 'pending', 0, @max_attempts,
+          @available_at, NULL, NULL, @created_at);`
+      )
+      .run({
+        queue: job.queue,
+        handler: job.handler,
+        payload: job.payload,
+        priority: job.priority,
+        max_attempts: job.maxAttempts,
+        available_at: job.availableAt,
+        created_at: job.createdAt,
+      });
+    return Number(info.lastInsertRowid);
+  }
+
+  // Leases up to `limit` ready jobs for the given handlers, highest priority
+  // first, counting the lease as an attempt
+  claimDurableJobs(queue, handlers, limit, leaseExpiresAt, now = Date.now()) {
+    if (!this.db || limit <= 0 || handlers.length === 0) return [];
+    const select = this.db.prepare(
+      `SELECT * FROM durable_jobs
+      WHERE queue = ? AND status = 'pending' AND available_at <= ?
+        AND handler IN (SELECT value FROM json_each(?))
+      ORDER BY priority DESC, id ASC LIMIT ?;`
+    );
+    const lease = this.db.prepare(
+      `UPDATE durable_jobs
+      SET status = 'active', attempts = attempts + 1, lease_expires_at = ?
+      WHERE id = ?;`
+    );
+    return this.db.transaction(() => {
+      const rows = select.all(queue, now, JSON.stringify(handlers), limit);
+      rows.forEach((row) => {
+        lease.run(leaseExpiresAt, row.id);
+        row.status = "active";
+        row.attempts += 1;
+        row.lease_expires_at = leaseExpiresAt;
+      });
+      return rows;
+    })();
+  }
+
+  extendDurableJobLeases(ids, leaseExpiresAt) {
+    if (!this.db || ids.length === 0) return;
+    this.db
+      .prepare(
+        `UPDATE durable_jobs SET lease_expires_at = ?
+        WHERE status = 'active' AND id IN (SELECT value FROM json_each(?));`
+      )
+      .run(leaseExpiresAt, JSON.stringify(ids));
+  }
+
+  completeDurableJob(id) {
+    if (!this.db) return;
+    this.db.prepare(`DELETE FROM durable_jobs WHERE id = ?;`).run(id);
+  }
+
+  releaseDurableJob(id, { attempts, availableAt, error = null }) {
+    if (!this.db) return;
+    this.db
+      .prepare(
+        `UPDATE durable_jobs
+        SET status = 'pending', attempts = ?, available_at = ?,
+          lease_expires_at = NULL, last_error = COALESCE(?, last_error)
+        WHERE id = ?;`
+      )
+      .run(attempts, availableAt, error, id);
+  }
+
+  deadLetterDurableJob(id, error, failedAt = Date.now()) {
+    if (!this.db) return;
+    this.db.transaction(() => {
+      this.db
+        .prepare(
+          `INSERT OR REPLACE INTO durable_dead_letters (
+            id, queue, handler, payload, priority, attempts, max_attempts,
+            error, created_at, failed_at
+          ) SELECT id, queue, handler, payload, priority, attempts, max_attempts,
+            ?, created_at, ?
+          FROM durable_jobs WHERE id = ?;`
+        )
+        .run(error, failedAt, id);
+      this.db.prepare(`DELETE FROM durable_jobs WHERE id = ?;`).run(id);
+    })();
+  }
+
+  // Active jobs whose lease ran out belonged to a process that crashed or hung;
+  // they go back to pending, or to the dead letters once out of attempts
+  recoverExpiredDurableJobs(queue, now = Date.now()) {
+    if (!this.db) return { requeued: 0, deadLettered: 0 };
+    return this.db.transaction(() => {
+      const expired = this.db
+        .prepare(
+          `SELECT id, attempts, max_attempts FROM durable_jobs
+          WHERE queue = ? AND status = 'active' AND lease_expires_at < ?;`
+        )
+        .all(queue, now);
+      let deadLettered = 0;
+      expired.forEach((row) => {
+        if (row.attempts >= row.max_attempts) {
+          this.deadLetterDurableJob(
+            row.id,
+            "Visibility timeout expired while the job was active",
+            now
+          );
+          deadLettered++;
+        } else {
+          this.releaseDurableJob(row.id, {
+            attempts: row.attempts,
+            availableAt: now,
+            error: "Visibility timeout expired while the job was active",
+          });
+        }
+      });
+      return { requeued: expired.length - deadLettered, deadLettered };
+    })();
+  }
+
+  countDurableJobs(queue) {
+    if (!this.db) return { pending: 0, active: 0, deadLetters: 0 };
+    const rows = this.db
+      .prepare(
+        `SELECT status, COUNT(*) AS count FROM durable_jobs
+        WHERE queue = ? GROUP BY status;`
+      )
+      .all(queue);
+    const dead = this.db
+      .prepare(
+        `SELECT COUNT(*) AS count FROM durable_dead_letters WHERE queue = ?;`
+      )
+      .get(queue);
+    const counts = { pending: 0, active: 0, deadLetters: dead.count };
+    rows.forEach((row) => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  getDurableDeadLetters(queue, limit = 100) {
+    if (!this.db) return [];
+    return this.db
+      .prepare(
+        `SELECT * FROM durable_dead_letters WHERE queue = ?
+        ORDER BY failed_at DESC LIMIT ?;`
+      )
+      .all(queue, limit);
+  }
+
+  // Moves a dead letter back to the queue with a fresh set of attempts
+  requeueDurableDeadLetter(queue, id, now = Date.now()) {
+    if (!this.db) return false;
+    return this.db.transaction(() => {
+      const info = this.db
+        .prepare(
+          `INSERT INTO durable_jobs (
+            id, queue, handler, payload, priority, status, attempts, max_attempts,
+            available_at, lease_expires_at, last_error, created_at
+          ) SELECT id, queue, handler, payload, priority, 'pending', 0, max_attempts,
+            ?, NULL, error, created_at
+          FROM durable_dead_letters WHERE queue = ? AND id = ?;`
+        )
+        .run(now, queue, id);
+      this.db
+        .prepare(`DELETE FROM durable_dead_letters WHERE queue = ? AND id = ?;`)
+        .run(queue, id);
+      return info.changes > 0;
+    })();
+  }
+
+  deleteDurableDeadLetters(queue) {
+    if (!this.db) return { deleted: 0 };
+    const info = this.db
+      .prepare(`DELETE FROM durable_dead_letters WHERE queue = ?;`)
+      .run(queue);
+    return { deleted: info.changes || 0 };
+  }
+
+  cleanupOldTenantUsage(cutoff) {
+    if (!this.db) return { deleted: 0 };
+    const stmt = this.db.prepare(`DELETE FROM tenant_usage WHERE timestamp < ?;`);
+    const info = stmt.run(cutoff);
+    return { deleted: info.changes || 0 };
+  }
 }
 
 const scalingDatabase = new ScalingDatabase();
@@ -0,0 +1,117 @@
+// Log-bucketed quantile sketch over a sliding time window. Values land in
+// buckets whose width grows geometrically, so any quantile is within
+// `relativeAccuracy` of the true value while memory stays bounded by the value
+// range rather than the sample count. The window is split into slices that
+// expire whole, so adding a sample is O(1) and queries merge a few slices.
+export class LatencySketch {
+  constructor({ windowMs = 60000, slices = 6, relativeAccuracy = 0.01 } = {}) {
+    this.windowMs = windowMs;
+    this.sliceMs = Math.max(1, Math.ceil(windowMs / slices));
+    this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    this.logGamma = Math.log(this.gamma);
+    this.slices = [];
+  }
+
+  getSlice(timestamp) {
+    const start = timestamp - (timestamp % this.sliceMs);
+    let slice = this.slices[this.slices.length - 1];
+    // A sample stamped slightly in the past joins the newest slice
+    if (!slice || slice.start < start) {
+      slice = {
+        start,
+        buckets: new Map(),
+        zeroCount: 0,
+        count: 0,
+        sum: 0,
+        oldestTimestamp: Infinity,
+      };
+      this.slices.push(slice);
+    }
+    return slice;
+  }
+
+  prune(now) {
+    const cutoff = now - this.windowMs;
+    while (
+      this.slices.length > 0 &&
+      this.slices[0].start + this.sliceMs <= cutoff
+    ) {
+      this.slices.shift();
+    }
+  }
+
+  // `since` marks when the work behind the sample began, so rate windows can
+  // start from the oldest start time instead of the oldest completion
+  add(value, timestamp = Date.now(), since = timestamp) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+    this.prune(timestamp);
+    const slice = this.getSlice(timestamp);
+    if (value === 0) {
+      slice.zeroCount++;
+    } else {
+      const key = Math.ceil(Math.log(value) / this.logGamma);
+      slice.buckets.set(key, (slice.buckets.get(key) || 0) + 1);
+    }
+    slice.count++;
+    slice.sum += value;
+    slice.oldestTimestamp = Math.min(slice.oldestTimestamp, since);
+  }
+
+  getSummary(now = Date.now()) {
+    this.prune(now);
+    let count = 0;
+    let sum = 0;
+    let oldestTimestamp = null;
+    this.slices.forEach((slice) => {
+      count += slice.count;
+      sum += slice.sum;
+      if (slice.count > 0) {
+        oldestTimestamp = Math.min(
+          oldestTimestamp ?? Infinity,
+          slice.oldestTimestamp
+        );
+      }
+    });
+    return {
+      count,
+      sum,
+      mean: count > 0 ? sum / count : 0,
+      oldestTimestamp,
+    };
+  }
+
+  quantile(q, now = Date.now()) {
+    this.prune(now);
+    let zeroCount = 0;
+    let count = 0;
+    const merged = new Map();
+    this.slices.forEach((slice) => {
+      zeroCount += slice.zeroCount;
+      count += slice.count;
+      slice.buckets.forEach((bucketCount, key) => {
+        merged.set(key, (merged.get(key) || 0) + bucketCount);
+      });
+    });
+    if (count === 0) {
+      return 0;
+    }
+
+    const rank = Math.min(count - 1, Math.floor(q * count));
+    if (rank < zeroCount) {
+      return 0;
+    }
+    let seen = zeroCount;
+    const keys = Array.from(merged.keys()).sort((a, b) => a - b);
+    for (const key of keys) {
+      seen += merged.get(key);
+      if (seen > rank) {
+        return (2 * Math.pow(this.gamma, key)) / (this.gamma + 1);
+      }
+    }
+    return 0;
+  }
+}
+
+export default LatencySketch;
@@ -0,0 +1,156 @@
+// Binary min-heap ordered by `compare`, with ties broken by insertion order so
+// items that compare equal come out FIFO. Each item's heap position is tracked
+// so arbitrary items can be removed or re-positioned in O(log n).
+export class PriorityQueue {
+  constructor(compare) {
+    this.compare = compare;
+    this.heap = [];
+    this.positions = new Map();
+    // Weak so popped items can be restored with their original FIFO position
+    this.sequences = new WeakMap();
+    this.nextSequence = 0;
+  }
+
+  get length() {
+    return this.heap.length;
+  }
+
+  has(item) {
+    return this.positions.has(item);
+  }
+
+  peek() {
+    return this.heap.length > 0 ? this.heap[0] : undefined;
+  }
+
+  push(item) {
+    this.sequences.set(item, this.nextSequence++);
+    this.heap.push(item);
+    this.positions.set(item, this.heap.length - 1);
+    this.siftUp(this.heap.length - 1);
+  }
+
+  // Puts back items popped while scanning past them, keeping their place
+  // among items that compare equal
+  restore(items) {
+    items.forEach((item) => {
+      if (!this.sequences.has(item)) {
+        this.sequences.set(item, this.nextSequence++);
+      }
+      this.heap.push(item);
+      this.positions.set(item, this.heap.length - 1);
+      this.siftUp(this.heap.length - 1);
+    });
+  }
+
+  pop() {
+    if (this.heap.length === 0) {
+      return undefined;
+    }
+    const top = this.heap[0];
+    this.removeAt(0);
+    return top;
+  }
+
+  remove(item) {
+    const index = this.positions.get(item);
+    if (index === undefined) {
+      return false;
+    }
+    this.removeAt(index);
+    return true;
+  }
+
+  // Re-position an item after its ordering keys changed
+  update(item) {
+    const index = this.positions.get(item);
+    if (index === undefined) {
+      return false;
+    }
+    this.siftDown(this.siftUp(index));
+    return true;
+  }
+
+  // Rebuild after many keys changed at once (O(n))
+  heapify() {
+    for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+      this.siftDown(i);
+    }
+  }
+
+  // Items in heap order, not sorted order
+  toArray() {
+    return this.heap.slice();
+  }
+
+  forEach(callback) {
+    this.heap.forEach((item) => callback(item));
+  }
+
+  [Symbol.iterator]() {
+    return this.heap[Symbol.iterator]();
+  }
+
+  before(a, b) {
+    const order = this.compare(a, b);
+    if (order !== 0) {
+      return order < 0;
+    }
+    return this.sequences.get(a) < this.sequences.get(b);
+  }
+
+  removeAt(index) {
+    const item = this.heap[index];
+    const last = this.heap.pop();
+    this.positions.delete(item);
+    if (index < this.heap.length) {
+      this.heap[index] = last;
+      this.positions.set(last, index);
+      this.siftDown(this.siftUp(index));
+    }
+  }
+
+  siftUp(index) {
+    const item = this.heap[index];
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = this.heap[parentIndex];
+      if (!this.before(item, parent)) {
+        break;
+      }
+      this.heap[index] = parent;
+      this.positions.set(parent, index);
+      index = parentIndex;
+    }
+    this.heap[index] = item;
+    this.positions.set(item, index);
+    return index;
+  }
+
+  siftDown(index) {
+    const length = this.heap.length;
+    const item = this.heap[index];
+    while (true) {
+      const left = 2 * index + 1;
+      if (left >= length) {
+        break;
+      }
+      const right = left + 1;
+      const child =
+        right < length && this.before(this.heap[right], this.heap[left])
+          ? right
+          : left;
+      if (!this.before(this.heap[child], item)) {
+        break;
+      }
+      this.heap[index] = this.heap[child];
+      this.positions.set(this.heap[index], index);
+      index = child;
+    }
+    this.heap[index] = item;
+    this.positions.set(item, index);
+    return index;
+  }
+}
+
+export default PriorityQueue;
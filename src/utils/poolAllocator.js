@@ -0,0 +1,92 @@
+// Splits the overall safe thread budget between pools. Slots already held by
+// running work (`active`) come first, so one pool isn't handed slots that
+// another pool's running requests still occupy. Minimums come next, as far as
+// the budget goes: when it can't cover them all they're handed out one slot
+// per pool per round, busiest pools first, so idle pools are the ones left
+// at 0. The rest is handed out one slot at a time in proportion to
+// demand (D'Hondt style), and each slot costs the pool's relative resource
+// cost so a pool of heavy requests gets fewer slots out of the same budget.
+// Whatever is left once demand is covered is spread as headroom. The slots
+// handed out never add up to more than the budget.
+export function allocatePoolBudget(totalBudget, pools) {
+  const allocations = {};
+  if (!Array.isArray(pools) || pools.length === 0) {
+    return allocations;
+  }
+
+  const knownCosts = pools
+    .map((pool) => pool.cost)
+    .filter((cost) => Number.isFinite(cost) && cost > 0);
+  const meanCost =
+    knownCosts.length > 0
+      ? knownCosts.reduce((sum, cost) => sum + cost, 0) / knownCosts.length
+      : 1;
+  const relativeCost = (pool) =>
+    Number.isFinite(pool.cost) && pool.cost > 0 ? pool.cost / meanCost : 1;
+
+  const budget = Number.isFinite(totalBudget) ? Math.max(0, totalBudget) : 1;
+  let remaining = budget;
+  let slotsLeft = Math.floor(budget);
+  pools.forEach((pool) => {
+    allocations[pool.name] = 0;
+  });
+
+  const byDemand = pools
+    .slice()
+    .sort((a, b) => (b.demand || 0) - (a.demand || 0));
+  byDemand.forEach((pool) => {
+    const held = Math.min(Math.ceil(pool.active || 0), slotsLeft);
+    allocations[pool.name] = held;
+    slotsLeft -= held;
+    remaining -= held * relativeCost(pool);
+  });
+
+  let granted = true;
+  while (granted && slotsLeft > 0) {
+    granted = false;
+    byDemand.forEach((pool) => {
+      const minimum = pool.minThreads || 1;
+      if (slotsLeft === 0 || allocations[pool.name] >= minimum) {
+        return;
+      }
+      allocations[pool.name]++;
+      slotsLeft--;
+      remaining -= relativeCost(pool);
+      granted = true;
+    });
+  }
+
+  // First cover outstanding demand, then hand any spare budget out as
+  // headroom so bursts don't wait for the next rebalance
+  [true, false].forEach((demandCapped) => {
+    while (remaining > 0 && slotsLeft > 0) {
+      let best = null;
+      let bestScore = 0;
+
+      pools.forEach((pool) => {
+        const allocated = allocations[pool.name];
+        const demand = pool.demand || 0;
+        if (demandCapped && allocated >= Math.ceil(demand)) return;
+        if (Number.isFinite(pool.maxThreads) && allocated >= pool.maxThreads) {
+          return;
+        }
+        if (relativeCost(pool) > remaining) return;
+
+        const score = (demandCapped ? demand : demand + 1) / (allocated + 1);
+        if (score > bestScore) {
+          best = pool;
+          bestScore = score;
+        }
+      });
+
+      if (!best) {
+        break;
+      }
+      allocations[best.name]++;
+      slotsLeft--;
+      remaining -= relativeCost(best);
+    }
+  });
+
+  return allocations;
+}
@@ -0,0 +1,70 @@
+const TRANSIENT_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EPIPE",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+]);
+
+const TRANSIENT_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const TRANSIENT_MESSAGE =
+  /model (is )?loading|loading model|context (is )?busy|server (is )?busy|no (free|available) slots?|connection refused|socket hang up|temporarily unavailable/i;
+
+// Default classifier for errors local model servers return while they are
+// starting, restarting or saturated
+export function isTransientError(error) {
+  if (!error) return false;
+  const code = error.code || error.cause?.code;
+  if (code && TRANSIENT_ERROR_CODES.has(code)) {
+    return true;
+  }
+  const status = error.status ?? error.statusCode ?? error.response?.status;
+  if (TRANSIENT_STATUS_CODES.has(status)) {
+    return true;
+  }
+  const message = `${error.message || ""} ${error.cause?.message || ""}`;
+  return TRANSIENT_MESSAGE.test(message);
+}
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  initialDelayMs: 250,
+  maxDelayMs: 10000,
+  factor: 2,
+  jitter: 0.2,
+  retryOn: isTransientError,
+  requeuePriority: "original",
+  priorityBoost: 1,
+};
+
+// Merges a per-call policy over the global one. `false` disables retries,
+// a number is shorthand for `{ maxAttempts }`.
+export function resolveRetryPolicy(globalPolicy, callPolicy) {
+  if (callPolicy === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+  const normalize = (policy) =>
+    typeof policy === "number" ? { maxAttempts: policy } : policy || {};
+  const policy = {
+    ...DEFAULT_RETRY_POLICY,
+    ...normalize(globalPolicy),
+    ...normalize(callPolicy),
+  };
+  policy.maxAttempts =
+    Number.isFinite(policy.maxAttempts) && policy.maxAttempts >= 1
+      ? Math.floor(policy.maxAttempts)
+      : 1;
+  return policy;
+}
+
+export function computeRetryDelay(policy, attempt) {
+  const base = Math.min(
+    policy.maxDelayMs,
+    policy.initialDelayMs * Math.pow(policy.factor, Math.max(attempt - 1, 0))
+  );
+  const jitter = Math.max(0, Math.min(1, policy.jitter || 0));
+  const jittered = base * (1 + (Math.random() * 2 - 1) * jitter);
+  return Math.max(0, Math.round(jittered));
+}
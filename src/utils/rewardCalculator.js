@@ -1,13 +1,19 @@
 export class RewardCalculator {
-  constructor(highThresholds, emergencyAbsoluteLimits) {
+  constructor(highThresholds, emergencyAbsoluteLimits, options = {}) {
     this.highThresholds = highThresholds;
     this.emergencyAbsoluteLimits = emergencyAbsoluteLimits;
+    // "requests" optimizes completed requests/sec, "tokens" optimizes
+    // aggregate streamed tokens/sec and time-to-first-token
+    this.objective = options.objective === "tokens" ? "tokens" : "requests";
   }
 
   computeReward({
     throughput,
     latencyMs,
+    waitMs = null,
     backlog,
+    tokenThroughput,
+    ttftMs,
     predictedCpu,
     predictedTemp,
     predictedGpuUsage,
@@ -17,9 +23,26 @@ export class RewardCalculator {
     const wThroughput = 1.0;
     const wLatency = 0.2;
     const wBacklog = 0.1;
+    const wWait = 0.3;
 
-    let reward = wThroughput * (throughput || 0);
-    reward -= wLatency * latencySec;
+    let reward;
+    if (this.objective === "tokens" && Number.isFinite(tokenThroughput)) {
+      // Tokens/sec is an order of magnitude larger than requests/sec, so it
+      // is scaled down to keep the thermal penalties comparable
+      const wTokens = 0.05;
+      const wTtft = 0.5;
+      const ttftSec = Math.max(ttftMs || latencyMs || 0, 1) / 1000;
+      reward = wTokens * tokenThroughput;
+      reward -= wTtft * ttftSec;
+    } else {
+      reward = wThroughput * (throughput || 0);
+      reward -= wLatency * latencySec;
+    }
+    // latencyMs is execution (service) time; time spent queued is penalized
+    // on its own because, unlike a slow model, more threads can reduce it
+    if (Number.isFinite(waitMs)) {
+      reward -= wWait * (Math.max(waitMs, 0) / 1000);
+    }
     reward -= wBacklog * Math.max(backlog || 0, 0);
 
     const penal = (value, high, emergency, weight = 1) => {
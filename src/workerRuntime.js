@@ -0,0 +1,89 @@
+// Entry point for WorkerPool workers, used both as a worker_threads worker and
+// as a forked child process. Each job names a module and an export; the
+// export is called with the job's args and its return value is sent back.
+import { isMainThread, parentPort } from "worker_threads";
+
+const channel = isMainThread
+  ? {
+      send: (message) => process.send(message),
+      onMessage: (handler) => process.on("message", handler),
+    }
+  : {
+      send: (message) => parentPort.postMessage(message),
+      onMessage: (handler) => parentPort.on("message", handler),
+    };
+
+const modules = new Map();
+
+async function loadExport(specifier, exportName) {
+  if (!modules.has(specifier)) {
+    modules.set(specifier, import(specifier));
+  }
+  let namespace;
+  try {
+    namespace = await modules.get(specifier);
+  } catch (error) {
+    // Let a later job retry an import that failed, e.g. a file being written
+    modules.delete(specifier);
+    throw error;
+  }
+  const fn = namespace[exportName];
+  if (typeof fn !== "function") {
+    throw new TypeError(
+      `Export "${exportName}" of ${specifier} is not a function`
+    );
+  }
+  return fn;
+}
+
+// Errors don't survive structured cloning intact, so they travel as plain
+// objects carrying the name, message, stack and any primitive fields
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: "Error", message: String(error), stack: null, fields: {} };
+  }
+  const fields = {};
+  Object.keys(error).forEach((key) => {
+    const value = error[key];
+    if (
+      value === null ||
+      ["string", "number", "boolean"].includes(typeof value)
+    ) {
+      fields[key] = value;
+    }
+  });
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    fields,
+  };
+}
+
+function reply(message) {
+  try {
+    channel.send(message);
+  } catch (error) {
+    // The result could not be cloned; report that instead
+    channel.send({
+      type: "error",
+      id: message.id,
+      error: serializeError(error),
+    });
+  }
+}
+
+channel.onMessage(async (message) => {
+  if (!message || message.type !== "run") {
+    return;
+  }
+  try {
+    const fn = await loadExport(message.module, message.exportName);
+    const result = await fn(...message.args);
+    reply({ type: "result", id: message.id, result });
+  } catch (error) {
+    reply({ type: "error", id: message.id, error: serializeError(error) });
+  }
+});
+
+channel.send({ type: "ready" });
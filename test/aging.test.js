@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function runOrder(options, submit) {
+  const manager = new ThreadManager(options);
+  manager.updateThreadLimits(1);
+  const order = [];
+  const run = (name) => async () => {
+    order.push(name);
+  };
+  const blocker = manager.execute(() => sleep(80));
+  const queued = await submit(manager, run);
+  await Promise.all([blocker, ...queued]);
+  return order;
+}
+
+test("a request past maxWaitMs goes ahead of one queued after it", async () => {
+  const order = await runOrder({ maxWaitMs: 40 }, async (manager, run) => {
+    const waited = manager.execute(run("waited"));
+    await sleep(60);
+    return [waited, manager.execute(run("urgent"), { priority: 5 })];
+  });
+  assert.deepEqual(order, ["waited", "urgent"]);
+});
+
+test("aged priority is current when a new request is queued", async () => {
+  const options = { aging: { intervalMs: 30, step: 1, maxBoost: 3 } };
+  const order = await runOrder(options, async (manager, run) => {
+    const aged = manager.execute(run("aged"));
+    await sleep(65);
+    return [aged, manager.execute(run("fresh"), { priority: 1 })];
+  });
+  assert.deepEqual(order, ["aged", "fresh"]);
+});
+
+test("maxBoost caps aging", async () => {
+  const options = { aging: { intervalMs: 10, step: 1, maxBoost: 1 } };
+  const order = await runOrder(options, async (manager, run) => {
+    const aged = manager.execute(run("aged"));
+    await sleep(50);
+    return [aged, manager.execute(run("higher"), { priority: 2 })];
+  });
+  assert.deepEqual(order, ["higher", "aged"]);
+});
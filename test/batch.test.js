@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import { Batch } from "../src/Batch.js";
+import { CancelledError } from "../src/errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stands in for the threader with a single pool
+function createThreader(limit) {
+  const threadManager = new ThreadManager();
+  threadManager.updateThreadLimits(limit);
+  const pool = {
+    threadManager,
+    getQueueStats: () => threadManager.getQueueStats(),
+  };
+  return {
+    threadManager,
+    execute: (operation, options) => threadManager.execute(operation, options),
+    resolvePool: () => pool,
+  };
+}
+
+test("results come back in input order with per-item errors", async () => {
+  const threader = createThreader(3);
+  const batch = new Batch(threader, [30, 10, 20], async (ms, index) => {
+    await sleep(ms);
+    if (index === 1) throw new Error("bad chunk");
+    return ms * 2;
+  });
+
+  const result = await batch;
+  assert.deepEqual(result.values, [60, undefined, 40]);
+  assert.equal(result.results[1].status, "rejected");
+  assert.equal(result.errors.length, 1);
+  assert.equal(result.errors[0].index, 1);
+  assert.match(result.errors[0].error.message, /bad chunk/);
+  assert.equal(result.completed, 2);
+  assert.equal(result.failed, 1);
+});
+
+test("progress events count done and failed items and estimate the rest", async () => {
+  const threader = createThreader(1);
+  const events = [];
+  const batch = new Batch(
+    threader,
+    [1, 2, 3, 4],
+    async (n) => {
+      await sleep(5);
+      if (n === 3) throw new Error("failed item");
+      return n;
+    },
+    { onProgress: (event) => events.push(event) }
+  );
+  const streamed = [];
+  for await (const event of batch.progress()) {
+    streamed.push(event.done);
+  }
+
+  assert.deepEqual(streamed, [1, 2, 3, 4]);
+  assert.deepEqual(
+    events.map((event) => [event.done, event.failed]),
+    [
+      [1, 0],
+      [2, 0],
+      [3, 1],
+      [4, 1],
+    ]
+  );
+  assert.ok(events[1].etaMs > 0);
+  assert.equal(events[3].etaMs, 0);
+  assert.equal(events[3].percent, 100);
+});
+
+test("maxPending bounds how many items are queued at once", async () => {
+  const threader = createThreader(1);
+  let peakQueued = 0;
+  const batch = new Batch(
+    threader,
+    Array.from({ length: 10 }, (_, i) => i),
+    async (n) => {
+      peakQueued = Math.max(
+        peakQueued,
+        threader.threadManager.getState().queueSize
+      );
+      return n;
+    },
+    { maxPending: 3 }
+  );
+
+  const result = await batch;
+  assert.equal(result.completed, 10);
+  assert.ok(peakQueued <= 2);
+});
+
+test("cancelling a batch stops queued and running items", async () => {
+  const threader = createThreader(1);
+  const started = [];
+  const batch = new Batch(threader, [0, 1, 2, 3], async (n, index, context) => {
+    started.push(n);
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, 50);
+      context.signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(context.signal.reason);
+      });
+    });
+    return n;
+  });
+  await sleep(5);
+  assert.equal(batch.cancel("user"), true);
+
+  const result = await batch;
+  assert.deepEqual(started, [0]);
+  assert.equal(result.cancelled, 4);
+  assert.ok(
+    result.errors.every(({ error }) => error instanceof CancelledError)
+  );
+  assert.equal(batch.cancel(), false);
+});
+
+test("an aborted caller signal cancels the batch", async () => {
+  const threader = createThreader(1);
+  const controller = new AbortController();
+  controller.abort();
+  const batch = new Batch(threader, [1, 2], (n) => n, {
+    signal: controller.signal,
+  });
+
+  const result = await batch;
+  assert.equal(result.cancelled, 2);
+  assert.equal(result.completed, 0);
+});
+
+test("the batch priority applies to every item", async () => {
+  const threader = createThreader(1);
+  const order = [];
+  const blocker = threader.execute(() => sleep(10));
+  const normal = threader.execute(async () => order.push("normal"));
+  const batch = new Batch(
+    threader,
+    ["a", "b"],
+    async (item) => order.push(item),
+    { priority: 2 }
+  );
+
+  await Promise.all([blocker, normal, batch]);
+  assert.deepEqual(order, ["a", "b", "normal"]);
+});
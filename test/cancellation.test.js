@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(limit) {
+  const manager = new ThreadManager();
+  manager.updateThreadLimits(limit);
+  return manager;
+}
+
+// Runs until its signal aborts, recording that it saw the abort
+function untilAborted(log, name) {
+  return ({ signal }) => {
+    log.push(`${name}:start`);
+    return new Promise((_, reject) => {
+      signal.addEventListener("abort", () => {
+        log.push(`${name}:aborted`);
+        reject(signal.reason);
+      });
+    });
+  };
+}
+
+test("queueRequest's abortSignal cancels queued and running requests", async () => {
+  const manager = createManager(1);
+  const log = [];
+  const runningAbort = new AbortController();
+  const queuedAbort = new AbortController();
+
+  const running = manager.queueRequest(
+    untilAborted(log, "running"),
+    0,
+    false,
+    null,
+    runningAbort.signal
+  );
+  const queued = manager.queueRequest(
+    untilAborted(log, "queued"),
+    0,
+    false,
+    null,
+    queuedAbort.signal
+  );
+  await sleep(0);
+  assert.deepEqual(log, ["running:start"]);
+
+  queuedAbort.abort(new Error("queued gone"));
+  await assert.rejects(queued.completionPromise, /queued gone/);
+  assert.equal(manager.getState().queueSize, 0);
+
+  runningAbort.abort(new Error("running gone"));
+  await assert.rejects(running.completionPromise, /running gone/);
+  await sleep(0);
+  assert.deepEqual(log, ["running:start", "running:aborted"]);
+  assert.equal(manager.getQueueStats().cancelled, 2);
+  assert.equal(manager.getState().activeRequests, 0);
+});
+
+test("execute accepts abortSignal as well as signal", async () => {
+  const manager = createManager(1);
+  const log = [];
+  const runningAbort = new AbortController();
+  const queuedAbort = new AbortController();
+
+  const running = manager.execute(untilAborted(log, "running"), {
+    abortSignal: runningAbort.signal,
+  });
+  const queued = manager.execute(untilAborted(log, "queued"), {
+    signal: queuedAbort.signal,
+  });
+  await sleep(0);
+
+  queuedAbort.abort();
+  await assert.rejects(queued, { name: "AbortError" });
+  runningAbort.abort();
+  await assert.rejects(running, { name: "AbortError" });
+  assert.deepEqual(log, ["running:start", "running:aborted"]);
+});
+
+test("an already aborted signal rejects before the operation runs", async () => {
+  const manager = createManager(1);
+  let ran = false;
+  const request = manager.queueRequest(
+    () => {
+      ran = true;
+    },
+    { abortSignal: AbortSignal.abort(new Error("too late")) }
+  );
+
+  await assert.rejects(request.completionPromise, /too late/);
+  await sleep(0);
+  assert.equal(ran, false);
+  assert.equal(manager.getState().queueSize, 0);
+});
+
+test("the abort listener is removed once the request settles", async () => {
+  const manager = createManager(1);
+  const controller = new AbortController();
+  const removed = [];
+  const removeEventListener = controller.signal.removeEventListener;
+  controller.signal.removeEventListener = function (type, listener) {
+    removed.push(type);
+    return removeEventListener.call(this, type, listener);
+  };
+
+  assert.equal(
+    await manager.execute(() => "done", { signal: controller.signal }),
+    "done"
+  );
+  await sleep(0);
+  assert.deepEqual(removed, ["abort"]);
+  // Aborting afterwards doesn't touch the settled request
+  controller.abort();
+  assert.equal(manager.getQueueStats().cancelled, 0);
+});
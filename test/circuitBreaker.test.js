@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import { CircuitBreaker } from "../src/CircuitBreaker.js";
+import { CancelledError } from "../src/errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(circuitBreaker) {
+  const transitions = [];
+  const manager = new ThreadManager({
+    circuitBreaker,
+    onCircuitStateChange: (state, previousState) =>
+      transitions.push(`${previousState}->${state}`),
+  });
+  manager.updateThreadLimits(1);
+  return { manager, transitions };
+}
+
+const crash = () => Promise.reject(new Error("connection reset"));
+
+// Fails `count` requests in a row so the breaker sees a full window
+async function failRequests(manager, count) {
+  for (let i = 0; i < count; i++) {
+    await assert.rejects(manager.execute(crash), /connection reset/);
+  }
+}
+
+test("repeated failures open the breaker and hold queued work", async () => {
+  const { manager, transitions } = createManager({
+    minRequests: 3,
+    failureThreshold: 0.5,
+    coolDownMs: 30,
+  });
+  await failRequests(manager, 3);
+  assert.equal(manager.getState().circuit.state, "open");
+  assert.equal(manager.isCircuitOpen(), true);
+
+  const started = [];
+  const held = [1, 2, 3].map((n) =>
+    manager.execute(async () => {
+      started.push(n);
+      return n;
+    })
+  );
+  await sleep(10);
+  assert.deepEqual(started, []);
+  assert.equal(manager.getState().queueSize, 3);
+
+  // After the cool-down one probe goes through, then the rest follow
+  assert.deepEqual(await Promise.all(held), [1, 2, 3]);
+  assert.deepEqual(transitions, [
+    "closed->open",
+    "open->half-open",
+    "half-open->closed",
+  ]);
+  assert.equal(manager.getState().circuit.trips, 1);
+});
+
+test("a failed probe re-opens the breaker", async () => {
+  const { manager, transitions } = createManager({
+    minRequests: 2,
+    coolDownMs: 20,
+  });
+  await failRequests(manager, 2);
+
+  await assert.rejects(manager.execute(crash), /connection reset/);
+  assert.equal(manager.getState().circuit.state, "open");
+  assert.equal(manager.getState().circuit.trips, 2);
+  assert.deepEqual(transitions, [
+    "closed->open",
+    "open->half-open",
+    "half-open->open",
+  ]);
+  manager.resetCircuit();
+  assert.equal(await manager.execute(() => "back"), "back");
+});
+
+test("the breaker stays closed below minRequests or the failure rate", async () => {
+  const { manager } = createManager({ minRequests: 4, failureThreshold: 0.7 });
+  await failRequests(manager, 2);
+  await manager.execute(() => "ok");
+  await manager.execute(() => "ok");
+  await failRequests(manager, 1);
+
+  const circuit = manager.getState().circuit;
+  assert.equal(circuit.state, "closed");
+  assert.equal(circuit.attempts, 5);
+  assert.equal(circuit.failures, 3);
+});
+
+test("cancellations and errors the predicate ignores don't count", () => {
+  const breaker = new CircuitBreaker({
+    minRequests: 1,
+    isFailure: (error) => error.status !== 400,
+  });
+  breaker.recordFailure({}, new CancelledError());
+  breaker.recordFailure({}, Object.assign(new Error("bad"), { status: 400 }));
+  assert.equal(breaker.getState().attempts, 0);
+  assert.equal(breaker.state, "closed");
+
+  breaker.recordFailure({}, Object.assign(new Error("down"), { status: 503 }));
+  assert.equal(breaker.state, "open");
+  assert.equal(breaker.canDispatch(), false);
+  breaker.reset();
+  assert.equal(breaker.state, "closed");
+});
+
+test("half-open admits only the configured number of probes", () => {
+  const breaker = new CircuitBreaker({ probeRequests: 2, coolDownMs: 0 });
+  breaker.open();
+  breaker.clearCoolDown();
+  breaker.transition("half-open");
+
+  const probes = [{}, {}];
+  probes.forEach((request) => {
+    assert.equal(breaker.canDispatch(), true);
+    breaker.onDispatch(request);
+  });
+  assert.equal(breaker.canDispatch(), false);
+
+  breaker.recordSuccess(probes[0]);
+  assert.equal(breaker.state, "half-open");
+  breaker.recordSuccess(probes[1]);
+  assert.equal(breaker.state, "closed");
+});
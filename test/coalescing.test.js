@@ -0,0 +1,134 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// The sqlite cache store lives in the data directory, so point it somewhere
+// disposable before the modules that open it are loaded
+const dataHome = mkdtempSync(path.join(tmpdir(), "llm-threader-test-"));
+process.env.XDG_DATA_HOME = dataHome;
+const { ThreadManager } = await import("../src/ThreadManager.js");
+const { ResultCache } = await import("../src/ResultCache.js");
+
+after(() => rmSync(dataHome, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(options) {
+  const manager = new ThreadManager(options);
+  manager.updateThreadLimits(2);
+  return manager;
+}
+
+function counted(operation) {
+  const wrapped = async () => {
+    wrapped.calls++;
+    return operation();
+  };
+  wrapped.calls = 0;
+  return wrapped;
+}
+
+test("concurrent requests with the same key share one operation", async () => {
+  const manager = createManager();
+  const summarize = counted(() => sleep(10).then(() => "summary"));
+
+  const results = await Promise.all([
+    manager.execute(summarize, { key: "doc-1" }),
+    manager.execute(summarize, { key: "doc-1" }),
+    manager.execute(summarize, { key: "doc-1" }),
+  ]);
+
+  assert.deepEqual(results, ["summary", "summary", "summary"]);
+  assert.equal(summarize.calls, 1);
+  assert.equal(manager.getState().coalesced, 2);
+  assert.equal(manager.getState().inFlightKeys, 0);
+  assert.equal(manager.getQueueStats().completed, 1);
+});
+
+test("a failed keyed request rejects every caller and isn't reused", async () => {
+  const manager = createManager();
+  let fail = true;
+  const embed = counted(async () => {
+    await sleep(5);
+    if (fail) throw new Error("embedding failed");
+    return [1, 2];
+  });
+
+  const first = manager.execute(embed, { key: "chunk" });
+  const second = manager.execute(embed, { key: "chunk" });
+  await assert.rejects(first, /embedding failed/);
+  await assert.rejects(second, /embedding failed/);
+
+  fail = false;
+  assert.deepEqual(await manager.execute(embed, { key: "chunk" }), [1, 2]);
+  assert.equal(embed.calls, 2);
+});
+
+test("cached results are served until their TTL runs out", async () => {
+  const resultCache = new ResultCache({ ttlMs: 30 });
+  const manager = createManager({ resultCache });
+  const embed = counted(() => "vector");
+
+  assert.equal(await manager.execute(embed, { key: "text" }), "vector");
+  assert.equal(await manager.execute(embed, { key: "text" }), "vector");
+  assert.equal(embed.calls, 1);
+  // Hits never become requests, so they don't count as throughput
+  assert.equal(manager.getQueueStats().completed, 1);
+  assert.equal(resultCache.getStats().hits, 1);
+  assert.equal(resultCache.getStats().hitRate, 0.5);
+
+  await sleep(40);
+  await manager.execute(embed, { key: "text" });
+  assert.equal(embed.calls, 2);
+
+  await manager.execute(embed, { key: "text", cacheTtlMs: 0 });
+  assert.equal(embed.calls, 3);
+});
+
+test("the shared request is cancelled only when every caller aborts", async () => {
+  const manager = createManager();
+  const generate = (context) =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve("done"), 30);
+      context.signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(new Error("operation aborted"));
+      });
+    });
+  const first = new AbortController();
+  const second = new AbortController();
+
+  const kept = manager.execute(generate, { key: "a", signal: first.signal });
+  const dropped = manager.execute(generate, {
+    key: "a",
+    signal: second.signal,
+  });
+  await sleep(5);
+  second.abort(new Error("caller left"));
+  await assert.rejects(dropped, /caller left/);
+  assert.equal(await kept, "done");
+
+  const onlyCaller = new AbortController();
+  const cancelled = manager.execute(generate, {
+    key: "b",
+    signal: onlyCaller.signal,
+  });
+  await sleep(5);
+  onlyCaller.abort(new Error("gone"));
+  await assert.rejects(cancelled, /gone/);
+  await sleep(5);
+  assert.equal(manager.getState().activeRequests, 0);
+});
+
+test("the sqlite store keeps results across cache instances", () => {
+  const cache = new ResultCache({ store: "sqlite", ttlMs: 60000 });
+  assert.equal(cache.store, "sqlite");
+  cache.set("prompt", { text: "hello" });
+
+  const reopened = new ResultCache({ store: "sqlite" });
+  assert.deepEqual(reopened.get("prompt"), { value: { text: "hello" } });
+  reopened.delete("prompt");
+  assert.equal(cache.get("prompt"), undefined);
+});
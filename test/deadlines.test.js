@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import { DeadlineExceededError } from "../src/errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager() {
+  const manager = new ThreadManager();
+  manager.updateThreadLimits(1);
+  return manager;
+}
+
+test("requests run earliest deadline first within a priority", async () => {
+  const manager = createManager();
+  const order = [];
+  const run = (name) => async () => {
+    order.push(name);
+    await sleep(5);
+  };
+  const now = Date.now();
+  const blocker = manager.execute(() => sleep(30));
+  const queued = [
+    manager.execute(run("none")),
+    manager.execute(run("late"), { deadline: now + 5000 }),
+    manager.execute(run("soon"), { deadline: now + 1000 }),
+    manager.execute(run("urgent"), { deadline: now + 3000, priority: 1 }),
+    manager.execute(run("middle"), { deadline: new Date(now + 2000) }),
+  ];
+
+  await Promise.all([blocker, ...queued]);
+  assert.deepEqual(order, ["urgent", "soon", "middle", "late", "none"]);
+});
+
+test("short deadlines aren't rejected before the type has any samples", async () => {
+  const manager = createManager();
+  const result = await manager.execute(() => sleep(10).then(() => "ok"), {
+    type: "fresh",
+    deadline: Date.now() + 200,
+  });
+  assert.equal(result, "ok");
+  assert.equal(manager.getQueueStats().deadlines.rejected, 0);
+});
+
+test("a deadline shorter than the type's typical duration is rejected early", async () => {
+  const manager = createManager();
+  await manager.execute(() => sleep(80), { type: "slow" });
+
+  await assert.rejects(
+    manager.execute(() => sleep(80), {
+      type: "slow",
+      deadline: Date.now() + 20,
+    }),
+    DeadlineExceededError
+  );
+  // Other types have no samples yet
+  await manager.execute(() => sleep(5), {
+    type: "quick",
+    deadline: Date.now() + 20,
+  });
+  assert.equal(manager.getQueueStats().deadlines.rejected, 1);
+});
+
+test("the service time estimate follows a change in latency", async () => {
+  const manager = createManager();
+  const run = (ms, times) =>
+    Array.from({ length: times }).reduce(
+      (previous) =>
+        previous.then(() => manager.execute(() => sleep(ms), { type: "llm" })),
+      Promise.resolve()
+    );
+
+  // Slow at first, then fast: a lifetime average (160ms over 16 requests)
+  // would still reject an 8ms deadline
+  await run(40, 4);
+  await run(0, 12);
+  assert.ok(manager.estimateServiceTime({ type: "llm" }) < 8);
+  await manager.execute(() => "fast", {
+    type: "llm",
+    deadline: Date.now() + 8,
+  });
+
+  // And back to slow, where the lifetime average would still be under 15ms
+  await run(40, 3);
+  assert.ok(manager.estimateServiceTime({ type: "llm" }) > 15);
+  await assert.rejects(
+    manager.execute(() => "late", { type: "llm", deadline: Date.now() + 15 }),
+    DeadlineExceededError
+  );
+});
@@ -0,0 +1,171 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// The job database lives in the data directory, so point it somewhere
+// disposable before the modules that open it are loaded
+const dataHome = mkdtempSync(path.join(tmpdir(), "llm-threader-test-"));
+process.env.XDG_DATA_HOME = dataHome;
+const { DurableQueue } = await import("../src/DurableQueue.js");
+const { default: scalingDatabase } = await import("../src/scalingDatabase.js");
+
+after(() => rmSync(dataHome, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+let queueCount = 0;
+const queueName = () => `test-${process.pid}-${queueCount++}`;
+
+// Runs operations straight away, standing in for the threader
+function createThreader() {
+  const events = [];
+  return {
+    events,
+    emit: (event, payload) => events.push({ event, ...payload }),
+    execute: async (operation, options) =>
+      await operation({
+        signal: new AbortController().signal,
+        requestId: options.requestId,
+        attempt: 1,
+      }),
+  };
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error("Timed out waiting for the queue");
+    }
+    await sleep(5);
+  }
+}
+
+test("jobs that run out of attempts are dead-lettered and can be retried", async () => {
+  const threader = createThreader();
+  const queue = new DurableQueue(threader, queueName(), {
+    maxAttempts: 2,
+    retryDelayMs: 1,
+    maxRetryDelayMs: 1,
+    pollIntervalMs: 5,
+  });
+  const attempts = [];
+  let failing = true;
+  queue.register("flaky", async (payload, context) => {
+    attempts.push(context.attempt);
+    assert.deepEqual(payload, { n: 1 });
+    if (failing) throw new Error("backend down");
+    return "done";
+  });
+
+  const id = queue.enqueue({ handler: "flaky", payload: { n: 1 } });
+  await waitFor(() => queue.getStats().deadLetters === 1);
+
+  assert.deepEqual(attempts, [1, 2]);
+  const [dead] = queue.getDeadLetters();
+  assert.equal(dead.id, id);
+  assert.equal(dead.attempts, 2);
+  assert.match(dead.error, /backend down/);
+  assert.deepEqual(
+    threader.events.map(({ event }) => event),
+    ["job:retrying", "job:dead"]
+  );
+
+  failing = false;
+  assert.equal(queue.retryDeadLetter(id), true);
+  await waitFor(() => queue.getStats().completed === 1);
+  // A retried dead letter starts over with a fresh set of attempts
+  assert.deepEqual(attempts, [1, 2, 1]);
+  const stats = queue.getStats();
+  assert.equal(stats.deadLetters, 0);
+  assert.equal(stats.pending, 0);
+  await queue.close();
+});
+
+test("a job whose lease expired is run again", async () => {
+  const name = queueName();
+  const now = Date.now();
+  // Leased by a process that died before finishing it
+  const id = scalingDatabase.addDurableJob({
+    queue: name,
+    handler: "work",
+    payload: JSON.stringify("abandoned"),
+    priority: 0,
+    maxAttempts: 3,
+    availableAt: now,
+    createdAt: now,
+  });
+  scalingDatabase.claimDurableJobs(name, ["work"], 1, now - 1, now);
+
+  const queue = new DurableQueue(createThreader(), name, {
+    pollIntervalMs: 5,
+  });
+  const runs = [];
+  queue.register("work", (payload, context) => {
+    runs.push({ payload, jobId: context.jobId, attempt: context.attempt });
+  });
+
+  await waitFor(() => queue.getStats().completed === 1);
+  assert.deepEqual(runs, [{ payload: "abandoned", jobId: id, attempt: 2 }]);
+  assert.equal(queue.getStats().recovered, 1);
+  await queue.close();
+});
+
+test("an expired lease on the last attempt dead-letters the job", async () => {
+  const name = queueName();
+  const now = Date.now();
+  const id = scalingDatabase.addDurableJob({
+    queue: name,
+    handler: "work",
+    payload: JSON.stringify(null),
+    priority: 0,
+    maxAttempts: 1,
+    availableAt: now,
+    createdAt: now,
+  });
+  scalingDatabase.claimDurableJobs(name, ["work"], 1, now - 1, now);
+
+  const queue = new DurableQueue(createThreader(), name, {
+    pollIntervalMs: 5,
+  });
+  let ran = false;
+  queue.register("work", () => {
+    ran = true;
+  });
+  await sleep(30);
+
+  assert.equal(ran, false);
+  const stats = queue.getStats();
+  assert.equal(stats.deadLettered, 1);
+  assert.equal(stats.deadLetters, 1);
+  const [dead] = queue.getDeadLetters();
+  assert.equal(dead.id, id);
+  assert.match(dead.error, /Visibility timeout expired/);
+  await queue.close();
+});
+
+test("a running job keeps renewing its lease", async () => {
+  const name = queueName();
+  const queue = new DurableQueue(createThreader(), name, {
+    visibilityTimeoutMs: 30,
+    pollIntervalMs: 5,
+  });
+  let release;
+  let runs = 0;
+  queue.register("slow", async () => {
+    runs++;
+    await new Promise((resolve) => {
+      release = resolve;
+    });
+  });
+  queue.enqueue({ handler: "slow" });
+
+  // Well past the visibility timeout, the lease is still ours
+  await sleep(120);
+  assert.equal(runs, 1);
+  assert.equal(queue.getStats().recovered, 0);
+  release();
+  await waitFor(() => queue.getStats().completed === 1);
+  await queue.close();
+});
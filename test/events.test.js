@@ -0,0 +1,164 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// The scaling history lives in the data directory, so point it somewhere
+// disposable before the modules that open it are loaded
+const dataHome = mkdtempSync(path.join(tmpdir(), "llm-threader-test-"));
+process.env.XDG_DATA_HOME = dataHome;
+const { ThreadManager } = await import("../src/ThreadManager.js");
+const { LLMThreader } = await import("../src/index.js");
+
+after(() => rmSync(dataHome, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(options) {
+  const events = [];
+  const manager = new ThreadManager({
+    ...options,
+    onRequestEvent: (event, payload) => events.push({ event, ...payload }),
+  });
+  manager.updateThreadLimits(1);
+  return { manager, events };
+}
+
+test("a request reports queued, started and completed with timings", async () => {
+  const { manager, events } = createManager();
+  await manager.execute(() => sleep(10), { type: "chat", tenant: "app" });
+
+  assert.deepEqual(
+    events.map((entry) => entry.event),
+    ["request:queued", "request:started", "request:completed"]
+  );
+  const ids = new Set(events.map((entry) => entry.requestId));
+  assert.equal(ids.size, 1);
+  const completed = events[2];
+  assert.equal(completed.type, "chat");
+  assert.equal(completed.tenant, "app");
+  assert.equal(completed.attempt, 1);
+  assert.ok(completed.durationMs >= 9);
+  assert.ok(completed.waitMs >= 0);
+});
+
+test("retries and failures are reported per attempt", async () => {
+  const { manager, events } = createManager({
+    retryPolicy: { maxAttempts: 2, initialDelayMs: 1, jitter: 0 },
+  });
+  await assert.rejects(
+    manager.execute(() => Promise.reject(new Error("model loading"))),
+    /model loading/
+  );
+
+  assert.deepEqual(
+    events.map((entry) => entry.event),
+    [
+      "request:queued",
+      "request:started",
+      "request:retried",
+      "request:queued",
+      "request:started",
+      "request:failed",
+    ]
+  );
+  assert.equal(events[2].nextAttempt, 2);
+  assert.match(events[5].error.message, /model loading/);
+  assert.equal(events[5].attempt, 2);
+});
+
+test("cancelled requests are reported as cancelled rather than failed", async () => {
+  const { manager, events } = createManager();
+  const blocker = manager.execute(() => sleep(10));
+  const controller = new AbortController();
+  const queued = manager.execute(() => "never", { signal: controller.signal });
+  await sleep(0);
+  controller.abort();
+
+  await assert.rejects(queued);
+  await blocker;
+  const cancelled = events.filter(
+    (entry) => entry.event === "request:cancelled"
+  );
+  assert.equal(cancelled.length, 1);
+  assert.equal(events.some((entry) => entry.event === "request:failed"), false);
+});
+
+test("a throwing listener doesn't break the request", async () => {
+  const manager = new ThreadManager({
+    onRequestEvent: () => {
+      throw new Error("listener bug");
+    },
+  });
+  manager.updateThreadLimits(1);
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(" "));
+  try {
+    assert.equal(await manager.execute(() => "ok"), "ok");
+  } finally {
+    console.warn = warn;
+  }
+  assert.ok(warnings.some((line) => line.includes("listener bug")));
+});
+
+test("the threader emits pool-tagged request events", async () => {
+  const threader = new LLMThreader();
+  const seen = [];
+  threader.on("request:completed", (payload) => seen.push(payload));
+  const pool = threader.pool("embeddings");
+
+  await pool.execute(() => "vector");
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].pool, "embeddings");
+  await threader.shutdown();
+});
+
+test("thermal transitions and scaling decisions are emitted once per change", async () => {
+  const threader = new LLMThreader();
+  const reading = { cpuLoad: 20, avgTemp: 50 };
+  threader.systemMonitor.getEnhancedSystemInfo = async () => ({
+    ...reading,
+    avgCpuUsage: reading.cpuLoad,
+    avgCpuTemp: reading.avgTemp,
+    memoryUsage: 40,
+    avgMemoryUsage: 40,
+    timestamp: Date.now(),
+  });
+  const events = [];
+  ["thermal:warning", "thermal:emergency", "thermal:recovered"].forEach(
+    (event) => threader.on(event, (payload) => events.push({ event, payload }))
+  );
+  const decisions = [];
+  threader.on("scaling:decision", (decision) => decisions.push(decision));
+
+  const tick = () => threader.systemMonitor.monitorSystemWithScaling();
+  await tick();
+  reading.avgTemp = 88;
+  await tick();
+  await tick();
+  reading.avgTemp = 97;
+  await tick();
+  reading.avgTemp = 50;
+  await tick();
+
+  assert.deepEqual(
+    events.map(({ event }) => event),
+    ["thermal:warning", "thermal:emergency", "thermal:recovered"]
+  );
+  assert.equal(events[1].payload.previousState, "warning");
+  assert.deepEqual(events[1].payload.exceeded, [
+    { metric: "cpuTemp", value: 97, limit: 95 },
+  ]);
+  assert.equal(events[1].payload.metrics.cpuTemp, 97);
+
+  assert.equal(decisions.length, 5);
+  decisions.forEach((decision) => {
+    assert.equal(typeof decision.reason, "string");
+    assert.equal(typeof decision.confidence, "number");
+    assert.ok(Number.isFinite(decision.threads));
+  });
+  assert.equal(decisions[3].thermalState, "emergency");
+  await threader.shutdown();
+});
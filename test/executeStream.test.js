@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager() {
+  const manager = new ThreadManager();
+  manager.updateThreadLimits(1);
+  return manager;
+}
+
+// Produces `count` chunks as fast as it is asked for them
+function counting(count, state) {
+  return async function* () {
+    for (let i = 0; i < count; i++) {
+      state.pulled++;
+      yield i;
+    }
+  };
+}
+
+test("a slow consumer holds the operation at the high-water mark", async () => {
+  const manager = createManager();
+  const state = { pulled: 0 };
+  const stream = manager.executeStream(counting(100, state), {
+    highWaterMark: 4,
+  });
+
+  const received = [];
+  for await (const chunk of stream) {
+    received.push(chunk);
+    if (received.length === 1) {
+      await sleep(30);
+      assert.ok(state.pulled <= 6, `pulled ${state.pulled} chunks`);
+    }
+  }
+  assert.equal(received.length, 100);
+  assert.deepEqual(received.slice(0, 3), [0, 1, 2]);
+});
+
+test("breaking out releases a producer waiting on the consumer", async () => {
+  const manager = createManager();
+  const state = { pulled: 0 };
+  const stream = manager.executeStream(counting(1000, state), {
+    highWaterMark: 2,
+  });
+
+  for await (const chunk of stream) {
+    if (chunk === 0) {
+      await sleep(10);
+      break;
+    }
+  }
+  await manager.whenIdle();
+  assert.ok(state.pulled < 10);
+  assert.equal(manager.getState().activeRequests, 0);
+  // The slot is free for the next request
+  assert.equal(await manager.execute(() => "next"), "next");
+});
+
+test("closing the stream while queued cancels the request before it starts", async () => {
+  const manager = createManager();
+  let release;
+  const blocker = manager.execute(
+    () => new Promise((resolve) => (release = resolve))
+  );
+  let started = false;
+  const stream = manager.executeStream(async function* () {
+    started = true;
+    yield "never";
+  });
+
+  const iterator = stream[Symbol.asyncIterator]();
+  const pending = iterator.next();
+  await sleep(0);
+  assert.deepEqual(await iterator.return(), { done: true, value: undefined });
+  assert.deepEqual(await pending, { done: true, value: undefined });
+
+  release();
+  await blocker;
+  await manager.whenIdle();
+  assert.equal(started, false);
+  assert.equal(manager.getQueueStats().cancelled, 1);
+});
+
+test("returning before the request is submitted still cancels it", async () => {
+  const manager = createManager();
+  let started = false;
+  const stream = manager.executeStream(async function* () {
+    started = true;
+    yield "never";
+  });
+
+  // Never started, so a plain async generator would skip its cleanup
+  await stream.return();
+  await manager.whenIdle();
+  assert.equal(started, false);
+  assert.equal(manager.getState().queueSize, 0);
+  assert.equal(manager.getQueueStats().cancelled, 1);
+});
+
+test("breaking out aborts the running operation", async () => {
+  const manager = createManager();
+  let aborted = false;
+  const stream = manager.executeStream(async function* ({ signal }) {
+    signal.addEventListener("abort", () => (aborted = true));
+    for (let i = 0; ; i++) {
+      yield i;
+      await sleep(5);
+    }
+  });
+
+  for await (const chunk of stream) {
+    if (chunk === 2) break;
+  }
+  await manager.whenIdle();
+  assert.equal(aborted, true);
+  const stats = manager.getQueueStats();
+  assert.equal(stats.cancelled, 1);
+  assert.equal(stats.completed, 0);
+});
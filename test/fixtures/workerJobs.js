@@ -0,0 +1,30 @@
+// Jobs for the WorkerPool tests; each export runs inside a worker
+import { isMainThread } from "worker_threads";
+
+export function add(a, b) {
+  return a + b;
+}
+
+export default function describeRuntime() {
+  return { isMainThread, pid: process.pid };
+}
+
+export async function fail(message) {
+  const error = new Error(message);
+  error.name = "BackendError";
+  error.status = 503;
+  throw error;
+}
+
+export function crash(code) {
+  process.exit(code);
+}
+
+// Blocks the worker's event loop, like a CPU-bound inference call
+export function spin(ms) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    // busy
+  }
+  return ms;
+}
@@ -0,0 +1,125 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// The engine's history lives in the data directory, so point it somewhere
+// disposable before the modules that open it are loaded
+const dataHome = mkdtempSync(path.join(tmpdir(), "llm-threader-test-"));
+process.env.XDG_DATA_HOME = dataHome;
+const { ThreadManager } = await import("../src/ThreadManager.js");
+const { MemoryBudget } = await import("../src/MemoryBudget.js");
+const { ScalingDecisionEngine } = await import(
+  "../src/ScalingDecisionEngine.js"
+);
+
+after(() => rmSync(dataHome, { recursive: true, force: true }));
+
+const MB = 1024 * 1024;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function sample(usedMB, timestamp = Date.now()) {
+  return { memoryTotal: 1000 * MB, memoryUsed: usedMB * MB, timestamp };
+}
+
+function createManager(threads = 4) {
+  // 85% of 1000 MB with a 500 MB idle baseline leaves 350 MB to hand out
+  const memoryBudget = new MemoryBudget({ limitPercent: 85 });
+  memoryBudget.observe(sample(500));
+  const manager = new ThreadManager({ memoryBudget });
+  manager.updateThreadLimits(threads);
+  return { manager, memoryBudget };
+}
+
+function hold() {
+  let release;
+  const done = new Promise((resolve) => (release = resolve));
+  return { done, release };
+}
+
+test("a request waits while its footprint would exceed the budget", async () => {
+  const { manager, memoryBudget } = createManager();
+  const first = hold();
+  const started = [];
+
+  const big = manager.execute(
+    () => {
+      started.push("big");
+      return first.done;
+    },
+    { estimatedMemoryMB: 300 }
+  );
+  await sleep(0);
+  const small = manager.execute(
+    () => {
+      started.push("small");
+      return "small";
+    },
+    { estimatedMemoryMB: 100 }
+  );
+  await sleep(0);
+
+  assert.deepEqual(started, ["big"]);
+  assert.equal(memoryBudget.getState().reservedMB, 300);
+  const stats = manager.getQueueStats();
+  assert.equal(stats.memory.blocked, true);
+  assert.equal(stats.memory.reservedMB, 300);
+
+  first.release("big");
+  assert.equal(await big, "big");
+  assert.equal(await small, "small");
+  assert.deepEqual(started, ["big", "small"]);
+  assert.equal(manager.getQueueStats().memory.limited, 1);
+  assert.equal(memoryBudget.getState().running, 0);
+});
+
+test("requests without an estimate and oversized ones running alone are admitted", async () => {
+  const { manager } = createManager(2);
+
+  assert.equal(await manager.execute(() => "unknown"), "unknown");
+  assert.equal(
+    await manager.execute(() => "huge", { estimatedMemoryMB: 5000 }),
+    "huge"
+  );
+  assert.equal(manager.getQueueStats().memory.limited, 0);
+});
+
+test("the budget learns a type's footprint from samples taken while it runs", async () => {
+  const { manager, memoryBudget } = createManager();
+  const running = hold();
+
+  const request = manager.execute(() => running.done, { type: "embed" });
+  await sleep(0);
+  memoryBudget.observe(sample(700, Date.now() + 1));
+  assert.equal(memoryBudget.estimate("embed"), 200);
+  assert.equal(memoryBudget.estimate("chat"), null);
+
+  running.release();
+  await request;
+  const next = { estimatedMemoryMB: null, type: "embed" };
+  assert.equal(manager.getMemoryEstimate(next), 200);
+});
+
+test("an invalid limit falls back to 85 percent", () => {
+  const budget = new MemoryBudget({ limitPercent: 150 });
+  budget.observe(sample(100));
+  assert.equal(budget.getLimitMB(), 850);
+  budget.observe({ memoryTotal: 0, memoryUsed: 10 });
+  assert.equal(budget.getState().usedMB, 100);
+});
+
+test("memory usage past the absolute limit clamps to one thread", async () => {
+  const engine = new ScalingDecisionEngine({ maxThreads: 8 });
+  const samples = Array.from({ length: 5 }, () => ({
+    avgCpuUsage: 20,
+    avgCpuTemp: 50,
+    memoryUsage: 96,
+    avgMemoryUsage: 96,
+    timestamp: Date.now(),
+  }));
+
+  const decision = await engine.findOptimalThreadCount(samples, [], 8);
+  assert.equal(decision.recommendedThreads, 1);
+  assert.equal(decision.reason, "hard_emergency_clamp");
+});
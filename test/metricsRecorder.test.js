@@ -0,0 +1,101 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  StaticMetricsProvider,
+  TraceReplayProvider,
+  normalizeSample,
+} from "../src/MetricsProvider.js";
+import { MetricsRecorder } from "../src/MetricsRecorder.js";
+
+const dir = mkdtempSync(path.join(tmpdir(), "llm-threader-test-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const script = [
+  { cpuUsage: 10, cpuTemp: 40, memoryUsage: 30 },
+  { cpuUsage: 55, cpuTemp: 62, gpuUsage: 20 },
+  { cpuUsage: 90, cpuTemp: 80, gpuUsage: 70, gpuTemp: 75 },
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Spaced out so each sample gets its own place in the replay's timeline
+async function record(recorder) {
+  for (let i = 0; i < script.length; i++) {
+    await recorder.sample();
+    await sleep(10);
+  }
+}
+
+function assertReplays(replay) {
+  assert.deepEqual(
+    replay.records.map((record) => record.sample),
+    script.map(normalizeSample)
+  );
+  const offsets = replay.records.map((record) => record.at);
+  assert.equal(offsets[0], 0);
+  assert.ok(offsets[1] > 0 && offsets[2] > offsets[1]);
+}
+
+test("a recorded trace file replays the samples it recorded", async () => {
+  const file = path.join(dir, "trace.ndjson");
+  const recorder = new MetricsRecorder(new StaticMetricsProvider(script), {
+    path: file,
+  });
+  await record(recorder);
+  await recorder.close();
+
+  const replay = await TraceReplayProvider.fromFile(file);
+  assertReplays(replay);
+  assert.deepEqual(await replay.sample(), normalizeSample(script[0]));
+});
+
+test("an in-memory recording replays through getTrace()", async () => {
+  const recorder = new MetricsRecorder(new StaticMetricsProvider(script));
+  await record(recorder);
+
+  const trace = recorder.getTrace();
+  assert.equal(trace.length, 3);
+  assert.ok(trace.every((sample) => Number.isFinite(sample.timestamp)));
+  assertReplays(new TraceReplayProvider({ samples: trace }));
+});
+
+test("close() settles when the trace file can't be written", async () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(" "));
+  try {
+    const file = path.join(dir, "missing", "trace.ndjson");
+    // Closed before the failed open is reported
+    const failing = new MetricsRecorder(new StaticMetricsProvider(script), {
+      path: file,
+    });
+    await failing.sample();
+    await failing.close();
+
+    // Closed after it has been
+    const failed = new MetricsRecorder(new StaticMetricsProvider(script), {
+      path: file,
+    });
+    await failed.sample();
+    await sleep(20);
+    assert.equal(failed.failed, true);
+    await failed.close();
+  } finally {
+    console.warn = warn;
+  }
+  assert.ok(warnings.some((line) => line.includes("Metrics recording")));
+});
+
+test("close() settles when the trace stream was destroyed", async () => {
+  const recorder = new MetricsRecorder(new StaticMetricsProvider(script), {
+    path: path.join(dir, "destroyed.ndjson"),
+  });
+  await recorder.sample();
+  recorder.stream.destroy();
+  await sleep(20);
+  await recorder.close();
+  assert.equal(recorder.stream, null);
+});
@@ -0,0 +1,101 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// Profiles are persisted in the data directory, so point it somewhere
+// disposable before the modules that open it are loaded
+const dataHome = mkdtempSync(path.join(tmpdir(), "llm-threader-test-"));
+process.env.XDG_DATA_HOME = dataHome;
+const { ScalingDecisionEngine } = await import(
+  "../src/ScalingDecisionEngine.js"
+);
+
+after(() => rmSync(dataHome, { recursive: true, force: true }));
+
+function createEngine() {
+  const engine = new ScalingDecisionEngine({ maxThreads: 8 });
+  engine.lastRecommendedThreads = 4;
+  return engine;
+}
+
+function sample(cpu, memory) {
+  return [{ avgCpuUsage: cpu, avgCpuTemp: 50, avgMemoryUsage: memory }];
+}
+
+// One request of `type` running on a system that idles at 25% CPU and 40%
+// memory and adds 5% / 1% on top of that
+function learn(engine, type, runs = 3) {
+  engine.recordPerformanceData(sample(25, 40), 4, 0, 0, {});
+  for (let i = 0; i < runs; i++) {
+    const startTime = Date.now();
+    engine.recordPerformanceData(sample(30, 41), 4, 0, 1, { [type]: 1 });
+    engine.recordOperationSamples([
+      {
+        type,
+        status: "completed",
+        startTime,
+        endTime: Date.now(),
+        duration: 50,
+      },
+    ]);
+  }
+}
+
+test("profiles learn what a request adds over the idle baseline", () => {
+  const engine = createEngine();
+  learn(engine, "chat");
+
+  const profile = engine.operationIntensityProfiles.chat;
+  assert.equal(profile.count, 3);
+  assert.equal(profile.cpu_avg, 5);
+  assert.equal(profile.memory_avg, 1);
+  assert.equal(profile.intensity, 0.05);
+});
+
+test("the profiled prediction doesn't block a scale-up the unprofiled one allows", () => {
+  const profiled = createEngine();
+  learn(profiled, "summarize");
+  const unprofiled = createEngine();
+  const current = sample(30, 41);
+
+  const fromProfiles = profiled.predictLoadWithThreads(current, 6);
+  assert.equal(fromProfiles.basedOn, "operation_profiles");
+  // 30% now plus 5% for each of the two added threads, rather than the 30%
+  // per thread an absolute share would add
+  assert.equal(fromProfiles.predictedCpuUsage, 40);
+  assert.equal(fromProfiles.predictedMemoryUsage, 43);
+
+  const fromScaling = unprofiled.predictLoadWithThreads(current, 6);
+  assert.equal(fromScaling.basedOn, "conservative_estimate");
+  assert.equal(unprofiled.isThermallySafe(fromScaling), true);
+  assert.equal(profiled.isThermallySafe(fromProfiles), true);
+});
+
+test("nothing is attributed before the system has been seen idle", () => {
+  const engine = createEngine();
+  const startTime = Date.now();
+  engine.recordPerformanceData(sample(60, 50), 4, 0, 2, { embed: 2 });
+  engine.recordOperationSamples([
+    { type: "embed", status: "completed", startTime, endTime: Date.now() },
+  ]);
+  assert.equal(engine.operationIntensityProfiles.embed, undefined);
+
+  // Idle samples are ignored when attributing, so only the busy one counts
+  engine.recordPerformanceData(sample(20, 40), 4, 0, 0, {});
+  engine.recordOperationSamples([
+    { type: "embed", status: "completed", startTime, endTime: Date.now() },
+  ]);
+  assert.equal(engine.operationIntensityProfiles.embed.cpu_avg, 20);
+  assert.equal(engine.operationIntensityProfiles.embed.memory_avg, 5);
+});
+
+test("learned profiles are reloaded by a new engine", () => {
+  learn(createEngine(), "translate");
+
+  const restarted = createEngine();
+  const profile = restarted.operationIntensityProfiles.translate;
+  assert.equal(profile.count, 3);
+  assert.equal(profile.cpu_avg, 5);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager() {
+  const manager = new ThreadManager();
+  manager.updateThreadLimits(2);
+  return manager;
+}
+
+test("paused managers keep requests queued until resumed", async () => {
+  const manager = createManager();
+  await manager.pause();
+  let ran = false;
+  const queued = manager.execute(() => {
+    ran = true;
+    return "ok";
+  });
+  await sleep(10);
+
+  assert.equal(ran, false);
+  assert.equal(manager.getState().paused, true);
+  assert.equal(manager.getState().queueSize, 1);
+  manager.resume();
+  assert.equal(await queued, "ok");
+});
+
+test("drainActive waits for running requests without starting new ones", async () => {
+  const manager = createManager();
+  const order = [];
+  const active = manager.execute(async () => {
+    await sleep(20);
+    order.push("active");
+  });
+  await sleep(0);
+
+  const queued = manager.execute(async () => order.push("queued"));
+  await manager.pause({ drainActive: true });
+  order.push("drained");
+  assert.equal(manager.getState().activeRequests, 0);
+
+  manager.resume();
+  await Promise.all([active, queued]);
+  assert.deepEqual(order, ["active", "drained", "queued"]);
+});
+
+test("dispatch waits until every named gate is released", async () => {
+  const manager = createManager();
+  const releaseReload = manager.gate("model-reload");
+  manager.gate("presenting");
+  let ran = false;
+  const queued = manager.execute(() => {
+    ran = true;
+  });
+
+  releaseReload();
+  await sleep(5);
+  assert.equal(ran, false);
+  assert.deepEqual(manager.getState().gates, ["presenting"]);
+
+  assert.equal(manager.releaseGate("presenting"), true);
+  assert.equal(manager.releaseGate("presenting"), false);
+  await queued;
+  assert.equal(ran, true);
+});
+
+test("suspended time is tracked so rate windows can exclude it", async () => {
+  const manager = createManager();
+  const since = Date.now();
+  manager.gate("swap");
+  await sleep(30);
+  manager.releaseGate("swap");
+  await sleep(10);
+
+  const suspended = manager.getSuspendedMs(since);
+  assert.ok(suspended >= 25, `suspended ${suspended}ms`);
+  // Time after the gate was released doesn't count
+  assert.ok(suspended <= Date.now() - since - 5, `suspended ${suspended}ms`);
+  assert.equal(manager.getSuspendedMs(Date.now()), 0);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { allocatePoolBudget } from "../src/utils/poolAllocator.js";
+
+const total = (allocations) =>
+  Object.values(allocations).reduce((sum, slots) => sum + slots, 0);
+
+test("allocations never add up to more than the budget", () => {
+  const demands = [0, 1, 3, 8];
+  const costs = [undefined, 0.5, 1, 4];
+  for (let budget = 0; budget <= 6; budget++) {
+    for (const demand of demands) {
+      for (const cost of costs) {
+        const pools = [
+          { name: "a", demand, active: demand / 2, cost, minThreads: 2 },
+          { name: "b", demand: demand + 1, cost: 1, minThreads: 1 },
+          { name: "c", demand: 2, cost: 2, minThreads: 3, maxThreads: 4 },
+        ];
+        const allocations = allocatePoolBudget(budget, pools);
+        assert.ok(
+          total(allocations) <= budget,
+          `budget ${budget} got ${JSON.stringify(allocations)}`
+        );
+      }
+    }
+  }
+});
+
+test("a budget below the minimums goes to pools with demand first", () => {
+  const allocations = allocatePoolBudget(1, [
+    { name: "idle", demand: 0 },
+    { name: "busy", demand: 3 },
+    { name: "quiet", demand: 1 },
+  ]);
+  assert.deepEqual(allocations, { idle: 0, busy: 1, quiet: 0 });
+});
+
+test("minimums are scaled down one slot per pool per round", () => {
+  const allocations = allocatePoolBudget(4, [
+    { name: "a", demand: 5, minThreads: 3 },
+    { name: "b", demand: 2, minThreads: 3 },
+    { name: "c", demand: 0, minThreads: 3 },
+  ]);
+  assert.deepEqual(allocations, { a: 2, b: 1, c: 1 });
+});
+
+test("minimums are kept when the budget covers them", () => {
+  const allocations = allocatePoolBudget(6, [
+    { name: "a", demand: 0, minThreads: 2 },
+    { name: "b", demand: 0, minThreads: 1 },
+  ]);
+  assert.ok(allocations.a >= 2);
+  assert.ok(allocations.b >= 1);
+  assert.equal(total(allocations), 6);
+});
+
+test("spare budget follows demand and respects maxThreads", () => {
+  const allocations = allocatePoolBudget(8, [
+    { name: "chat", demand: 6, maxThreads: 4 },
+    { name: "embed", demand: 2 },
+  ]);
+  assert.equal(allocations.chat, 4);
+  assert.equal(allocations.embed, 4);
+});
+
+test("slots held by running work stay with their pool", () => {
+  const allocations = allocatePoolBudget(2, [
+    { name: "queued", demand: 6, active: 0 },
+    { name: "running", demand: 2, active: 2 },
+  ]);
+  assert.deepEqual(allocations, { queued: 0, running: 2 });
+});
@@ -0,0 +1,198 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import { PreemptedError } from "../src/errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(threads) {
+  const events = [];
+  const manager = new ThreadManager({
+    onRequestEvent: (event, payload) => events.push({ event, ...payload }),
+  });
+  manager.updateThreadLimits(threads);
+  return { manager, events };
+}
+
+function hold() {
+  let release;
+  const done = new Promise((resolve) => (release = resolve));
+  return { done, release };
+}
+
+// Runs until released, or stops with the abort reason when its signal fires
+function abortable(name, log, gate) {
+  return ({ signal }) => {
+    log.push(`${name}:start`);
+    return new Promise((resolve, reject) => {
+      gate.done.then(() => resolve(name));
+      signal.addEventListener("abort", () => {
+        log.push(`${name}:aborted`);
+        reject(signal.reason);
+      });
+    });
+  };
+}
+
+test("a hard clamp preempts a preemptible request and requeues it", async () => {
+  const { manager, events } = createManager(2);
+  const log = [];
+  const gate = hold();
+  const reasons = [];
+
+  const steady = manager.execute(abortable("steady", log, gate));
+  const background = manager.execute(
+    (context) => {
+      context.signal.addEventListener("abort", () =>
+        reasons.push(context.signal.reason)
+      );
+      return abortable("background", log, gate)(context);
+    },
+    { priority: -1, preemptible: true }
+  );
+  await sleep(10);
+  assert.deepEqual(log, ["steady:start", "background:start"]);
+
+  manager.updateThreadLimits(1, { preempt: true });
+  await sleep(0);
+
+  assert.deepEqual(log, [
+    "steady:start",
+    "background:start",
+    "background:aborted",
+  ]);
+  assert.ok(reasons[0] instanceof PreemptedError);
+  assert.equal(reasons[0].reason, "preempted");
+  const preempted = events.find((entry) => entry.event === "request:preempted");
+  assert.equal(preempted.preemptions, 1);
+  assert.ok(preempted.durationMs >= 5);
+  const stats = manager.getQueueStats();
+  assert.equal(stats.preemption.preempted, 1);
+  assert.equal(stats.preemption.pending, 0);
+  assert.ok(stats.preemption.lostWorkMs >= 5);
+  // Back in the queue and held there while the clamp lasts
+  assert.equal(manager.getActiveRequests().length, 1);
+  assert.equal(manager.requestQueue.length, 1);
+
+  manager.updateThreadLimits(2);
+  await sleep(0);
+  assert.equal(log.at(-1), "background:start");
+
+  gate.release();
+  assert.equal(await steady, "steady");
+  assert.equal(await background, "background");
+  assert.equal(
+    events.filter((entry) => entry.event === "request:failed").length,
+    0
+  );
+});
+
+test("lower priorities and the most recently started go first", async () => {
+  const { manager } = createManager(3);
+  const log = [];
+  const gate = hold();
+
+  const older = manager.execute(abortable("older", log, gate), {
+    preemptible: true,
+  });
+  await sleep(5);
+  const newer = manager.execute(abortable("newer", log, gate), {
+    preemptible: true,
+  });
+  await sleep(5);
+  const urgent = manager.execute(abortable("urgent", log, gate), {
+    priority: 5,
+    preemptible: true,
+  });
+  await sleep(5);
+
+  manager.updateThreadLimits(2, { preempt: true });
+  await sleep(0);
+  assert.deepEqual(
+    log.filter((entry) => entry.endsWith(":aborted")),
+    ["newer:aborted"]
+  );
+
+  manager.updateThreadLimits(1, { preempt: true });
+  await sleep(0);
+  assert.deepEqual(
+    log.filter((entry) => entry.endsWith(":aborted")),
+    ["newer:aborted", "older:aborted"]
+  );
+
+  manager.updateThreadLimits(3);
+  gate.release();
+  assert.deepEqual(await Promise.all([older, newer, urgent]), [
+    "older",
+    "newer",
+    "urgent",
+  ]);
+});
+
+test("requests that are not preemptible keep their slots", async () => {
+  const { manager } = createManager(2);
+  const log = [];
+  const gate = hold();
+
+  const first = manager.execute(abortable("first", log, gate));
+  const bypass = manager.execute(abortable("bypass", log, gate), {
+    emergencyBypass: true,
+    preemptible: true,
+  });
+  await sleep(0);
+
+  manager.updateThreadLimits(1, { preempt: true });
+  // Without `preempt` nothing is aborted either
+  manager.updateThreadLimits(1);
+  await sleep(0);
+  assert.equal(log.filter((entry) => entry.endsWith(":aborted")).length, 0);
+  assert.equal(manager.getQueueStats().preemption.preempted, 0);
+  assert.equal(manager.desiredThreadCount, 1);
+
+  gate.release();
+  assert.deepEqual(await Promise.all([first, bypass]), ["first", "bypass"]);
+});
+
+test("an operation that ignores its signal holds the slot until it settles", async () => {
+  const { manager } = createManager(2);
+  const gate = hold();
+  const stubborn = hold();
+  let attempts = 0;
+
+  const steady = manager.execute(() => gate.done.then(() => "steady"));
+  const ignoring = manager.execute(
+    () => {
+      attempts++;
+      return attempts === 1
+        ? stubborn.done.then(() => {
+            throw new Error("stopped late");
+          })
+        : "ignoring";
+    },
+    { preemptible: true }
+  );
+  await sleep(0);
+
+  manager.updateThreadLimits(1, { preempt: true });
+  await sleep(0);
+  let stats = manager.getQueueStats();
+  assert.equal(stats.preemption.preempted, 1);
+  assert.equal(stats.preemption.pending, 1);
+  assert.equal(manager.getActiveRequests().length, 2);
+
+  // Preempting again doesn't count the request twice
+  manager.updateThreadLimits(1, { preempt: true });
+  assert.equal(manager.getQueueStats().preemption.preempted, 1);
+
+  // The attempt's error is swallowed and the request runs again
+  stubborn.release();
+  await sleep(0);
+  stats = manager.getQueueStats();
+  assert.equal(stats.preemption.pending, 0);
+  assert.equal(manager.requestQueue.length, 1);
+
+  gate.release();
+  assert.equal(await steady, "steady");
+  assert.equal(await ignoring, "ignoring");
+  assert.equal(attempts, 2);
+});
@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PriorityQueue } from "../src/utils/PriorityQueue.js";
+import { ThreadManager, compareQueuedRequests } from "../src/ThreadManager.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const byValue = (a, b) => a.value - b.value;
+const drain = (queue) => {
+  const items = [];
+  while (queue.length > 0) {
+    items.push(queue.pop());
+  }
+  return items;
+};
+
+test("pops in order, FIFO among equal items", () => {
+  const queue = new PriorityQueue(byValue);
+  const items = [3, 1, 2, 1, 3, 0].map((value, index) => ({ value, index }));
+  items.forEach((item) => queue.push(item));
+
+  assert.deepEqual(
+    drain(queue).map(({ value, index }) => `${value}:${index}`),
+    ["0:5", "1:1", "1:3", "2:2", "3:0", "3:4"]
+  );
+});
+
+test("matches a stable sort on random input", () => {
+  const queue = new PriorityQueue(byValue);
+  const items = Array.from({ length: 500 }, (_, index) => ({
+    value: Math.floor(Math.random() * 20),
+    index,
+  }));
+  items.forEach((item) => queue.push(item));
+
+  assert.deepEqual(drain(queue), items.slice().sort(byValue));
+});
+
+test("removes and re-positions arbitrary items", () => {
+  const queue = new PriorityQueue(byValue);
+  const items = [5, 4, 3, 2, 1].map((value) => ({ value }));
+  items.forEach((item) => queue.push(item));
+
+  assert.equal(queue.remove(items[2]), true);
+  assert.equal(queue.remove(items[2]), false);
+  assert.equal(queue.has(items[2]), false);
+  items[0].value = 0;
+  assert.equal(queue.update(items[0]), true);
+
+  assert.deepEqual(
+    drain(queue).map(({ value }) => value),
+    [0, 1, 2, 4]
+  );
+});
+
+test("restored items keep their place among equal items", () => {
+  const queue = new PriorityQueue(byValue);
+  const [first, second, third] = [1, 1, 1].map((value, index) => ({
+    value,
+    index,
+  }));
+  [first, second, third].forEach((item) => queue.push(item));
+
+  const popped = [queue.pop(), queue.pop()];
+  queue.push({ value: 1, index: 3 });
+  queue.restore(popped);
+
+  assert.deepEqual(
+    drain(queue).map(({ index }) => index),
+    [0, 1, 2, 3]
+  );
+});
+
+test("queued requests order by emergency, starvation, priority, deadline, fair share", () => {
+  const request = (name, fields = {}) => ({
+    name,
+    emergencyBypass: false,
+    starved: false,
+    effectivePriority: 0,
+    deadline: null,
+    fairTag: 0,
+    enqueueTime: 0,
+    ...fields,
+  });
+  const queue = new PriorityQueue(compareQueuedRequests);
+  [
+    request("plain"),
+    request("fair-later", { fairTag: 2 }),
+    request("deadline-late", { deadline: 2000 }),
+    request("deadline-soon", { deadline: 1000 }),
+    request("high", { effectivePriority: 3 }),
+    request("higher-late-deadline", { effectivePriority: 5, deadline: 9000 }),
+    request("starved-newer", { starved: true, enqueueTime: 20 }),
+    request("starved-older", { starved: true, enqueueTime: 10 }),
+    request("emergency", { emergencyBypass: true, effectivePriority: -5 }),
+  ].forEach((item) => queue.push(item));
+
+  assert.deepEqual(
+    drain(queue).map(({ name }) => name),
+    [
+      "emergency",
+      "starved-older",
+      "starved-newer",
+      "higher-late-deadline",
+      "high",
+      "deadline-soon",
+      "deadline-late",
+      "plain",
+      "fair-later",
+    ]
+  );
+});
+
+test("per-priority queue stats follow enqueue, dispatch, cancel and raises", async () => {
+  const manager = new ThreadManager();
+  manager.updateThreadLimits(1);
+  let release;
+  const blocker = manager.execute(
+    () => new Promise((resolve) => (release = resolve))
+  );
+  const low = manager.execute(() => "low", { requestId: "low" });
+  await sleep(20);
+  const other = manager.execute(() => "other", { requestId: "other" });
+  const high = manager.execute(() => "high", {
+    requestId: "high",
+    priority: 2,
+  });
+  await sleep(0);
+
+  let byPriority = manager.getQueueStats().waitTimeByPriority;
+  assert.equal(byPriority["0"].queued, 2);
+  assert.ok(byPriority["0"].oldestQueuedMs >= 15);
+  assert.equal(byPriority["2"].queued, 1);
+  assert.ok(byPriority["2"].oldestQueuedMs < 15);
+
+  // The oldest request leaving hands "oldest" to the next one
+  const cancelled = assert.rejects(low, { name: "CancelledError" });
+  manager.cancel("low");
+  await cancelled;
+  byPriority = manager.getQueueStats().waitTimeByPriority;
+  assert.equal(byPriority["0"].queued, 1);
+  assert.ok(byPriority["0"].oldestQueuedMs < 15);
+
+  manager.raiseQueuedPriority(manager.findRequest("other"), 2);
+  byPriority = manager.getQueueStats().waitTimeByPriority;
+  assert.equal(byPriority["0"].queued, 0);
+  assert.equal(byPriority["2"].queued, 2);
+
+  release();
+  assert.deepEqual(await Promise.all([blocker, other, high]), [
+    undefined,
+    "other",
+    "high",
+  ]);
+  byPriority = manager.getQueueStats().waitTimeByPriority;
+  assert.equal(byPriority["2"].queued, 0);
+  assert.equal(byPriority["2"].count, 2);
+});
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import { QueueFullError } from "../src/errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(options) {
+  const manager = new ThreadManager(options);
+  manager.updateThreadLimits(1);
+  return manager;
+}
+
+// Occupies the only slot until the returned release function is called
+function hold(manager) {
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  const done = manager.execute(() => held);
+  return { release, done };
+}
+
+function isQueueFull(reason) {
+  return (error) => error instanceof QueueFullError && error.reason === reason;
+}
+
+test("the reject policy refuses new requests once the queue is full", async () => {
+  const manager = createManager({ maxQueueSize: 2 });
+  const blocker = hold(manager);
+  const queued = [manager.execute(() => "a"), manager.execute(() => "b")];
+  await sleep(0);
+
+  assert.equal(manager.canAccept(), false);
+  await assert.rejects(manager.execute(() => "c"), isQueueFull("rejected"));
+  assert.equal(manager.getQueueStats().overflow.rejected, 1);
+
+  blocker.release();
+  assert.deepEqual(await Promise.all(queued), ["a", "b"]);
+  assert.equal(manager.canAccept(), true);
+});
+
+test("drop-oldest evicts the longest-waiting request", async () => {
+  const manager = createManager({
+    maxQueueSize: 2,
+    overflowPolicy: "drop-oldest",
+  });
+  const blocker = hold(manager);
+  const oldest = manager.execute(() => "a");
+  await sleep(2);
+  const queued = [manager.execute(() => "b"), manager.execute(() => "c")];
+
+  await assert.rejects(oldest, isQueueFull("dropped"));
+  blocker.release();
+  assert.deepEqual(await Promise.all(queued), ["b", "c"]);
+  assert.equal(manager.getQueueStats().overflow.dropped, 1);
+});
+
+test("drop-lowest-priority only evicts requests below the newcomer", async () => {
+  const manager = createManager({
+    maxQueueSize: 2,
+    overflowPolicy: "drop-lowest-priority",
+  });
+  const blocker = hold(manager);
+  const low = manager.execute(() => "low", { priority: 0 });
+  const high = manager.execute(() => "high", { priority: 2 });
+  await sleep(0);
+
+  assert.equal(manager.canAccept({ priority: 0 }), false);
+  assert.equal(manager.canAccept({ priority: 1 }), true);
+  await assert.rejects(
+    manager.execute(() => "equal", { priority: 0 }),
+    isQueueFull("rejected")
+  );
+  const urgent = manager.execute(() => "urgent", { priority: 1 });
+
+  await assert.rejects(low, isQueueFull("dropped"));
+  blocker.release();
+  assert.deepEqual(await Promise.all([high, urgent]), ["high", "urgent"]);
+});
+
+test("the block policy holds callers until space frees up", async () => {
+  const manager = createManager({ maxQueueSize: 1, overflowPolicy: "block" });
+  const blocker = hold(manager);
+  const queued = manager.execute(() => "queued");
+  let admitted = false;
+  const blocked = manager.execute(() => "blocked").then((result) => {
+    admitted = true;
+    return result;
+  });
+  await sleep(5);
+
+  assert.equal(admitted, false);
+  assert.equal(manager.getQueueStats().overflow.blocked, 1);
+  blocker.release();
+  assert.deepEqual(await Promise.all([queued, blocked]), [
+    "queued",
+    "blocked",
+  ]);
+});
+
+test("blocked callers give up after maxQueueWaitMs", async () => {
+  const manager = createManager({
+    maxQueueSize: 1,
+    maxQueueWaitMs: 20,
+    overflowPolicy: "block",
+  });
+  const blocker = hold(manager);
+  const queued = manager.execute(() => "queued");
+  // The queued request has waited just as long, so it expires too; attach
+  // both handlers first since either may be rejected first
+  const expired = Promise.all([
+    assert.rejects(
+      manager.execute(() => "blocked"),
+      isQueueFull("wait_timeout")
+    ),
+    assert.rejects(queued, isQueueFull("wait_timeout")),
+  ]);
+
+  await expired;
+  assert.equal(manager.getQueueStats().overflow.expired, 2);
+  blocker.release();
+  await blocker.done;
+});
+
+test("queued requests expire after maxQueueWaitMs", async () => {
+  const manager = createManager({ maxQueueWaitMs: 20 });
+  const blocker = hold(manager);
+  const queued = manager.execute(() => "queued");
+
+  await assert.rejects(queued, isQueueFull("wait_timeout"));
+  assert.equal(manager.getState().queueSize, 0);
+  blocker.release();
+  await blocker.done;
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import { RateLimiter } from "../src/RateLimiter.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(options) {
+  const manager = new ThreadManager(options);
+  manager.updateThreadLimits(4);
+  return manager;
+}
+
+// Records when each operation started, relative to the first one
+function startTimes(manager, submissions) {
+  const started = {};
+  const pending = submissions.map(([name, options]) =>
+    manager.execute(async () => {
+      started[name] = Date.now();
+    }, options)
+  );
+  return Promise.all(pending).then(() => {
+    const first = Math.min(...Object.values(started));
+    return Object.fromEntries(
+      Object.entries(started).map(([name, time]) => [name, time - first])
+    );
+  });
+}
+
+test("a pool request rate spaces out dispatches despite free slots", async () => {
+  const manager = createManager({
+    rateLimit: { requestsPerSecond: 20, burst: 1 },
+  });
+  const started = await startTimes(manager, [["a"], ["b"], ["c"]]);
+
+  assert.equal(started.a, 0);
+  assert.ok(started.b >= 40, `b started after ${started.b}ms`);
+  assert.ok(started.c >= 90, `c started after ${started.c}ms`);
+
+  const stats = manager.getQueueStats();
+  assert.equal(stats.rateLimits.limited, 2);
+  assert.ok(stats.rateLimitWait.avg >= 40);
+  assert.ok(stats.rateLimitWait.avg > stats.concurrencyWait.avg);
+});
+
+test("a tenant's rate limit doesn't hold back other tenants", async () => {
+  const tenantRateLimiters = new Map([
+    ["metered", new RateLimiter({ requestsPerSecond: 10, burst: 1 })],
+  ]);
+  const manager = createManager({ tenantRateLimiters });
+  const started = await startTimes(manager, [
+    ["first", { tenant: "metered" }],
+    ["second", { tenant: "metered" }],
+    ["free", { tenant: "local" }],
+  ]);
+
+  assert.ok(started.free < 20, `free started after ${started.free}ms`);
+  assert.ok(started.second >= 80, `second started after ${started.second}ms`);
+});
+
+test("tokens reported after the fact are paid off before the next dispatch", async () => {
+  // One token per millisecond
+  const manager = createManager({ rateLimit: { tokensPerMinute: 60000 } });
+  const started = await startTimes(manager, [
+    ["big", { countTokens: () => 60040 }],
+  ]);
+  assert.equal(started.big, 0);
+  assert.ok(manager.getQueueStats().rateLimits.pool.availableTokens < 0);
+
+  const before = Date.now();
+  await manager.execute(() => "next");
+  assert.ok(Date.now() - before >= 30);
+});
+
+test("emergency requests skip the rate limit", async () => {
+  const manager = createManager({
+    rateLimit: { requestsPerSecond: 1, burst: 1 },
+  });
+  await manager.execute(() => "spends the only token");
+
+  const before = Date.now();
+  await manager.execute(() => "urgent", { emergencyBypass: true });
+  assert.ok(Date.now() - before < 100);
+});
+
+test("estimates are charged at dispatch and settled against actual usage", () => {
+  const limiter = new RateLimiter({ tokensPerMinute: 600 });
+  // An estimate larger than the bucket only waits for a full bucket
+  assert.equal(limiter.getDelay(1e9), 0);
+
+  limiter.acquire(100);
+  assert.equal(limiter.getState().availableTokens, 500);
+  // Used less than estimated: the difference is refunded
+  limiter.settleTokens(40, 100);
+  assert.equal(limiter.getState().availableTokens, 560);
+  // Used more than the bucket holds: the balance goes into debt
+  limiter.settleTokens(600, 0);
+  assert.equal(limiter.getState().availableTokens, -40);
+  assert.ok(limiter.getDelay(0) > 3900);
+});
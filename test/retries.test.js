@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import {
+  computeRetryDelay,
+  isTransientError,
+  resolveRetryPolicy,
+} from "../src/utils/retryPolicy.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(options) {
+  const manager = new ThreadManager(options);
+  manager.updateThreadLimits(1);
+  return manager;
+}
+
+// Fails with the given errors in turn, then resolves
+function flaky(errors, result = "ok") {
+  const operation = async () => {
+    operation.calls++;
+    if (errors.length > 0) throw errors.shift();
+    return result;
+  };
+  operation.calls = 0;
+  return operation;
+}
+
+const fastRetry = { initialDelayMs: 1, maxDelayMs: 5, jitter: 0 };
+
+test("transient failures are retried until the operation succeeds", async () => {
+  const manager = createManager({
+    retryPolicy: { ...fastRetry, maxAttempts: 3 },
+  });
+  const operation = flaky([
+    new Error("model is loading"),
+    Object.assign(new Error("connect failed"), { code: "ECONNREFUSED" }),
+  ]);
+
+  assert.equal(await manager.execute(operation), "ok");
+  assert.equal(operation.calls, 3);
+  const stats = manager.getQueueStats();
+  assert.equal(stats.retried, 2);
+  assert.equal(stats.retrying, 0);
+  assert.equal(stats.failed, 0);
+});
+
+test("errors the policy doesn't classify as retryable fail straight away", async () => {
+  const manager = createManager({
+    retryPolicy: { ...fastRetry, maxAttempts: 3 },
+  });
+  const operation = flaky([new Error("invalid prompt")]);
+
+  await assert.rejects(manager.execute(operation), /invalid prompt/);
+  assert.equal(operation.calls, 1);
+  assert.equal(manager.getQueueStats().retried, 0);
+});
+
+test("the last error is reported once attempts run out", async () => {
+  const manager = createManager();
+  const operation = flaky([
+    new Error("server busy 1"),
+    new Error("server busy 2"),
+    new Error("server busy 3"),
+  ]);
+
+  await assert.rejects(
+    manager.execute(operation, { retry: { ...fastRetry, maxAttempts: 2 } }),
+    /server busy 2/
+  );
+  assert.equal(operation.calls, 2);
+  assert.equal(manager.getQueueStats().failureRate, 1);
+});
+
+test("a per-call predicate and retry: false override the global policy", async () => {
+  const manager = createManager({
+    retryPolicy: { ...fastRetry, maxAttempts: 3 },
+  });
+  const custom = flaky([new Error("try again")]);
+  const result = await manager.execute(custom, {
+    retry: { retryOn: (error) => error.message === "try again" },
+  });
+  assert.equal(result, "ok");
+  assert.equal(custom.calls, 2);
+
+  const disabled = flaky([new Error("model loading")]);
+  await assert.rejects(
+    manager.execute(disabled, { retry: false }),
+    /model loading/
+  );
+  assert.equal(disabled.calls, 1);
+});
+
+test("elevated retries are requeued ahead of equal-priority work", async () => {
+  const manager = createManager();
+  const order = [];
+  const failing = flaky([new Error("context busy")]);
+  const retried = manager.execute(
+    async () => {
+      order.push("retried");
+      return failing();
+    },
+    {
+      retry: { ...fastRetry, maxAttempts: 2, requeuePriority: "elevated" },
+    }
+  );
+  const others = [1, 2].map((n) =>
+    manager.execute(async () => {
+      order.push(`other${n}`);
+      await sleep(10);
+    })
+  );
+
+  await Promise.all([retried, ...others]);
+  assert.deepEqual(order, ["retried", "other1", "retried", "other2"]);
+});
+
+test("the default classifier recognizes local server restarts", () => {
+  assert.equal(isTransientError(new Error("Loading model, please wait")), true);
+  assert.equal(isTransientError({ code: "ECONNRESET" }), true);
+  assert.equal(isTransientError({ status: 503 }), true);
+  assert.equal(
+    isTransientError(new Error("fetch failed", { cause: { code: "EPIPE" } })),
+    true
+  );
+  assert.equal(isTransientError({ status: 400 }), false);
+  assert.equal(isTransientError(new Error("bad request")), false);
+  assert.equal(isTransientError(null), false);
+});
+
+test("backoff grows exponentially up to the cap", () => {
+  const policy = resolveRetryPolicy({
+    initialDelayMs: 100,
+    maxDelayMs: 500,
+    jitter: 0,
+  });
+  assert.deepEqual(
+    [1, 2, 3, 4].map((attempt) => computeRetryDelay(policy, attempt)),
+    [100, 200, 400, 500]
+  );
+
+  const jittered = resolveRetryPolicy({ initialDelayMs: 100, jitter: 0.5 });
+  for (let i = 0; i < 20; i++) {
+    const delay = computeRetryDelay(jittered, 1);
+    assert.ok(delay >= 50 && delay <= 150);
+  }
+});
+
+test("policies merge per call over the global one", () => {
+  assert.equal(resolveRetryPolicy(3).maxAttempts, 3);
+  assert.equal(resolveRetryPolicy({ maxAttempts: 3 }, 5).maxAttempts, 5);
+  assert.equal(resolveRetryPolicy({ maxAttempts: 3 }, false).maxAttempts, 1);
+  assert.equal(resolveRetryPolicy({ maxAttempts: -2 }).maxAttempts, 1);
+  assert.equal(resolveRetryPolicy(null, { factor: 3 }).factor, 3);
+});
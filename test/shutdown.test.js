@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import { ShutdownError } from "../src/errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(options) {
+  const manager = new ThreadManager(options);
+  manager.updateThreadLimits(1);
+  return manager;
+}
+
+// Runs until aborted through its request signal
+function untilAborted(context) {
+  return new Promise((resolve, reject) => {
+    context.signal.addEventListener("abort", () =>
+      reject(context.signal.reason)
+    );
+  });
+}
+
+test("draining lets active work finish and rejects what's still queued", async () => {
+  const manager = createManager();
+  const active = manager.execute(() => sleep(20).then(() => "done"));
+  const queued = assert.rejects(manager.execute(() => "never"), ShutdownError);
+  await sleep(0);
+
+  const summary = await manager.shutdown({ drain: true, timeoutMs: 1000 });
+  assert.deepEqual(summary, {
+    completed: 1,
+    failed: 0,
+    aborted: 0,
+    rejected: 1,
+  });
+  assert.equal(await active, "done");
+  await queued;
+
+  assert.equal(manager.canAccept(), false);
+  assert.equal(manager.getState().closed, true);
+  await assert.rejects(manager.execute(() => "late"), ShutdownError);
+});
+
+test("requests still running when the drain times out are aborted", async () => {
+  const manager = createManager();
+  const stuck = manager.execute(untilAborted);
+  await sleep(0);
+
+  const started = Date.now();
+  const summary = await manager.shutdown({ drain: true, timeoutMs: 20 });
+  assert.ok(Date.now() - started >= 15);
+  assert.equal(summary.aborted, 1);
+  await assert.rejects(
+    stuck,
+    (error) => error instanceof ShutdownError && error.reason === "shutdown"
+  );
+});
+
+test("an immediate shutdown aborts active requests straight away", async () => {
+  const manager = createManager();
+  let seenReason = null;
+  const active = manager.execute((context) =>
+    untilAborted(context).catch((error) => {
+      seenReason = error;
+      throw error;
+    })
+  );
+  const settled = [active, manager.execute(() => "never")].map((pending) =>
+    assert.rejects(pending, ShutdownError)
+  );
+  await sleep(0);
+
+  const summary = await manager.shutdown();
+  assert.equal(summary.aborted, 1);
+  assert.equal(summary.rejected, 1);
+  await Promise.all(settled);
+  assert.ok(seenReason instanceof ShutdownError);
+});
+
+test("callers blocked on a full queue are rejected on shutdown", async () => {
+  const manager = createManager({ maxQueueSize: 1, overflowPolicy: "block" });
+  const active = manager.execute(() => sleep(10));
+  const rejected = [
+    manager.execute(() => "queued"),
+    manager.execute(() => "blocked"),
+  ].map((pending) => assert.rejects(pending, ShutdownError));
+  await sleep(0);
+
+  const summary = await manager.shutdown({ drain: true });
+  assert.equal(summary.rejected, 2);
+  await active;
+  await Promise.all(rejected);
+});
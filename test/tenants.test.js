@@ -0,0 +1,114 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// Quotas are persisted in the data directory, so point it somewhere
+// disposable before the modules that open it are loaded
+const dataHome = mkdtempSync(path.join(tmpdir(), "llm-threader-test-"));
+process.env.XDG_DATA_HOME = dataHome;
+const { ThreadManager } = await import("../src/ThreadManager.js");
+const { TenantQuotaManager } = await import("../src/TenantQuotaManager.js");
+const { QuotaExceededError } = await import("../src/errors.js");
+
+after(() => rmSync(dataHome, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(limit, options) {
+  const manager = new ThreadManager(options);
+  manager.updateThreadLimits(limit);
+  return manager;
+}
+
+// Queues `count` requests per tenant behind a blocker and returns the order
+// in which tenants got to run
+async function runOrder(manager, submissions) {
+  const order = [];
+  const blocker = manager.execute(() => sleep(10));
+  const pending = submissions.map((tenant) =>
+    manager.execute(async () => order.push(tenant), { tenant })
+  );
+  await Promise.all([blocker, ...pending]);
+  return order;
+}
+
+test("tenants interleave instead of running in submission order", async () => {
+  const manager = createManager(1);
+  const order = await runOrder(manager, ["a", "a", "a", "b", "b", "b"]);
+  assert.deepEqual(order, ["a", "b", "a", "b", "a", "b"]);
+});
+
+test("heavier tenants get a proportionally larger share", async () => {
+  const manager = createManager(1, { tenants: { a: { weight: 2 } } });
+  const order = await runOrder(manager, ["b", "b", "b", "a", "a", "a", "a"]);
+  assert.deepEqual(order, ["b", "a", "a", "b", "a", "a", "b"]);
+});
+
+test("a tenant at its concurrency cap doesn't hold back other tenants", async () => {
+  const manager = createManager(3, { tenants: { a: { maxConcurrent: 1 } } });
+  let peak = 0;
+  const run = async () => {
+    peak = Math.max(peak, manager.getTenantStats().a.active);
+    await sleep(15);
+  };
+  const capped = [1, 2, 3].map(() => manager.execute(run, { tenant: "a" }));
+  const other = manager.execute(() => "b", { tenant: "b" });
+
+  assert.equal(await other, "b");
+  assert.equal(manager.getTenantStats().a.queued, 2);
+  await Promise.all(capped);
+  assert.equal(peak, 1);
+});
+
+test("request quotas reject submissions past the limit and survive restarts", async () => {
+  const quotaManager = new TenantQuotaManager();
+  quotaManager.setQuota("batch", { requests: 2, windowMs: 60000 });
+  const manager = createManager(1, { quotaManager });
+
+  await manager.execute(() => 1, { tenant: "batch" });
+  await manager.execute(() => 2, { tenant: "batch" });
+  await assert.rejects(
+    manager.execute(() => 3, { tenant: "batch" }),
+    (error) =>
+      error instanceof QuotaExceededError &&
+      error.tenant === "batch" &&
+      error.kind === "requests" &&
+      error.used === 2 &&
+      error.retryAfterMs > 0
+  );
+  // Tenants without a quota are unaffected
+  assert.equal(
+    await manager.execute(() => "free", { tenant: "other" }),
+    "free"
+  );
+  assert.equal(manager.getTenantStats().batch.quotaRejected, 1);
+
+  const restarted = new TenantQuotaManager();
+  assert.deepEqual(restarted.getQuota("batch"), {
+    requests: 2,
+    tokens: null,
+    windowMs: 60000,
+  });
+  assert.equal(restarted.getUsage("batch").requests, 2);
+  assert.equal(restarted.check("batch").kind, "requests");
+});
+
+test("token quotas count the tokens reported by each request", async () => {
+  const quotaManager = new TenantQuotaManager();
+  quotaManager.setQuota("chat", { tokens: 10 });
+  const manager = createManager(1, { quotaManager });
+  const countTokens = (text) => text.length;
+
+  await manager.execute(() => "twelve chars", { tenant: "chat", countTokens });
+  assert.equal(quotaManager.getUsage("chat").tokens, 12);
+  await assert.rejects(
+    manager.execute(() => "more", { tenant: "chat", countTokens }),
+    (error) => error instanceof QuotaExceededError && error.kind === "tokens"
+  );
+
+  quotaManager.setQuota("chat", null);
+  assert.equal(await manager.execute(() => "ok", { tenant: "chat" }), "ok");
+  assert.equal(new TenantQuotaManager().getQuota("chat"), null);
+});
@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(options = {}) {
+  const events = [];
+  const manager = new ThreadManager({
+    ...options,
+    onRequestEvent: (event, payload) => events.push({ event, ...payload }),
+  });
+  manager.updateThreadLimits(options.limit || 1);
+  return { manager, events };
+}
+
+const count = (events, name) =>
+  events.filter(({ event }) => event === name).length;
+
+// Yields after every step and records when each one ran
+function sliced(steps, stepMs, stamps = []) {
+  return async function* () {
+    const done = [];
+    for (let i = 0; i < steps; i++) {
+      await sleep(stepMs);
+      stamps.push(Date.now());
+      done.push(i);
+      yield;
+    }
+    return done.join(",");
+  };
+}
+
+test("a higher-priority request parks a sliced one, which resumes where it left off", async () => {
+  const { manager, events } = createManager();
+  const order = [];
+  const low = manager
+    .execute(sliced(6, 10), { requestId: "low" })
+    .then((result) => {
+      order.push("low");
+      return result;
+    });
+  await sleep(25);
+  const high = manager
+    .execute(() => sleep(20).then(() => "high"), {
+      requestId: "high",
+      priority: 5,
+    })
+    .then((result) => {
+      order.push("high");
+      return result;
+    });
+  // Parked at its next yield while "high" runs
+  await sleep(12);
+  assert.equal(manager.getQueueStats().timeSlicing.parked, 1);
+
+  assert.deepEqual(await Promise.all([low, high]), ["0,1,2,3,4,5", "high"]);
+  assert.deepEqual(order, ["high", "low"]);
+  const suspended = events.find(({ event }) => event === "request:suspended");
+  assert.equal(suspended.requestId, "low");
+  assert.equal(suspended.reason, "priority");
+  assert.equal(count(events, "request:resumed"), 1);
+  assert.equal(manager.getQueueStats().timeSlicing.parked, 0);
+});
+
+test("a scale-down parks sliced requests until the active weight fits", async () => {
+  const { manager, events } = createManager({ limit: 2 });
+  let maxActive = 0;
+  const track = async function* () {
+    for (let i = 0; i < 6; i++) {
+      await sleep(10);
+      maxActive = Math.max(maxActive, manager.activeRequests);
+      yield;
+    }
+    return "done";
+  };
+  const running = [manager.execute(track), manager.execute(track)];
+  await sleep(25);
+  manager.updateThreadLimits(1);
+  // One step may already be running when the limit drops
+  await sleep(15);
+  maxActive = 0;
+
+  assert.deepEqual(await Promise.all(running), ["done", "done"]);
+  assert.equal(maxActive, 1);
+  assert.equal(manager.maxConcurrentRequests, 1);
+  assert.ok(
+    events.some(
+      ({ event, reason }) =>
+        event === "request:suspended" && reason === "limit"
+    )
+  );
+});
+
+test("doesn't park for a head the pool rate limit would hold anyway", async () => {
+  const { manager, events } = createManager({
+    rateLimit: { requestsPerSecond: 1 },
+  });
+  const stamps = [];
+  const generator = manager.execute(sliced(10, 10, stamps));
+  await sleep(25);
+  const urgent = manager.execute(() => "urgent", { priority: 5 });
+
+  await generator;
+  assert.equal(count(events, "request:suspended"), 0);
+  const gaps = stamps.slice(1).map((stamp, i) => stamp - stamps[i]);
+  assert.ok(Math.max(...gaps) < 200, `slices stalled: ${gaps}`);
+  assert.equal(await urgent, "urgent");
+  manager.close();
+});
+
+test("doesn't park for a head set aside by its tenant's cap", async () => {
+  const { manager, events } = createManager({
+    limit: 2,
+    tenants: { capped: { maxConcurrent: 1 } },
+  });
+  const blocker = manager.execute(() => sleep(200), { tenant: "capped" });
+  const generator = manager.execute(sliced(10, 5));
+  await sleep(10);
+  const capped = manager.execute(() => "capped", {
+    tenant: "capped",
+    priority: 5,
+  });
+
+  assert.equal(await generator, "0,1,2,3,4,5,6,7,8,9");
+  assert.equal(count(events, "request:suspended"), 0);
+  await blocker;
+  assert.equal(await capped, "capped");
+});
+
+test("time spent parked doesn't count against timeoutMs", async () => {
+  const { manager, events } = createManager();
+  const generator = manager.execute(sliced(4, 20), { timeoutMs: 150 });
+  await sleep(30);
+  const long = manager.execute(() => sleep(250).then(() => "long"), {
+    priority: 5,
+  });
+
+  assert.deepEqual(await Promise.all([generator, long]), ["0,1,2,3", "long"]);
+  assert.equal(count(events, "request:suspended"), 1);
+});
+
+test("running slices still add up to the timeout", async () => {
+  const { manager } = createManager();
+  const endless = async function* () {
+    while (true) {
+      await sleep(10);
+      yield;
+    }
+  };
+  const generator = manager.execute(endless, { timeoutMs: 60 });
+  await sleep(15);
+  manager.execute(() => sleep(50), { priority: 5 });
+
+  await assert.rejects(generator, /timed out/);
+});
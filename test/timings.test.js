@@ -0,0 +1,89 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// The engine's history lives in the data directory, so point it somewhere
+// disposable before the modules that open it are loaded
+const dataHome = mkdtempSync(path.join(tmpdir(), "llm-threader-test-"));
+process.env.XDG_DATA_HOME = dataHome;
+const { ThreadManager } = await import("../src/ThreadManager.js");
+const { ScalingDecisionEngine } = await import(
+  "../src/ScalingDecisionEngine.js"
+);
+const { RewardCalculator } = await import("../src/utils/rewardCalculator.js");
+
+after(() => rmSync(dataHome, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager() {
+  const manager = new ThreadManager();
+  manager.updateThreadLimits(1);
+  return manager;
+}
+
+test("requests keep their queued time separate from execution time", async () => {
+  const manager = createManager();
+  let release;
+  const blocker = manager.execute(() => new Promise((r) => (release = r)));
+  await sleep(0);
+  const request = manager.submitRequest(() => sleep(10));
+  await sleep(30);
+  release();
+  await Promise.all([blocker, manager.awaitRequest(request)]);
+
+  const timings = request.getTimings();
+  assert.ok(timings.startedAt >= timings.enqueuedAt + 25);
+  assert.ok(timings.endedAt >= timings.startedAt);
+  assert.ok(timings.waitMs >= 25, `waited ${timings.waitMs}ms`);
+  assert.ok(timings.serviceMs >= 9 && timings.serviceMs < 25);
+  assert.equal(timings.totalMs, timings.endedAt - timings.submittedAt);
+});
+
+test("queue stats report wait and service percentiles and arrival rate", async () => {
+  const manager = createManager();
+  const pending = [
+    manager.execute(() => sleep(30)),
+    manager.execute(() => sleep(10)),
+    manager.execute(() => sleep(10)),
+  ];
+  await Promise.all(pending);
+
+  const { waitTime, serviceTime, arrivalRate } = manager.getQueueStats();
+  assert.equal(waitTime.count, 3);
+  assert.equal(serviceTime.count, 3);
+  assert.ok(waitTime.p95 >= 35, `p95 wait ${waitTime.p95}ms`);
+  assert.ok(serviceTime.p50 >= 9 && serviceTime.p50 < 25);
+  assert.ok(waitTime.avg > serviceTime.p50);
+  // Nothing is queued or running any more
+  assert.equal(arrivalRate, 0);
+
+  const inFlight = manager.execute(() => sleep(10));
+  await sleep(0);
+  assert.ok(manager.getQueueStats().arrivalRate > 0);
+  await inFlight;
+});
+
+test("queue wait counts against the reward separately from service time", () => {
+  const thresholds = { cpuUsage: 85, cpuTemp: 85, gpuUsage: 85, gpuTemp: 85 };
+  const limits = { cpuUsage: 98, cpuTemp: 95, gpuUsage: 98, gpuTemp: 95 };
+  const calculator = new RewardCalculator(thresholds, limits);
+  const base = { throughput: 2, latencyMs: 1000, backlog: 1 };
+
+  const noWait = calculator.computeReward({ ...base, waitMs: 0 });
+  const longWait = calculator.computeReward({ ...base, waitMs: 5000 });
+  assert.ok(longWait < noWait);
+  assert.equal(calculator.computeReward(base), noWait);
+});
+
+test("the engine expects queue wait to shrink as threads are added", () => {
+  const engine = new ScalingDecisionEngine({ maxThreads: 8 });
+  engine.lastRecommendedThreads = 2;
+
+  assert.equal(engine.predictQueueWait(400, 4), 200);
+  assert.equal(engine.predictQueueWait(400, 1), 800);
+  assert.equal(engine.predictQueueWait(0, 4), 0);
+  assert.equal(engine.predictQueueWait(null, 4), null);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createManager(limit) {
+  const manager = new ThreadManager();
+  manager.updateThreadLimits(limit);
+  return manager;
+}
+
+test("requests are admitted only while their weight fits the budget", async () => {
+  const manager = createManager(4);
+  const running = [];
+  let peakWeight = 0;
+  const run = (name) => async () => {
+    running.push(name);
+    peakWeight = Math.max(peakWeight, manager.getState().activeWeight);
+    await sleep(30);
+  };
+
+  const pending = [
+    manager.execute(run("heavy"), { weight: 3 }),
+    manager.execute(run("light"), { weight: 1 }),
+    manager.execute(run("medium"), { weight: 2 }),
+  ];
+  await sleep(5);
+
+  assert.deepEqual(running, ["heavy", "light"]);
+  const stats = manager.getQueueStats();
+  assert.equal(stats.activeWeight, 4);
+  assert.equal(stats.queuedWeight, 2);
+  assert.equal(stats.backlog, 6);
+
+  await Promise.all(pending);
+  assert.deepEqual(running, ["heavy", "light", "medium"]);
+  assert.equal(peakWeight, 4);
+  assert.equal(manager.getState().activeWeight, 0);
+});
+
+test("an oversized request still runs once the manager is idle", async () => {
+  const manager = createManager(2);
+  const order = [];
+  const run = (name) => async () => {
+    order.push(name);
+    await sleep(10);
+  };
+
+  await Promise.all([
+    manager.execute(run("small")),
+    manager.execute(run("huge"), { weight: 5 }),
+  ]);
+  assert.deepEqual(order, ["small", "huge"]);
+});
+
+test("invalid weights count as a single slot", async () => {
+  const manager = createManager(1);
+  const blocker = manager.execute(() => sleep(20), { weight: -3 });
+  const queued = manager.execute(() => sleep(1), { weight: "big" });
+  await sleep(0);
+
+  assert.equal(manager.getState().activeWeight, 1);
+  assert.equal(manager.getState().queuedWeight, 1);
+  await Promise.all([blocker, queued]);
+});
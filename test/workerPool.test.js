@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ThreadManager } from "../src/ThreadManager.js";
+import { WorkerPool, isWorkerJob } from "../src/WorkerPool.js";
+import { WorkerCrashedError } from "../src/errors.js";
+
+const jobs = new URL("./fixtures/workerJobs.js", import.meta.url);
+
+test("jobs run off the main thread in either mode", async () => {
+  for (const mode of ["thread", "process"]) {
+    const pool = new WorkerPool({ mode });
+    try {
+      assert.equal(
+        await pool.run({ module: jobs, export: "add", args: [2, 3] }),
+        5
+      );
+      const runtime = await pool.run({ module: jobs });
+      if (mode === "thread") {
+        assert.equal(runtime.isMainThread, false);
+      } else {
+        assert.notEqual(runtime.pid, process.pid);
+      }
+      assert.equal(pool.getState().completed, 2);
+    } finally {
+      await pool.close();
+    }
+  }
+});
+
+test("job errors keep their name, message and fields", async () => {
+  const pool = new WorkerPool();
+  try {
+    await assert.rejects(
+      pool.run({ module: jobs, export: "fail", args: ["model loading"] }),
+      (error) =>
+        error.name === "BackendError" &&
+        error.message === "model loading" &&
+        error.status === 503
+    );
+    await assert.rejects(
+      pool.run({ module: jobs, export: "missing" }),
+      /is not a function/
+    );
+    assert.equal(pool.getState().failed, 2);
+  } finally {
+    await pool.close();
+  }
+});
+
+test("a crashed worker fails only its job and is replaced", async () => {
+  const exits = [];
+  const pool = new WorkerPool({
+    size: 2,
+    onWorkerExit: (details) => exits.push(details),
+  });
+  try {
+    const [crashed, survived] = await Promise.allSettled([
+      pool.run(
+        { module: jobs, export: "crash", args: [3] },
+        { requestId: "req_crash" }
+      ),
+      pool.run({ module: jobs, export: "spin", args: [50] }),
+    ]);
+    assert.ok(crashed.reason instanceof WorkerCrashedError);
+    assert.equal(crashed.reason.exitCode, 3);
+    assert.equal(crashed.reason.requestId, "req_crash");
+    assert.equal(survived.value, 50);
+
+    const sum = await pool.run({ module: jobs, export: "add", args: [1, 1] });
+    assert.equal(sum, 2);
+    assert.equal(exits.length, 1);
+    assert.equal(exits[0].requestId, "req_crash");
+    assert.equal(pool.getState().crashes, 1);
+  } finally {
+    await pool.close();
+  }
+});
+
+test("cancelling a running job terminates its worker", async () => {
+  const pool = new WorkerPool();
+  try {
+    const controller = new AbortController();
+    const started = Date.now();
+    const spinning = pool.run(
+      { module: jobs, export: "spin", args: [5000] },
+      { signal: controller.signal }
+    );
+    setTimeout(() => controller.abort(new Error("user cancelled")), 50);
+
+    await assert.rejects(spinning, /user cancelled/);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(pool.getState().terminated, 1);
+    const sum = await pool.run({ module: jobs, export: "add", args: [4, 4] });
+    assert.equal(sum, 8);
+  } finally {
+    await pool.close();
+  }
+});
+
+test("the thread manager dispatches module jobs to its worker pool", async () => {
+  assert.equal(isWorkerJob({ module: "./jobs.js" }), true);
+  assert.equal(isWorkerJob(() => {}), false);
+
+  const workerPool = new WorkerPool();
+  const manager = new ThreadManager({ workerPool });
+  manager.updateThreadLimits(1);
+  try {
+    assert.equal(
+      await manager.execute({ module: jobs, export: "add", args: [6, 7] }),
+      13
+    );
+  } finally {
+    await workerPool.close();
+  }
+
+  const withoutPool = new ThreadManager();
+  await assert.rejects(
+    withoutPool.execute({ module: jobs, export: "add" }),
+    /need a workerPool/
+  );
+});